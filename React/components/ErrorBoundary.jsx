@@ -0,0 +1,294 @@
+/**
+ * This file demonstrates how to build an `ErrorBoundary` component and a `useErrorBoundary` custom hook.
+ *
+ * Without a boundary, an error thrown while rendering (for example `Unknown action` from a reducer, or the
+ * "must be used within an AuthProvider" error from `useAuth` in `useContext.jsx`) unmounts the whole page.
+ * An `ErrorBoundary` catches the error, shows a fallback in place of its children and lets the user recover.
+ *
+ * --- What ErrorBoundary does ---
+ * 1. It catches errors thrown while rendering its children and renders `fallback` or `FallbackComponent` instead.
+ * 2. It reports caught errors through `onError(error, info)` and resets through `resetErrorBoundary()` or when one of `resetKeys` changes.
+ * 3. With `useErrorBoundary`, components can push errors from event handlers, effects and promises into the nearest boundary.
+ *
+ * --- When to use ErrorBoundary ---
+ * 1. Around independent parts of the page (widgets, routes, examples), so one failure does not take down the others.
+ * 2. When a failed part can recover by retrying or by changing its inputs, such as selecting a different item.
+ * 3. When async errors (failed requests in `useEffect`) should be shown with the same fallback as render errors.
+ *
+ * --- When to be careful ---
+ * 1. Error boundaries do not catch errors from event handlers or async code on their own; pass them to `showBoundary` from `useErrorBoundary`.
+ * 2. Error boundaries must be class components; `ErrorBoundary` is the only class you need, everything else can stay a function.
+ * 3. Pass `onReset` to clear whatever caused the error (cached data, bad state), otherwise the children throw again right away.
+ *
+ * --- Related Hooks ---
+ * - `useErrorBoundary`: Returns `showBoundary(error)` and `resetBoundary()` for the nearest `ErrorBoundary`.
+ * - `useContext`: `useErrorBoundary` reads the nearest boundary from context.
+ */
+
+import React, {
+  Component,
+  createContext,
+  useContext,
+  useEffect,
+  useState,
+} from "react";
+
+const ErrorBoundaryContext = createContext(null);
+
+const initialState = { error: null };
+
+const haveResetKeysChanged = (prevKeys = [], nextKeys = []) =>
+  prevKeys.length !== nextKeys.length ||
+  prevKeys.some((key, index) => !Object.is(key, nextKeys[index]));
+
+/**
+ * DefaultErrorFallback
+ *
+ * The fallback rendered when neither `fallback` nor `FallbackComponent` is passed.
+ */
+export function DefaultErrorFallback({ error, resetErrorBoundary }) {
+  return (
+    <div role="alert">
+      <p>Something went wrong: {error.message}</p>
+      <button onClick={resetErrorBoundary}>Try again</button>
+    </div>
+  );
+}
+
+/**
+ * ErrorBoundary
+ *
+ * Props: `fallback` (an element), `FallbackComponent` (rendered with `error` and `resetErrorBoundary`), `onError(error, info)`,
+ * `onReset({ reason })` and `resetKeys`. The reason is `"imperative"` for `resetErrorBoundary()` and `"keys"` when `resetKeys` changed.
+ */
+export class ErrorBoundary extends Component {
+  state = initialState;
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, info) {
+    if (this.props.onError) this.props.onError(error, info);
+  }
+
+  componentDidUpdate(prevProps, prevState) {
+    // Only reset on key changes after the error was shown, not on the update that caught it.
+    if (
+      this.state.error !== null &&
+      prevState.error !== null &&
+      haveResetKeysChanged(prevProps.resetKeys, this.props.resetKeys)
+    ) {
+      this.reset("keys");
+    }
+  }
+
+  reset(reason) {
+    if (this.props.onReset) this.props.onReset({ reason });
+    this.setState(initialState);
+  }
+
+  resetErrorBoundary = () => {
+    if (this.state.error !== null) this.reset("imperative");
+  };
+
+  showBoundary = (error) => {
+    this.setState({ error });
+  };
+
+  render() {
+    const { error } = this.state;
+    const {
+      fallback,
+      FallbackComponent = DefaultErrorFallback,
+      children,
+    } = this.props;
+    const contextValue = {
+      error,
+      showBoundary: this.showBoundary,
+      resetBoundary: this.resetErrorBoundary,
+    };
+
+    let content = children;
+    if (error !== null) {
+      content =
+        fallback !== undefined ? (
+          fallback
+        ) : (
+          <FallbackComponent
+            error={error}
+            resetErrorBoundary={this.resetErrorBoundary}
+          />
+        );
+    }
+
+    return (
+      <ErrorBoundaryContext.Provider value={contextValue}>
+        {content}
+      </ErrorBoundaryContext.Provider>
+    );
+  }
+}
+
+/**
+ * useErrorBoundary
+ *
+ * Returns `showBoundary(error)`, which shows the nearest boundary's fallback for errors from event handlers, effects or promises,
+ * and `resetBoundary()`, which resets it (useful inside `fallback` elements, which do not receive `resetErrorBoundary`).
+ */
+export function useErrorBoundary() {
+  const context = useContext(ErrorBoundaryContext);
+  if (!context) {
+    throw new Error("useErrorBoundary must be used within an ErrorBoundary");
+  }
+  return {
+    showBoundary: context.showBoundary,
+    resetBoundary: context.resetBoundary,
+  };
+}
+
+/**
+ * Example 1: Recovering with resetKeys
+ *
+ * This example renders a profile card that throws for an unknown user.
+ * The boundary shows `FallbackComponent` and logs the error with `onError`.
+ * Because `userId` is passed in `resetKeys`, selecting another user recovers automatically without pressing "Try again".
+ *
+ * Use Case: Useful for detail views where a bad input (a deleted item, a broken link) should not require a page reload.
+ */
+const users = {
+  alice: { name: "Alice", role: "Admin" },
+  bob: { name: "Bob", role: "Editor" },
+};
+
+function UserCard({ userId }) {
+  const user = users[userId];
+  if (!user) {
+    throw new Error(`Unknown user: ${userId}`);
+  }
+  return (
+    <p>
+      {user.name} ({user.role})
+    </p>
+  );
+}
+
+function UserCardFallback({ error, resetErrorBoundary }) {
+  return (
+    <div role="alert" style={{ color: "red" }}>
+      <p>Could not show this user. {error.message}</p>
+      <button onClick={resetErrorBoundary}>Try again</button>
+    </div>
+  );
+}
+
+function ResetKeysExample() {
+  const [userId, setUserId] = useState("alice");
+
+  return (
+    <div>
+      <h1>ErrorBoundary Example - Reset Keys</h1>
+      <select value={userId} onChange={(e) => setUserId(e.target.value)}>
+        <option value="alice">Alice</option>
+        <option value="bob">Bob</option>
+        <option value="carol">Carol (missing)</option>
+      </select>
+      <ErrorBoundary
+        FallbackComponent={UserCardFallback}
+        onError={(error, info) =>
+          console.error("Caught by ErrorBoundary:", error, info.componentStack)
+        }
+        resetKeys={[userId]}
+      >
+        <UserCard userId={userId} />
+      </ErrorBoundary>
+    </div>
+  );
+}
+
+/**
+ * Example 2: Pushing Async Errors into the Boundary
+ *
+ * This example loads data in `useEffect`; `AsyncDataFetcher` in `useEffect.jsx` passes the errors of `useQuery` to the boundary the same way.
+ * Errors thrown in the effect's promise are not caught by error boundaries, so they are passed to `showBoundary` instead.
+ * The `fallback` element uses `resetBoundary` from `useErrorBoundary` to retry.
+ *
+ * Use Case: Useful for showing failed requests with the same fallback UI as render errors.
+ */
+function fakeFetchStatus(shouldFail) {
+  return new Promise((resolve, reject) =>
+    setTimeout(() => {
+      if (shouldFail) reject(new Error("The status service is down."));
+      else resolve("All systems operational.");
+    }, 500)
+  );
+}
+
+function ServiceStatus({ shouldFail }) {
+  const [status, setStatus] = useState(null);
+  const { showBoundary } = useErrorBoundary();
+
+  useEffect(() => {
+    let ignore = false;
+    fakeFetchStatus(shouldFail).then(
+      (result) => {
+        if (!ignore) setStatus(result);
+      },
+      (error) => {
+        if (!ignore) showBoundary(error);
+      }
+    );
+    return () => {
+      ignore = true;
+    };
+  }, [shouldFail, showBoundary]);
+
+  return <p>Status: {status ?? "Loading..."}</p>;
+}
+
+function RetryButton() {
+  const { resetBoundary } = useErrorBoundary();
+  return <button onClick={resetBoundary}>Retry</button>;
+}
+
+function AsyncErrorExample() {
+  const [shouldFail, setShouldFail] = useState(true);
+
+  return (
+    <div>
+      <h1>ErrorBoundary Example - Async Errors</h1>
+      <label>
+        <input
+          type="checkbox"
+          checked={shouldFail}
+          onChange={(e) => setShouldFail(e.target.checked)}
+        />
+        Make the request fail
+      </label>
+      <ErrorBoundary
+        fallback={
+          <div role="alert">
+            <p>The status could not be loaded.</p>
+            <RetryButton />
+          </div>
+        }
+      >
+        <ServiceStatus shouldFail={shouldFail} />
+      </ErrorBoundary>
+    </div>
+  );
+}
+
+// Combine all components into a single display
+function App() {
+  return (
+    <div>
+      <h1>ErrorBoundary Examples</h1>
+      <ResetKeysExample />
+      <hr />
+      <AsyncErrorExample />
+    </div>
+  );
+}
+
+export default App;
@@ -0,0 +1,329 @@
+/**
+ * This file demonstrates how to build an accessible, portal-based `Modal` dialog component.
+ *
+ * It grows the `Modal` from `useImperativeHandle.jsx` into a production dialog: it keeps the imperative `open`/`close`/`toggle` handle
+ * and adds a controlled API, focus management, keyboard support, scroll locking and stacking of nested dialogs.
+ *
+ * --- What Modal does ---
+ * 1. It renders the dialog into `document.body` through a portal with `role="dialog"`, `aria-modal` and an `aria-labelledby` id from `useId`.
+ * 2. It traps focus inside the dialog, closes on Escape and restores focus to the element that opened it.
+ * 3. It locks body scrolling while any dialog is open and stacks nested dialogs with the correct z-order.
+ *
+ * --- When to use Modal ---
+ * 1. When the user must complete or dismiss a task before returning to the page, such as confirming a deletion.
+ * 2. When a parent component needs to open a dialog imperatively (`modalRef.current.open()`).
+ * 3. When the open state lives in the parent and is passed as `open`/`onOpenChange` (controlled mode).
+ *
+ * --- When to be careful ---
+ * 1. Always pass a `title`; screen readers announce it when the dialog opens.
+ * 2. Do not use a modal for information that does not need to interrupt the user; a toast or inline message is less disruptive.
+ * 3. Only the topmost dialog reacts to Escape and traps focus; closing it returns control to the dialog below.
+ *
+ * --- Related Hooks ---
+ * - `useImperativeHandle`: Exposes `open`, `close` and `toggle` to the parent through a ref.
+ * - `useId`: Generates the ids that link the dialog to its title and description.
+ * - `useStore`: Tracks the stack of open dialogs to compute their z-order.
+ */
+
+import React, {
+  forwardRef,
+  useCallback,
+  useEffect,
+  useId,
+  useImperativeHandle,
+  useRef,
+  useState,
+} from "react";
+import { createPortal } from "react-dom";
+import { createStore, useStore } from "../custom-hooks/useStore";
+
+const FOCUSABLE_SELECTOR = [
+  "a[href]",
+  "button:not([disabled])",
+  "input:not([disabled])",
+  "select:not([disabled])",
+  "textarea:not([disabled])",
+  '[tabindex]:not([tabindex="-1"])',
+].join(",");
+
+const BASE_Z_INDEX = 1000;
+
+// The ids of the open dialogs, from the bottom of the stack to the top.
+const modalStack = createStore([], {
+  push: (stack, id) => [...stack, id],
+  remove: (stack, id) => stack.filter((item) => item !== id),
+});
+
+// Body scroll is locked while at least one dialog is open.
+let previousBodyOverflow = "";
+modalStack.subscribe(() => {
+  const stack = modalStack.getSnapshot();
+  if (stack.length > 0 && document.body.style.overflow !== "hidden") {
+    previousBodyOverflow = document.body.style.overflow;
+    document.body.style.overflow = "hidden";
+  } else if (stack.length === 0) {
+    document.body.style.overflow = previousBodyOverflow;
+  }
+});
+
+const getFocusableElements = (container) =>
+  Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR));
+
+/**
+ * Modal
+ *
+ * Props: `title`, `description`, `open`, `defaultOpen`, `onOpenChange`, `closeOnOverlayClick` and `initialFocusRef`.
+ * When `open` is passed, the dialog is controlled; otherwise it manages its own state and can be opened through the ref handle.
+ */
+export const Modal = forwardRef(
+  (
+    {
+      title,
+      description,
+      children,
+      open,
+      defaultOpen = false,
+      onOpenChange,
+      closeOnOverlayClick = true,
+      initialFocusRef,
+    },
+    ref
+  ) => {
+    const [uncontrolledOpen, setUncontrolledOpen] = useState(defaultOpen);
+    const isControlled = open !== undefined;
+    const isOpen = isControlled ? open : uncontrolledOpen;
+
+    const id = useId();
+    const titleId = `${id}-title`;
+    const descriptionId = `${id}-description`;
+    const dialogRef = useRef(null);
+
+    const isOpenRef = useRef(isOpen);
+    isOpenRef.current = isOpen;
+    const onOpenChangeRef = useRef(onOpenChange);
+    onOpenChangeRef.current = onOpenChange;
+
+    const setOpen = useCallback(
+      (nextOpen) => {
+        if (!isControlled) setUncontrolledOpen(nextOpen);
+        if (onOpenChangeRef.current) onOpenChangeRef.current(nextOpen);
+      },
+      [isControlled]
+    );
+
+    useImperativeHandle(
+      ref,
+      () => ({
+        open: () => setOpen(true),
+        close: () => setOpen(false),
+        toggle: () => setOpen(!isOpenRef.current),
+      }),
+      [setOpen]
+    );
+
+    const level = useStore(modalStack, (stack) => stack.indexOf(id));
+    const isTopmost = useStore(
+      modalStack,
+      (stack) => stack[stack.length - 1] === id
+    );
+
+    // Register in the stack, move focus into the dialog and restore it on close.
+    useEffect(() => {
+      if (!isOpen) return;
+
+      const trigger = document.activeElement;
+      modalStack.actions.push(id);
+
+      const dialog = dialogRef.current;
+      const target =
+        (initialFocusRef && initialFocusRef.current) ||
+        getFocusableElements(dialog)[0] ||
+        dialog;
+      target.focus();
+
+      return () => {
+        modalStack.actions.remove(id);
+        if (trigger && typeof trigger.focus === "function") trigger.focus();
+      };
+    }, [isOpen, id, initialFocusRef]);
+
+    // Pull focus back if it escapes the topmost dialog (e.g. a click on the page behind it).
+    useEffect(() => {
+      if (!isOpen || !isTopmost) return;
+
+      const handleFocusIn = (e) => {
+        const dialog = dialogRef.current;
+        if (dialog && !dialog.contains(e.target)) dialog.focus();
+      };
+
+      document.addEventListener("focusin", handleFocusIn);
+      return () => document.removeEventListener("focusin", handleFocusIn);
+    }, [isOpen, isTopmost]);
+
+    const handleKeyDown = (e) => {
+      // Events from nested dialogs bubble through the React tree, so only the topmost dialog reacts.
+      if (!isTopmost) return;
+
+      if (e.key === "Escape") {
+        e.stopPropagation();
+        setOpen(false);
+        return;
+      }
+
+      if (e.key === "Tab") {
+        const focusable = getFocusableElements(dialogRef.current);
+        if (focusable.length === 0) {
+          e.preventDefault();
+          return;
+        }
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+          e.preventDefault();
+          last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+          e.preventDefault();
+          first.focus();
+        }
+      }
+    };
+
+    const handleOverlayMouseDown = (e) => {
+      if (closeOnOverlayClick && isTopmost && e.target === e.currentTarget) {
+        setOpen(false);
+      }
+    };
+
+    if (!isOpen || typeof document === "undefined") return null;
+
+    const zIndex = BASE_Z_INDEX + Math.max(level, 0) * 10;
+
+    return createPortal(
+      <div
+        onMouseDown={handleOverlayMouseDown}
+        style={{
+          position: "fixed",
+          inset: 0,
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "center",
+          backgroundColor: "rgba(0, 0, 0, 0.4)",
+          zIndex,
+        }}
+      >
+        <div
+          ref={dialogRef}
+          className="modal"
+          role="dialog"
+          aria-modal="true"
+          aria-labelledby={titleId}
+          aria-describedby={description ? descriptionId : undefined}
+          tabIndex={-1}
+          onKeyDown={handleKeyDown}
+          style={{
+            minWidth: "300px",
+            maxWidth: "90vw",
+            padding: "20px",
+            backgroundColor: "#fff",
+            borderRadius: "8px",
+          }}
+        >
+          <h2 id={titleId}>{title}</h2>
+          {description && <p id={descriptionId}>{description}</p>}
+          {children}
+          <button onClick={() => setOpen(false)}>Close</button>
+        </div>
+      </div>,
+      document.body
+    );
+  }
+);
+
+/**
+ * Example 1: Imperative Control Through a Ref
+ *
+ * This example opens the dialog through the ref handle, just like `ModalController` in `useImperativeHandle.jsx`.
+ * After closing, focus returns to the button that opened the dialog.
+ *
+ * Use Case: Useful when a dialog is triggered from code, such as after a failed save or a keyboard shortcut.
+ */
+function ImperativeModal() {
+  const modalRef = useRef(null);
+
+  return (
+    <div>
+      <h1>Modal Example - Imperative Handle</h1>
+      <button onClick={() => modalRef.current?.open()}>Open Modal</button>
+      <Modal
+        ref={modalRef}
+        title="Session expiring"
+        description="Your session will expire in 5 minutes."
+      >
+        <button onClick={() => modalRef.current?.close()}>
+          Stay signed in
+        </button>
+      </Modal>
+    </div>
+  );
+}
+
+/**
+ * Example 2: Controlled and Nested Dialogs
+ *
+ * This example controls the outer dialog with `open`/`onOpenChange` and opens a confirmation dialog on top of it.
+ * The nested dialog receives a higher z-index, and Escape only closes the topmost one.
+ * The `initialFocusRef` prop moves focus to the safe "Cancel" button instead of the destructive action.
+ *
+ * Use Case: Useful for multi-step flows, such as editing an item and confirming its deletion from the same dialog.
+ */
+function NestedModals() {
+  const [isEditing, setIsEditing] = useState(false);
+  const [isConfirming, setIsConfirming] = useState(false);
+  const cancelRef = useRef(null);
+
+  return (
+    <div>
+      <h1>Modal Example - Controlled and Nested</h1>
+      <button onClick={() => setIsEditing(true)}>Edit Item</button>
+      <Modal title="Edit item" open={isEditing} onOpenChange={setIsEditing}>
+        <label>
+          Name: <input defaultValue="My item" />
+        </label>
+        <button onClick={() => setIsConfirming(true)}>Delete Item</button>
+        <Modal
+          title="Delete this item?"
+          description="This action cannot be undone."
+          open={isConfirming}
+          onOpenChange={setIsConfirming}
+          initialFocusRef={cancelRef}
+        >
+          <button ref={cancelRef} onClick={() => setIsConfirming(false)}>
+            Cancel
+          </button>
+          <button
+            onClick={() => {
+              setIsConfirming(false);
+              setIsEditing(false);
+            }}
+          >
+            Delete
+          </button>
+        </Modal>
+      </Modal>
+    </div>
+  );
+}
+
+// Combine all components into a single display
+function App() {
+  return (
+    <div>
+      <h1>Modal Examples</h1>
+      <ImperativeModal />
+      <hr />
+      <NestedModals />
+    </div>
+  );
+}
+
+export default App;
@@ -0,0 +1,464 @@
+/**
+ * This file demonstrates how to measure renders with a `RenderProfiler` component and the `useRenderCount` and `useWhyDidYouRender` hooks.
+ *
+ * The examples in `useCallback.jsx`, `useMemo.jsx` and `useDeferredValue.jsx` claim that `React.memo`, `useMemo` and `useCallback` skip renders.
+ * Instead of reading `console.log` output, wrap the component in a `RenderProfiler` and render a `ProfilerSummary` next to it:
+ * the table shows how often each part committed, how long it took, and how many renders were caused only by props with a new identity.
+ *
+ * --- What RenderProfiler does ---
+ * 1. It wraps `React.Profiler` and records the number of commits (mounts and updates) and their durations for each `id`.
+ * 2. `useRenderCount` counts the renders of a single component; `useWhyDidYouRender` reports which props changed since the last render.
+ * 3. A changed prop is reported as an `"identity"` change when only its reference changed (an inline object or arrow function),
+ *    and as a `"value"` change when its contents changed. Renders with identity changes only are the ones memoization can remove.
+ *
+ * --- When to use RenderProfiler ---
+ * 1. When adding `React.memo`, `useMemo` or `useCallback` and you want to check that they actually save renders.
+ * 2. When a component re-renders more often than expected and you need to know which prop is responsible.
+ * 3. When comparing two implementations of the same component by their render durations.
+ *
+ * --- When to be careful ---
+ * 1. `React.Profiler` is disabled in production builds (unless you use the profiling build), so durations are only recorded in development.
+ * 2. Render `ProfilerSummary` outside of the profiled tree; inside it, every summary update would be recorded as another commit.
+ * 3. In Strict Mode, React renders components twice in development, so `useRenderCount` counts two renders per commit.
+ *
+ * --- Related Hooks ---
+ * - `useRef`: `useRenderCount` and `useWhyDidYouRender` keep their counters and previous props in refs, so measuring causes no extra renders.
+ * - `useStore`: The recorded measurements live in an external store (see `custom-hooks/useStore.jsx`) that `ProfilerSummary` subscribes to.
+ * - `useDebugValue`: Shows a single value in React DevTools; the profiler collects numbers for many components at once.
+ */
+
+import React, {
+  Profiler,
+  memo,
+  useCallback,
+  useEffect,
+  useRef,
+  useState,
+} from "react";
+import { createStore, useStore } from "../custom-hooks/useStore";
+
+const emptyRecord = {
+  commits: 0,
+  mounts: 0,
+  updates: 0,
+  totalDuration: 0,
+  maxDuration: 0,
+  lastDuration: 0,
+  renders: 0,
+  identityOnlyRenders: 0,
+  lastChanges: [],
+};
+
+// Measurements by id, shared by every `RenderProfiler` and hook in the app.
+const profilerStore = createStore({});
+
+// `React.Profiler` reports during the commit phase, often for many ids at once.
+// Updates are queued and applied together in a microtask, so the summary re-renders once per commit.
+let pendingUpdates = [];
+
+const flushUpdates = () => {
+  const updates = pendingUpdates;
+  pendingUpdates = [];
+  profilerStore.setState((records) => {
+    const nextRecords = { ...records };
+    updates.forEach(({ id, update }) => {
+      nextRecords[id] = update(nextRecords[id] || emptyRecord);
+    });
+    return nextRecords;
+  });
+};
+
+const recordUpdate = (id, update) => {
+  if (pendingUpdates.length === 0) queueMicrotask(flushUpdates);
+  pendingUpdates.push({ id, update });
+};
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  (Object.getPrototypeOf(value) === Object.prototype || Array.isArray(value));
+
+// Compares plain objects and arrays by their contents. Functions with the same source count as equal,
+// because an inline arrow function recreated on every render is the most common identity-only change.
+const isDeepEqual = (a, b, depth = 0) => {
+  if (Object.is(a, b)) return true;
+  if (typeof a === "function" && typeof b === "function") {
+    return a.toString() === b.toString();
+  }
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+  if (!isPlainObject(a) || !isPlainObject(b) || depth > 10) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+
+  return keysA.every(
+    (key) =>
+      Object.prototype.hasOwnProperty.call(b, key) &&
+      isDeepEqual(a[key], b[key], depth + 1)
+  );
+};
+
+/**
+ * diffProps
+ *
+ * Returns the props that differ between `previousProps` and `nextProps` as `{ name, kind, previous, next }`,
+ * where `kind` is `"identity"` when only the reference changed and `"value"` when the contents changed.
+ */
+export function diffProps(previousProps, nextProps) {
+  const names = new Set([
+    ...Object.keys(previousProps),
+    ...Object.keys(nextProps),
+  ]);
+  const changes = [];
+
+  names.forEach((name) => {
+    const previous = previousProps[name];
+    const next = nextProps[name];
+    if (Object.is(previous, next)) return;
+    changes.push({
+      name,
+      kind: isDeepEqual(previous, next) ? "identity" : "value",
+      previous,
+      next,
+    });
+  });
+
+  return changes;
+}
+
+/**
+ * RenderProfiler
+ *
+ * Wraps `children` in a `React.Profiler` and records its commits under `id`.
+ * `onRender` is called with the same arguments as the `Profiler` callback.
+ */
+export function RenderProfiler({ id, onRender, children }) {
+  const handleRender = useCallback(
+    (profilerId, phase, actualDuration, ...rest) => {
+      recordUpdate(profilerId, (record) => ({
+        ...record,
+        commits: record.commits + 1,
+        mounts: record.mounts + (phase === "mount" ? 1 : 0),
+        updates: record.updates + (phase === "mount" ? 0 : 1),
+        totalDuration: record.totalDuration + actualDuration,
+        maxDuration: Math.max(record.maxDuration, actualDuration),
+        lastDuration: actualDuration,
+      }));
+      if (onRender) onRender(profilerId, phase, actualDuration, ...rest);
+    },
+    [onRender]
+  );
+
+  return (
+    <Profiler id={id} onRender={handleRender}>
+      {children}
+    </Profiler>
+  );
+}
+
+/**
+ * useRenderCount
+ *
+ * Returns how many times the calling component has rendered, including the current render.
+ * When `name` is passed, the count is also recorded and shown in `ProfilerSummary`.
+ */
+export function useRenderCount(name) {
+  const countRef = useRef(0);
+  countRef.current++;
+
+  useEffect(() => {
+    if (name === undefined) return;
+    recordUpdate(name, (record) => ({
+      ...record,
+      renders: record.renders + 1,
+    }));
+  });
+
+  return countRef.current;
+}
+
+/**
+ * useWhyDidYouRender
+ *
+ * Compares `props` with the props of the previous render and returns the changes (see `diffProps`).
+ * Each committed render is recorded under `name`; renders where every change is an identity change are counted separately,
+ * because `React.memo` with stable props would have skipped them. Pass `{ log: true }` to also print the changes.
+ */
+export function useWhyDidYouRender(name, props, { log = false } = {}) {
+  const previousPropsRef = useRef(null);
+  const changes = previousPropsRef.current
+    ? diffProps(previousPropsRef.current, props)
+    : [];
+
+  useEffect(() => {
+    const isUpdate = previousPropsRef.current !== null;
+    previousPropsRef.current = props;
+
+    const identityOnly =
+      changes.length > 0 &&
+      changes.every((change) => change.kind === "identity");
+    recordUpdate(name, (record) => ({
+      ...record,
+      renders: record.renders + 1,
+      identityOnlyRenders: record.identityOnlyRenders + (identityOnly ? 1 : 0),
+      lastChanges: isUpdate ? changes : record.lastChanges,
+    }));
+
+    if (log && isUpdate) {
+      console.log(
+        `${name} rendered`,
+        changes.length > 0
+          ? changes
+              .map((change) => `${change.name} (${change.kind})`)
+              .join(", ")
+          : "without prop changes (parent or state update)"
+      );
+    }
+  });
+
+  return changes;
+}
+
+const formatDuration = (duration) => duration.toFixed(2);
+
+/**
+ * getProfilerSummary
+ *
+ * Returns one row per recorded id with its commit, render and duration statistics.
+ */
+export function getProfilerSummary(records = profilerStore.getSnapshot()) {
+  return Object.keys(records).map((id) => {
+    const record = records[id];
+    return {
+      id,
+      commits: record.commits,
+      mounts: record.mounts,
+      updates: record.updates,
+      renders: record.renders,
+      identityOnlyRenders: record.identityOnlyRenders,
+      totalMs: formatDuration(record.totalDuration),
+      averageMs: formatDuration(
+        record.commits > 0 ? record.totalDuration / record.commits : 0
+      ),
+      maxMs: formatDuration(record.maxDuration),
+      lastChanges: record.lastChanges
+        .map((change) => `${change.name} (${change.kind})`)
+        .join(", "),
+    };
+  });
+}
+
+/**
+ * logProfilerSummary
+ *
+ * Prints the summary with `console.table`.
+ */
+export function logProfilerSummary() {
+  console.table(getProfilerSummary());
+}
+
+/**
+ * resetProfiler
+ *
+ * Clears the recorded measurements, for all ids or only for the ids passed in.
+ */
+export function resetProfiler(ids) {
+  pendingUpdates = [];
+  profilerStore.setState((records) => {
+    if (!ids) return {};
+    const nextRecords = { ...records };
+    ids.forEach((id) => delete nextRecords[id]);
+    return nextRecords;
+  });
+}
+
+/**
+ * ProfilerSummary
+ *
+ * Renders the recorded measurements as a table. Pass `ids` to only show some of them.
+ */
+export function ProfilerSummary({ ids }) {
+  const records = useStore(profilerStore);
+  const rows = getProfilerSummary(records).filter(
+    (row) => !ids || ids.includes(row.id)
+  );
+
+  return (
+    <div>
+      <table>
+        <thead>
+          <tr>
+            <th>Id</th>
+            <th>Commits</th>
+            <th>Renders</th>
+            <th>Identity-only renders</th>
+            <th>Total (ms)</th>
+            <th>Average (ms)</th>
+            <th>Max (ms)</th>
+            <th>Last changed props</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row.id}>
+              <td>{row.id}</td>
+              <td>{row.commits}</td>
+              <td>{row.renders}</td>
+              <td>{row.identityOnlyRenders}</td>
+              <td>{row.totalMs}</td>
+              <td>{row.averageMs}</td>
+              <td>{row.maxMs}</td>
+              <td>{row.lastChanges}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button onClick={() => resetProfiler(ids)}>Reset</button>
+      <button onClick={logProfilerSummary}>Log to console</button>
+    </div>
+  );
+}
+
+/**
+ * Example 1: Measuring React.memo and useCallback
+ *
+ * This example renders the same list three times: without `React.memo`, with `React.memo` but an inline callback,
+ * and with `React.memo` plus a `useCallback` callback. Each list is wrapped in a `RenderProfiler`.
+ * Clicking "Re-render parent" shows that only the last list skips its rows; the middle one re-renders every row
+ * because the inline callback is a new function (an identity-only change) on each render.
+ *
+ * Use Case: Useful for checking that a memoization actually pays off before keeping it in the code.
+ */
+const rows = Array.from({ length: 20 }, (_, index) => ({
+  id: index + 1,
+  label: `Row ${index + 1}`,
+}));
+
+function PlainRow({ row, onSelect }) {
+  useWhyDidYouRender("PlainRow", { row, onSelect });
+  return <li onClick={() => onSelect(row.id)}>{row.label}</li>;
+}
+
+const MemoRow = memo(function MemoRow({ name, row, onSelect }) {
+  useWhyDidYouRender(name, { row, onSelect });
+  return <li onClick={() => onSelect(row.id)}>{row.label}</li>;
+});
+
+function MemoizationComparison() {
+  const [count, setCount] = useState(0);
+  const [selectedId, setSelectedId] = useState(null);
+  const handleSelect = useCallback((id) => setSelectedId(id), []);
+
+  return (
+    <div>
+      <h1>RenderProfiler Example - React.memo and useCallback</h1>
+      <button onClick={() => setCount(count + 1)}>
+        Re-render parent ({count})
+      </button>
+      <p>Selected row: {selectedId ?? "none"}</p>
+      <RenderProfiler id="Without memo">
+        <ul>
+          {rows.map((row) => (
+            <PlainRow
+              key={row.id}
+              row={row}
+              onSelect={(id) => setSelectedId(id)}
+            />
+          ))}
+        </ul>
+      </RenderProfiler>
+      <RenderProfiler id="memo + inline callback">
+        <ul>
+          {rows.map((row) => (
+            <MemoRow
+              key={row.id}
+              name="MemoRow (inline)"
+              row={row}
+              onSelect={(id) => setSelectedId(id)}
+            />
+          ))}
+        </ul>
+      </RenderProfiler>
+      <RenderProfiler id="memo + useCallback">
+        <ul>
+          {rows.map((row) => (
+            <MemoRow
+              key={row.id}
+              name="MemoRow (useCallback)"
+              row={row}
+              onSelect={handleSelect}
+            />
+          ))}
+        </ul>
+      </RenderProfiler>
+    </div>
+  );
+}
+
+/**
+ * Example 2: Finding Out Why a Component Rendered
+ *
+ * This example passes a `style` object literal and a color to a memoized `Badge`.
+ * `useWhyDidYouRender` returns the changed props: re-rendering the parent reports `style (identity)`,
+ * while picking another color reports `color (value)` and `style (value)`.
+ *
+ * Use Case: Useful for tracking down which prop defeats `React.memo` on a component.
+ */
+const Badge = memo(function Badge({ color, style }) {
+  const changes = useWhyDidYouRender("Badge", { color, style });
+  const renders = useRenderCount();
+
+  return (
+    <div>
+      <span style={style}>{color} badge</span>
+      <p>Rendered {renders} times.</p>
+      <p>
+        Last render:{" "}
+        {changes.length > 0
+          ? changes
+              .map((change) => `${change.name} (${change.kind})`)
+              .join(", ")
+          : "no prop changes"}
+      </p>
+    </div>
+  );
+});
+
+function WhyDidYouRenderExample() {
+  const [color, setColor] = useState("tomato");
+  const [count, setCount] = useState(0);
+
+  return (
+    <div>
+      <h1>RenderProfiler Example - Why Did You Render</h1>
+      <button onClick={() => setCount(count + 1)}>
+        Re-render parent ({count})
+      </button>
+      <button onClick={() => setColor(color === "tomato" ? "teal" : "tomato")}>
+        Change color
+      </button>
+      <Badge color={color} style={{ color, fontWeight: "bold" }} />
+    </div>
+  );
+}
+
+// Combine all components into a single display
+function App() {
+  return (
+    <div>
+      <h1>RenderProfiler Examples</h1>
+      <MemoizationComparison />
+      <hr />
+      <WhyDidYouRenderExample />
+      <hr />
+      <h2>Summary</h2>
+      <ProfilerSummary />
+    </div>
+  );
+}
+
+export default App;
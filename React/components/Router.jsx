@@ -0,0 +1,987 @@
+/**
+ * This file demonstrates how to build a small client-side router on top of `useTransition` and Suspense.
+ *
+ * `<Router>` reads its `<Route>` children as a route tree, matches the current location against it, and renders the matched
+ * routes as nested layouts: every layout renders its child route through `<Outlet />`.
+ * Navigations are wrapped in `startTransition`, so the previous page stays visible while the next one suspends on its
+ * `lazy` component or its `loader` data (both are cached with `createResource`).
+ *
+ * --- What Router does ---
+ * 1. It matches paths like `users/:userId` and `files/*`, and exposes the current location, params and query string through `useLocation`, `useParams` and `useSearchParams`.
+ * 2. It navigates with `<Link>` and `useNavigate`, on top of the History API (`createBrowserHistory`) or an in-memory history (`createMemoryHistory`) for tests and embedded demos.
+ * 3. It preloads a route's code and data when a link is hovered, and restores the scroll position when the user goes back or forward.
+ *
+ * --- When to use Router ---
+ * 1. When an app has several pages that should have their own URLs and work with the back and forward buttons.
+ * 2. When pages share layouts (a header, a sidebar) that should stay mounted while the page inside them changes.
+ * 3. When pages load code or data, and the previous page should stay visible until the next one is ready.
+ *
+ * --- When to be careful ---
+ * 1. Define `lazy` and `loader` functions at module level; they are cache keys, so a new function on every render would load forever.
+ * 2. Routes are matched in the order they are declared, and nested `path`s are relative to their parent; put `path="*"` routes last.
+ * 3. Loader data is cached per URL for the session, so going back shows it instantly; call `useRevalidate()` after a change to load it again.
+ *
+ * --- Related Hooks ---
+ * - `useTransition`: Keeps the previous page visible while the next one loads; `useNavigation().isPending` is `true` meanwhile.
+ * - `useContext`: Routes read the location, params and their outlet from context.
+ * - `useLayoutEffect`: Restores the scroll position before the browser paints the new page.
+ */
+
+import React, {
+  Suspense,
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useLayoutEffect,
+  useMemo,
+  useRef,
+  useState,
+  useTransition,
+} from "react";
+import { createResource } from "../custom-hooks/createResource";
+import {
+  AuthProvider,
+  RequireAuth,
+  createMockAuthApi,
+  useAuth,
+} from "../custom-hooks/useAuth";
+
+const useIsomorphicLayoutEffect =
+  typeof window !== "undefined" ? useLayoutEffect : useEffect;
+
+const createKey = () => Math.random().toString(36).slice(2, 10);
+
+const parsePath = (path) => {
+  let pathname = path;
+  let search = "";
+  let hash = "";
+  const hashIndex = pathname.indexOf("#");
+  if (hashIndex >= 0) {
+    hash = pathname.slice(hashIndex);
+    pathname = pathname.slice(0, hashIndex);
+  }
+  const searchIndex = pathname.indexOf("?");
+  if (searchIndex >= 0) {
+    search = pathname.slice(searchIndex);
+    pathname = pathname.slice(0, searchIndex);
+  }
+  return {
+    pathname,
+    search: search === "?" ? "" : search,
+    hash: hash === "#" ? "" : hash,
+  };
+};
+
+const createPath = ({ pathname, search, hash }) => pathname + search + hash;
+
+const isSameLocation = (a, b) =>
+  a.key === b.key && createPath(a) === createPath(b);
+
+/**
+ * createBrowserHistory
+ *
+ * Creates a history on top of `window.history`, for apps whose pages have real URLs.
+ * Returns `{ type, location, push(to, state), replace(to, state), go(delta), createHref(to), listen(listener) }`;
+ * listeners receive `{ location, action }`, where `action` is "PUSH", "REPLACE" or "POP" (back and forward).
+ */
+export function createBrowserHistory() {
+  const listeners = new Set();
+
+  // Every entry stores a `key` next to the user's state, so scroll positions can be saved per entry.
+  const readLocation = () => {
+    const entry = window.history.state || {};
+    return {
+      pathname: window.location.pathname,
+      search: window.location.search,
+      hash: window.location.hash,
+      state: entry.usr ?? null,
+      key: entry.key ?? "default",
+    };
+  };
+
+  let location = readLocation();
+
+  const notify = (action) => {
+    listeners.forEach((listener) => listener({ location, action }));
+  };
+
+  const handlePopState = () => {
+    location = readLocation();
+    notify("POP");
+  };
+
+  const change = (action, to, state) => {
+    const entry = { usr: state ?? null, key: createKey() };
+    if (action === "PUSH") window.history.pushState(entry, "", to);
+    else window.history.replaceState(entry, "", to);
+    location = readLocation();
+    notify(action);
+  };
+
+  return {
+    type: "browser",
+    get location() {
+      return location;
+    },
+    push: (to, state) => change("PUSH", to, state),
+    replace: (to, state) => change("REPLACE", to, state),
+    go: (delta) => window.history.go(delta),
+    createHref: (to) => to,
+    listen: (listener) => {
+      if (listeners.size === 0) {
+        // The URL may have changed while nobody was listening.
+        const current = readLocation();
+        if (!isSameLocation(current, location)) location = current;
+        window.addEventListener("popstate", handlePopState);
+      }
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0) {
+          window.removeEventListener("popstate", handlePopState);
+        }
+      };
+    },
+  };
+}
+
+/**
+ * createMemoryHistory
+ *
+ * Creates a history that keeps its entries in memory, with the same API as `createBrowserHistory`.
+ * Useful for tests, server rendering and demos embedded in a page that already has its own URL.
+ * `initialEntries` are paths like "/users/1?tab=posts"; `initialIndex` defaults to the last entry.
+ */
+export function createMemoryHistory({
+  initialEntries = ["/"],
+  initialIndex,
+} = {}) {
+  const listeners = new Set();
+  const createEntry = (to, state, key) => ({ ...parsePath(to), state, key });
+
+  const entries = initialEntries.map((entry, index) =>
+    createEntry(entry, null, index === 0 ? "default" : createKey())
+  );
+  let index = Math.min(
+    Math.max(initialIndex ?? entries.length - 1, 0),
+    entries.length - 1
+  );
+
+  const notify = (action) => {
+    listeners.forEach((listener) =>
+      listener({ location: entries[index], action })
+    );
+  };
+
+  return {
+    type: "memory",
+    get location() {
+      return entries[index];
+    },
+    push: (to, state) => {
+      entries.splice(
+        index + 1,
+        entries.length,
+        createEntry(to, state ?? null, createKey())
+      );
+      index += 1;
+      notify("PUSH");
+    },
+    replace: (to, state) => {
+      entries[index] = createEntry(to, state ?? null, createKey());
+      notify("REPLACE");
+    },
+    go: (delta) => {
+      const nextIndex = Math.min(
+        Math.max(index + delta, 0),
+        entries.length - 1
+      );
+      if (nextIndex === index) return;
+      index = nextIndex;
+      notify("POP");
+    },
+    createHref: (to) => to,
+    listen: (listener) => {
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+  };
+}
+
+const splitPath = (path) => path.split("/").filter(Boolean);
+
+const joinSegments = (segments) => `/${segments.join("/")}`;
+
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+};
+
+// Relative paths ("edit", "../2") are resolved against `routePathname`; paths with only a query string or hash stay on the current page.
+const resolvePath = (to, routePathname, locationPathname) => {
+  const { pathname, search, hash } = parsePath(to);
+  if (!pathname) return locationPathname + search + hash;
+
+  const segments = pathname.startsWith("/") ? [] : splitPath(routePathname);
+  splitPath(pathname).forEach((segment) => {
+    if (segment === "..") segments.pop();
+    else if (segment !== ".") segments.push(segment);
+  });
+  return joinSegments(segments) + search + hash;
+};
+
+/**
+ * Route
+ *
+ * Declares a route inside `Router`. It renders nothing itself; `Router` reads its props:
+ * - `path`: relative to the parent route, with `:name` params and a trailing `*` that matches the rest of the path.
+ *   Without `path`, the route is a layout that only wraps its children. `index` marks the child shown at the parent's own path.
+ * - `element`: what to render. A route without `element` renders its child route.
+ * - `lazy`: `() => import("./Page")`; the route suspends until the module loads and renders its default export.
+ * - `loader`: `({ params, searchParams }) => Promise`; the route suspends until it resolves, and `useLoaderData` returns the value.
+ */
+export function Route() {
+  throw new Error("Route must be used within Router");
+}
+
+const createRoutesFromChildren = (children) => {
+  const routes = [];
+  React.Children.forEach(children, (child) => {
+    if (!React.isValidElement(child)) return;
+    if (child.type === React.Fragment) {
+      routes.push(...createRoutesFromChildren(child.props.children));
+      return;
+    }
+    if (child.type !== Route) {
+      throw new Error("Router children must be Route elements");
+    }
+    const { path, index = false, element, lazy, loader } = child.props;
+    routes.push({
+      path,
+      index,
+      element,
+      lazy,
+      loader,
+      children: createRoutesFromChildren(child.props.children),
+    });
+  });
+  return routes;
+};
+
+// Returns the matched routes from the outermost layout to the page, or `null` when nothing matches.
+const matchRoutes = (
+  routes,
+  segments,
+  parentParams = {},
+  parentSegments = []
+) => {
+  for (const route of routes) {
+    if (route.index) {
+      if (segments.length === 0) {
+        return [
+          {
+            route,
+            params: parentParams,
+            pathname: joinSegments(parentSegments),
+          },
+        ];
+      }
+      continue;
+    }
+
+    const params = { ...parentParams };
+    let consumed = 0;
+    let isMatch = true;
+    for (const patternSegment of splitPath(route.path ?? "")) {
+      if (patternSegment === "*") {
+        params["*"] = segments.slice(consumed).map(decodeSegment).join("/");
+        consumed = segments.length;
+        break;
+      }
+      const segment = segments[consumed];
+      if (segment === undefined) {
+        isMatch = false;
+        break;
+      }
+      if (patternSegment.startsWith(":")) {
+        params[patternSegment.slice(1)] = decodeSegment(segment);
+      } else if (patternSegment !== decodeSegment(segment)) {
+        isMatch = false;
+        break;
+      }
+      consumed += 1;
+    }
+    if (!isMatch) continue;
+
+    const routeSegments = [...parentSegments, ...segments.slice(0, consumed)];
+    const match = { route, params, pathname: joinSegments(routeSegments) };
+    const rest = segments.slice(consumed);
+
+    if (route.children.length > 0) {
+      const childMatches = matchRoutes(
+        route.children,
+        rest,
+        params,
+        routeSegments
+      );
+      if (childMatches) return [match, ...childMatches];
+    }
+    if (rest.length === 0) return [match];
+  }
+  return null;
+};
+
+// One resource per `lazy` and `loader` function, so every route using the same function shares the cache.
+const lazyResources = new WeakMap();
+const loaderResources = new WeakMap();
+
+const getLazyResource = (lazy) => {
+  if (!lazyResources.has(lazy)) {
+    lazyResources.set(
+      lazy,
+      createResource(() =>
+        Promise.resolve(lazy()).then((module) => module.default ?? module)
+      )
+    );
+  }
+  return lazyResources.get(lazy);
+};
+
+const getLoaderResource = (loader) => {
+  if (!loaderResources.has(loader)) {
+    loaderResources.set(
+      loader,
+      // Callers also pass a revision, which only becomes part of the cache key, so `useRevalidate` can load fresh data
+      // without dropping the data on screen.
+      createResource((pathname, params, search) =>
+        loader({ params, searchParams: new URLSearchParams(search) })
+      )
+    );
+  }
+  return loaderResources.get(loader);
+};
+
+// Starts loading the code and data of every matched route at once, instead of one nested route after the other.
+const preloadMatches = (matches, search, revision) => {
+  matches.forEach(({ route, pathname, params }) => {
+    if (route.lazy) getLazyResource(route.lazy).preload();
+    if (route.loader) {
+      getLoaderResource(route.loader).preload(
+        pathname,
+        params,
+        search,
+        revision
+      );
+    }
+  });
+};
+
+const RouterContext = createContext(null);
+const RouteContext = createContext(null);
+
+function useRouterContext(name) {
+  const context = useContext(RouterContext);
+  if (!context) {
+    throw new Error(`${name} must be used within Router`);
+  }
+  return context;
+}
+
+function RouteElement({ match, location, revision, outlet }) {
+  const { route, pathname, params } = match;
+  const Component = route.lazy ? getLazyResource(route.lazy).read() : null;
+  const data = route.loader
+    ? getLoaderResource(route.loader).read(
+        pathname,
+        params,
+        location.search,
+        revision
+      )
+    : undefined;
+
+  let element = outlet;
+  if (Component) element = <Component />;
+  else if (route.element !== undefined) element = route.element;
+
+  return (
+    <RouteContext.Provider value={{ pathname, outlet, data }}>
+      {element}
+    </RouteContext.Provider>
+  );
+}
+
+/**
+ * Router
+ *
+ * Renders the routes declared as `<Route>` children that match the current location.
+ * Props: `history` (defaults to a browser history; it is read once), `fallback` (shown while the first page loads),
+ * and `scrollRestoration` (defaults to `true` for browser histories).
+ */
+export function Router({
+  history: historyProp,
+  fallback = null,
+  scrollRestoration,
+  children,
+}) {
+  const [history] = useState(
+    () =>
+      historyProp ??
+      (typeof window !== "undefined"
+        ? createBrowserHistory()
+        : createMemoryHistory())
+  );
+  const shouldRestoreScroll =
+    (scrollRestoration ?? history.type === "browser") &&
+    typeof window !== "undefined";
+
+  // The location is kept in state instead of `useSyncExternalStore`, because only state updates can be transitions.
+  const [{ location, action }, setState] = useState(() => ({
+    location: history.location,
+    action: "POP",
+  }));
+  // The location being navigated to. It is updated right away, while `location` waits for the next page.
+  const [pendingLocation, setPendingLocation] = useState(null);
+  const [revision, setRevision] = useState(0);
+  const [isPending, startTransition] = useTransition();
+
+  const latestLocationRef = useRef(location);
+  const scrollPositionsRef = useRef(new Map());
+
+  useEffect(() => {
+    const handleChange = ({ location: nextLocation, action: nextAction }) => {
+      if (shouldRestoreScroll) {
+        scrollPositionsRef.current.set(
+          latestLocationRef.current.key,
+          window.scrollY
+        );
+      }
+      latestLocationRef.current = nextLocation;
+      setPendingLocation(nextLocation);
+      startTransition(() => {
+        setState({ location: nextLocation, action: nextAction });
+      });
+    };
+
+    const unlisten = history.listen(handleChange);
+    // The location may have changed between the render and this effect.
+    if (!isSameLocation(history.location, latestLocationRef.current)) {
+      handleChange({ location: history.location, action: "POP" });
+    }
+    return unlisten;
+  }, [history, shouldRestoreScroll]);
+
+  // The browser would restore the scroll position before the next page has loaded, so the router does it instead.
+  useEffect(() => {
+    if (!shouldRestoreScroll || history.type !== "browser") return;
+    const previous = window.history.scrollRestoration;
+    window.history.scrollRestoration = "manual";
+    return () => {
+      window.history.scrollRestoration = previous;
+    };
+  }, [history, shouldRestoreScroll]);
+
+  const scrolledLocationRef = useRef(location);
+  useIsomorphicLayoutEffect(() => {
+    if (!shouldRestoreScroll || scrolledLocationRef.current === location) {
+      return;
+    }
+    scrolledLocationRef.current = location;
+
+    const savedPosition = scrollPositionsRef.current.get(location.key);
+    const target = location.hash
+      ? document.getElementById(decodeURIComponent(location.hash.slice(1)))
+      : null;
+    if (action === "POP" && savedPosition !== undefined) {
+      window.scrollTo(0, savedPosition);
+    } else if (target) {
+      target.scrollIntoView();
+    } else {
+      window.scrollTo(0, 0);
+    }
+  }, [location, action, shouldRestoreScroll]);
+
+  const routes = createRoutesFromChildren(children);
+  const matches = matchRoutes(routes, splitPath(location.pathname));
+  if (matches) preloadMatches(matches, location.search, revision);
+
+  // The latest routes and revision, so `preload` keeps its identity across renders.
+  const latestRef = useRef(null);
+  latestRef.current = { routes, revision };
+
+  const navigate = useCallback(
+    (to, { replace = false, state, from = "/" } = {}) => {
+      if (typeof to === "number") {
+        history.go(to);
+        return;
+      }
+      const path = resolvePath(to, from, history.location.pathname);
+      if (replace) history.replace(path, state);
+      else history.push(path, state);
+    },
+    [history]
+  );
+
+  const preload = useCallback((path) => {
+    const { pathname, search } = parsePath(path);
+    const nextMatches = matchRoutes(
+      latestRef.current.routes,
+      splitPath(pathname)
+    );
+    if (nextMatches) {
+      preloadMatches(nextMatches, search, latestRef.current.revision);
+    }
+  }, []);
+
+  const revalidate = useCallback(() => {
+    startTransition(() => {
+      setRevision((current) => current + 1);
+    });
+  }, []);
+
+  let outlet = null;
+  if (matches) {
+    for (let i = matches.length - 1; i >= 0; i--) {
+      outlet = (
+        <RouteElement
+          match={matches[i]}
+          location={location}
+          revision={revision}
+          outlet={outlet}
+        />
+      );
+    }
+  }
+
+  const contextValue = {
+    history,
+    location,
+    params: matches ? matches[matches.length - 1].params : {},
+    isPending,
+    pendingLocation: isPending ? pendingLocation : null,
+    navigate,
+    preload,
+    revalidate,
+  };
+
+  return (
+    <RouterContext.Provider value={contextValue}>
+      <Suspense fallback={fallback}>{outlet}</Suspense>
+    </RouterContext.Provider>
+  );
+}
+
+/**
+ * Outlet
+ *
+ * Renders the child route of the current layout route, or nothing when no child route matches.
+ */
+export function Outlet() {
+  const route = useContext(RouteContext);
+  return route ? route.outlet : null;
+}
+
+/**
+ * useNavigate
+ *
+ * Returns a stable `navigate(to, { replace, state })` function. `to` is a path, relative to the current route unless it starts with "/",
+ * or a number to move through the history (`navigate(-1)` goes back).
+ */
+export function useNavigate() {
+  const { navigate } = useRouterContext("useNavigate");
+  const route = useContext(RouteContext);
+  const routePathnameRef = useRef("/");
+  routePathnameRef.current = route ? route.pathname : "/";
+
+  return useCallback(
+    (to, options = {}) =>
+      navigate(to, { ...options, from: routePathnameRef.current }),
+    [navigate]
+  );
+}
+
+/**
+ * useLocation
+ *
+ * Returns the current `{ pathname, search, hash, state, key }`. During a navigation it is still the previous page's location.
+ */
+export function useLocation() {
+  return useRouterContext("useLocation").location;
+}
+
+/**
+ * useParams
+ *
+ * Returns the params of the matched routes, such as `{ userId: "1" }` for `users/:userId`. The rest of a `*` path is in `params["*"]`.
+ */
+export function useParams() {
+  return useRouterContext("useParams").params;
+}
+
+/**
+ * useSearchParams
+ *
+ * Returns `[searchParams, setSearchParams]`, where `searchParams` is a `URLSearchParams` for the current query string.
+ * `setSearchParams(next, { replace, state })` navigates to the same page with a new query string; `next` is anything
+ * `URLSearchParams` accepts, or a function that receives the current params.
+ */
+export function useSearchParams() {
+  const { history, location, navigate } = useRouterContext("useSearchParams");
+  const searchParams = useMemo(
+    () => new URLSearchParams(location.search),
+    [location.search]
+  );
+
+  const setSearchParams = useCallback(
+    (next, options) => {
+      const nextParams = new URLSearchParams(
+        typeof next === "function"
+          ? next(new URLSearchParams(history.location.search))
+          : next
+      );
+      const search = nextParams.toString();
+      navigate(search ? `?${search}` : "?", options);
+    },
+    [history, navigate]
+  );
+
+  return [searchParams, setSearchParams];
+}
+
+/**
+ * useNavigation
+ *
+ * Returns `{ isPending, location }`: whether a navigation is waiting for the next page, and the location it is going to.
+ */
+export function useNavigation() {
+  const { isPending, pendingLocation } = useRouterContext("useNavigation");
+  return { isPending, location: pendingLocation };
+}
+
+/**
+ * useLoaderData
+ *
+ * Returns the value the current route's `loader` resolved to.
+ */
+export function useLoaderData() {
+  const route = useContext(RouteContext);
+  if (!route) {
+    throw new Error("useLoaderData must be used within a Route");
+  }
+  return route.data;
+}
+
+/**
+ * useRevalidate
+ *
+ * Returns a function that loads the data of the current routes again. The page stays visible until the new data is ready.
+ */
+export function useRevalidate() {
+  return useRouterContext("useRevalidate").revalidate;
+}
+
+/**
+ * Link
+ *
+ * An `<a>` that navigates without reloading the page. Clicks with a modifier key or on `target="_blank"` links are left to the browser.
+ * Hovering or focusing the link preloads the code and data of the page it points to. The link to the current page has `aria-current="page"`.
+ */
+export function Link({
+  to,
+  replace = false,
+  state,
+  onClick,
+  onMouseEnter,
+  onFocus,
+  children,
+  ...props
+}) {
+  const { history, location, navigate, preload } = useRouterContext("Link");
+  const route = useContext(RouteContext);
+  const path = resolvePath(to, route ? route.pathname : "/", location.pathname);
+  const isCurrent = parsePath(path).pathname === location.pathname;
+
+  const handleClick = (e) => {
+    if (onClick) onClick(e);
+    if (
+      e.defaultPrevented ||
+      e.button !== 0 ||
+      e.metaKey ||
+      e.altKey ||
+      e.ctrlKey ||
+      e.shiftKey ||
+      (props.target && props.target !== "_self")
+    ) {
+      return;
+    }
+    e.preventDefault();
+    navigate(path, { replace, state });
+  };
+
+  return (
+    <a
+      {...props}
+      href={history.createHref(path)}
+      aria-current={isCurrent ? "page" : undefined}
+      onClick={handleClick}
+      onMouseEnter={(e) => {
+        if (onMouseEnter) onMouseEnter(e);
+        preload(path);
+      }}
+      onFocus={(e) => {
+        if (onFocus) onFocus(e);
+        preload(path);
+      }}
+    >
+      {children}
+    </a>
+  );
+}
+
+/**
+ * Example 1: Nested Layouts, Params and Lazy Pages
+ *
+ * This example uses the browser history, so every page has its own URL and the back and forward buttons work.
+ * The root layout renders the navigation; the users layout renders a searchable list whose query is kept in `?q=`,
+ * and the selected user inside it through `<Outlet />`. User data comes from loaders, and the settings page is loaded lazily.
+ * While the next page loads, the previous one stays visible and "Loading..." is shown next to the links.
+ *
+ * Use Case: Useful for apps with list and detail pages that share a layout.
+ */
+const exampleUsers = [
+  { id: "1", name: "Ada Lovelace", role: "Mathematician" },
+  { id: "2", name: "Alan Turing", role: "Computer scientist" },
+  { id: "3", name: "Grace Hopper", role: "Rear admiral" },
+];
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const loadUsers = async ({ searchParams }) => {
+  await delay(300);
+  const query = (searchParams.get("q") ?? "").toLowerCase();
+  return exampleUsers.filter((user) => user.name.toLowerCase().includes(query));
+};
+
+const loadUser = async ({ params }) => {
+  await delay(800);
+  return {
+    ...exampleUsers.find((user) => user.id === params.userId),
+    loadedAt: new Date(),
+  };
+};
+
+function SettingsPage() {
+  return <p>Settings: this page was loaded on demand.</p>;
+}
+
+// Stands in for `() => import("./SettingsPage")`.
+const loadSettingsPage = () =>
+  delay(500).then(() => ({ default: SettingsPage }));
+
+function RootLayout() {
+  const { isPending } = useNavigation();
+
+  return (
+    <div>
+      <nav>
+        <Link to="/">Home</Link> | <Link to="/users">Users</Link> |{" "}
+        <Link to="/settings">Settings</Link>
+        {isPending && <span> Loading...</span>}
+      </nav>
+      <Outlet />
+    </div>
+  );
+}
+
+function UsersLayout() {
+  const users = useLoaderData();
+  const [searchParams, setSearchParams] = useSearchParams();
+  // The input keeps its own state, because the query string only changes once the filtered list has loaded.
+  const [query, setQuery] = useState(searchParams.get("q") ?? "");
+  const search = searchParams.toString();
+
+  const handleQueryChange = (e) => {
+    setQuery(e.target.value);
+    setSearchParams(e.target.value ? { q: e.target.value } : {}, {
+      replace: true,
+    });
+  };
+
+  return (
+    <div style={{ display: "flex", gap: "20px" }}>
+      <div>
+        <input
+          value={query}
+          onChange={handleQueryChange}
+          placeholder="Search users..."
+        />
+        <ul>
+          {users.map((user) => (
+            <li key={user.id}>
+              <Link to={`${user.id}${search ? `?${search}` : ""}`}>
+                {user.name}
+              </Link>
+            </li>
+          ))}
+        </ul>
+      </div>
+      <Outlet />
+    </div>
+  );
+}
+
+function UserDetails() {
+  const user = useLoaderData();
+  const { userId } = useParams();
+  const revalidate = useRevalidate();
+
+  if (!user.name) return <p>No user with id {userId}.</p>;
+
+  return (
+    <div>
+      <h2>{user.name}</h2>
+      <p>{user.role}</p>
+      <p>Loaded at {user.loadedAt.toLocaleTimeString()}</p>
+      <button onClick={revalidate}>Reload</button>
+    </div>
+  );
+}
+
+function NotFound() {
+  const { pathname } = useLocation();
+  return (
+    <p>
+      No page at {pathname}. <Link to="/">Go home</Link>
+    </p>
+  );
+}
+
+function NestedRoutesExample() {
+  return (
+    <div>
+      <h1>Router Example - Nested Layouts</h1>
+      <Router fallback={<p>Loading page...</p>}>
+        <Route path="/" element={<RootLayout />}>
+          <Route index element={<p>Welcome! Pick a page above.</p>} />
+          <Route path="users" element={<UsersLayout />} loader={loadUsers}>
+            <Route index element={<p>Select a user.</p>} />
+            <Route path=":userId" element={<UserDetails />} loader={loadUser} />
+          </Route>
+          <Route path="settings" lazy={loadSettingsPage} />
+          <Route path="*" element={<NotFound />} />
+        </Route>
+      </Router>
+    </div>
+  );
+}
+
+/**
+ * Example 2: Redirecting to a Login Page with Memory History
+ *
+ * This example starts at "/admin" in an in-memory history, so it does not change the page's URL.
+ * `RequireAuth` from `custom-hooks/useAuth.jsx` receives a `navigate` built on `useNavigate`, so signed-out users are redirected to "/login"
+ * without a page load. The redirect replaces the history entry, so the Back button does not lead to "/admin" and straight back to "/login".
+ * After signing in, the login page navigates back to "/admin"; the Back and Forward buttons use `navigate(-1)` and `navigate(1)`.
+ *
+ * Use Case: Useful for protected pages, and for testing routes without a browser.
+ */
+const adminHistory = createMemoryHistory({ initialEntries: ["/admin"] });
+
+const adminAuthApi = createMockAuthApi({
+  users: { alice: { password: "admin", roles: ["admin"], permissions: [] } },
+  tokenLifetime: 20000,
+});
+
+function AdminShell() {
+  const navigate = useNavigate();
+  const { pathname } = useLocation();
+
+  return (
+    <div>
+      <p>
+        Current path: <code>{pathname}</code>
+      </p>
+      <button onClick={() => navigate(-1)}>Back</button>
+      <button onClick={() => navigate(1)}>Forward</button>
+      <Link to="/admin">Admin</Link> | <Link to="/login">Login</Link>
+      <Outlet />
+    </div>
+  );
+}
+
+function LoginPage() {
+  const { isAuthenticated, login, logout } = useAuth();
+  const navigate = useNavigate();
+
+  const handleLogin = () => {
+    login({ username: "alice", password: "admin" })
+      .then(() => navigate("/admin"))
+      .catch(() => {});
+  };
+
+  return isAuthenticated ? (
+    <button onClick={logout}>Sign out</button>
+  ) : (
+    <button onClick={handleLogin}>Sign in as alice</button>
+  );
+}
+
+function AdminPage() {
+  const navigate = useNavigate();
+  // Replace "/admin" with "/login", so going back from the login page does not redirect to it again.
+  const redirect = useCallback(
+    (to) => navigate(to, { replace: true }),
+    [navigate]
+  );
+
+  return (
+    <RequireAuth
+      roles={["admin"]}
+      redirectTo="/login"
+      navigate={redirect}
+      loadingFallback={<p>Checking access...</p>}
+    >
+      <p>Admin dashboard</p>
+    </RequireAuth>
+  );
+}
+
+function ProtectedRoutesExample() {
+  return (
+    <div>
+      <h1>Router Example - Protected Routes</h1>
+      <AuthProvider
+        api={adminAuthApi}
+        refreshMargin={5000}
+        storageKey="router-example-session"
+        channelName="router-example-auth"
+      >
+        <Router history={adminHistory}>
+          <Route path="/" element={<AdminShell />}>
+            <Route path="admin" element={<AdminPage />} />
+            <Route path="login" element={<LoginPage />} />
+          </Route>
+        </Router>
+      </AuthProvider>
+    </div>
+  );
+}
+
+// Combine all components into a single display
+function App() {
+  return (
+    <div>
+      <h1>Router Examples</h1>
+      <NestedRoutesExample />
+      <hr />
+      <ProtectedRoutesExample />
+    </div>
+  );
+}
+
+export default App;
@@ -0,0 +1,379 @@
+/**
+ * This file demonstrates how to build an accessible, compound `Tabs` component: `<Tabs>`, `<TabList>`, `<Tab>` and `<TabPanel>`.
+ *
+ * It replaces the plain buttons of `TabContainer` in `hooks/useTransition.jsx` with the WAI-ARIA tabs pattern: screen readers announce
+ * a tab list with selected and unselected tabs, keyboard users move between tabs with the arrow keys, and switching tabs
+ * happens in a transition so a slow panel does not freeze the tab list.
+ *
+ * --- What Tabs does ---
+ * 1. It renders `role="tablist"`, `role="tab"` and `role="tabpanel"` elements linked with `aria-controls` and `aria-labelledby` ids from `useId`.
+ * 2. It uses a roving tabindex: only the selected tab is in the Tab order, and Arrow keys, Home and End move between tabs.
+ * 3. It switches panels inside `startTransition`, renders panels lazily, eagerly or keeps them alive, and can sync the selected tab with the URL.
+ *
+ * --- When to use Tabs ---
+ * 1. When related content is split into sections and only one section is shown at a time, such as settings pages or product details.
+ * 2. When a panel is expensive to render and the tab list should stay responsive while it renders (`useTransition`).
+ * 3. When the selected tab should survive a reload or be shareable as a link (`urlParam`).
+ *
+ * --- When to be careful ---
+ * 1. Give the `TabList` an `aria-label` (or `aria-labelledby`) that describes the group of tabs.
+ * 2. Tab `value`s must be unique within their `Tabs`, and `defaultValue` (or `value`) must match one of them.
+ * 3. Lazy panels lose their state when hidden; use `mode="keep-alive"` for panels with forms or scroll positions that should be kept.
+ *
+ * --- Related Hooks ---
+ * - `useId`: Generates the ids that link every tab to its panel.
+ * - `useTransition`: Marks tab switches as transitions; `useTabs().isPending` is `true` while the next panel renders.
+ * - `useContext`: The compound components share the selected value through context.
+ */
+
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useId,
+  useLayoutEffect,
+  useRef,
+  useState,
+  useTransition,
+} from "react";
+
+const useIsomorphicLayoutEffect =
+  typeof window !== "undefined" ? useLayoutEffect : useEffect;
+
+const TabsContext = createContext(null);
+
+function useTabsContext(componentName) {
+  const context = useContext(TabsContext);
+  if (!context) {
+    throw new Error(`${componentName} must be used within Tabs`);
+  }
+  return context;
+}
+
+const toIdPart = (value) => encodeURIComponent(String(value));
+
+const readUrlValue = (urlParam) => {
+  if (!urlParam || typeof window === "undefined") return null;
+  return new URLSearchParams(window.location.search).get(urlParam);
+};
+
+const writeUrlValue = (urlParam, value, urlHistory) => {
+  const url = new URL(window.location.href);
+  url.searchParams.set(urlParam, value);
+  if (urlHistory === "push") {
+    window.history.pushState(window.history.state, "", url);
+  } else {
+    window.history.replaceState(window.history.state, "", url);
+  }
+};
+
+/**
+ * Tabs
+ *
+ * Props: `value` and `onChange` (controlled), `defaultValue`, `orientation` (`"horizontal"` or `"vertical"`),
+ * `activation` (`"automatic"` selects a tab when it receives focus, `"manual"` waits for Enter or Space),
+ * `mode` (`"lazy"`, `"eager"` or `"keep-alive"`, the default for every `TabPanel`),
+ * and `urlParam` with `urlHistory` (`"replace"` or `"push"`) to keep the selected tab in the query string.
+ * An uncontrolled `Tabs` opens the tab named in the URL, or `defaultValue` when the URL names no enabled `Tab`.
+ */
+export function Tabs({
+  value,
+  defaultValue,
+  onChange,
+  orientation = "horizontal",
+  activation = "automatic",
+  mode = "lazy",
+  urlParam,
+  urlHistory = "replace",
+  children,
+}) {
+  const [uncontrolledValue, setUncontrolledValue] = useState(
+    () => readUrlValue(urlParam) ?? defaultValue
+  );
+  const isControlled = value !== undefined;
+  const selectedValue = isControlled ? value : uncontrolledValue;
+
+  // The tab the user picked last. It is shown as selected right away, while the panel catches up in the transition.
+  const [requestedValue, setRequestedValue] = useState(selectedValue);
+  const [isPending, startTransition] = useTransition();
+  const activeValue = isPending ? requestedValue : selectedValue;
+
+  const baseId = useId();
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+
+  // The values of the enabled tabs, so a stale or hand-edited URL cannot select a tab that does not exist.
+  const tabValuesRef = useRef(new Set());
+  const registerTab = useCallback((tabValue) => {
+    tabValuesRef.current.add(tabValue);
+    return () => tabValuesRef.current.delete(tabValue);
+  }, []);
+
+  const select = useCallback(
+    (nextValue, { updateUrl = true } = {}) => {
+      setRequestedValue(nextValue);
+      startTransition(() => {
+        if (!isControlled) setUncontrolledValue(nextValue);
+        if (onChangeRef.current) onChangeRef.current(nextValue);
+      });
+      if (urlParam && updateUrl) writeUrlValue(urlParam, nextValue, urlHistory);
+    },
+    [isControlled, urlParam, urlHistory]
+  );
+
+  // Check the value read from the URL once the tabs have registered (their layout effects run before this one).
+  useIsomorphicLayoutEffect(() => {
+    if (isControlled || !urlParam) return;
+    if (!tabValuesRef.current.has(uncontrolledValue)) {
+      setUncontrolledValue(defaultValue);
+      setRequestedValue(defaultValue);
+      writeUrlValue(urlParam, defaultValue, "replace");
+    }
+  }, []);
+
+  // Follow the back and forward buttons when the tab is stored in the URL.
+  useEffect(() => {
+    if (!urlParam) return;
+    const handlePopState = () => {
+      const urlValue = readUrlValue(urlParam);
+      select(tabValuesRef.current.has(urlValue) ? urlValue : defaultValue, {
+        updateUrl: false,
+      });
+    };
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, [urlParam, defaultValue, select]);
+
+  const contextValue = {
+    baseId,
+    selectedValue,
+    activeValue,
+    isPending,
+    select,
+    registerTab,
+    orientation,
+    activation,
+    mode,
+  };
+
+  return (
+    <TabsContext.Provider value={contextValue}>{children}</TabsContext.Provider>
+  );
+}
+
+/**
+ * TabList
+ *
+ * The container of the `Tab`s. Handles Arrow keys, Home and End. Other props (such as `aria-label`) are passed to the element.
+ */
+export function TabList({ children, ...props }) {
+  const { orientation, activation } = useTabsContext("TabList");
+  const listRef = useRef(null);
+
+  const handleKeyDown = (e) => {
+    const previousKey = orientation === "vertical" ? "ArrowUp" : "ArrowLeft";
+    const nextKey = orientation === "vertical" ? "ArrowDown" : "ArrowRight";
+    if (![previousKey, nextKey, "Home", "End"].includes(e.key)) return;
+
+    // Tabs of nested tab lists are skipped, so only this list's tabs take part.
+    const tabs = Array.from(
+      listRef.current.querySelectorAll('[role="tab"]:not([disabled])')
+    ).filter((tab) => tab.closest('[role="tablist"]') === listRef.current);
+    if (tabs.length === 0) return;
+
+    const currentIndex = tabs.indexOf(document.activeElement);
+    let nextIndex;
+    if (e.key === "Home") nextIndex = 0;
+    else if (e.key === "End") nextIndex = tabs.length - 1;
+    else if (e.key === nextKey) nextIndex = (currentIndex + 1) % tabs.length;
+    else nextIndex = (currentIndex - 1 + tabs.length) % tabs.length;
+
+    e.preventDefault();
+    tabs[nextIndex].focus();
+    if (activation === "automatic") tabs[nextIndex].click();
+  };
+
+  return (
+    <div
+      {...props}
+      ref={listRef}
+      role="tablist"
+      aria-orientation={orientation}
+      onKeyDown={handleKeyDown}
+    >
+      {children}
+    </div>
+  );
+}
+
+/**
+ * Tab
+ *
+ * A button that selects the panel with the same `value`. Pass `disabled` to skip it.
+ */
+export function Tab({ value, disabled = false, children, ...props }) {
+  const { baseId, activeValue, select, registerTab } = useTabsContext("Tab");
+  const isSelected = Object.is(value, activeValue);
+
+  useIsomorphicLayoutEffect(() => {
+    if (!disabled) return registerTab(value);
+  }, [registerTab, value, disabled]);
+
+  return (
+    <button
+      {...props}
+      type="button"
+      role="tab"
+      id={`${baseId}-tab-${toIdPart(value)}`}
+      aria-controls={`${baseId}-panel-${toIdPart(value)}`}
+      aria-selected={isSelected}
+      tabIndex={isSelected ? 0 : -1}
+      disabled={disabled}
+      onClick={() => {
+        if (!isSelected) select(value);
+      }}
+    >
+      {children}
+    </button>
+  );
+}
+
+/**
+ * TabPanel
+ *
+ * The content for the `Tab` with the same `value`. `mode` overrides the `mode` of `Tabs`:
+ * `"lazy"` only renders the selected panel, `"eager"` renders every panel and hides the others,
+ * and `"keep-alive"` renders a panel the first time it is selected and keeps it mounted afterwards.
+ */
+export function TabPanel({ value, mode, children, ...props }) {
+  const context = useTabsContext("TabPanel");
+  const panelMode = mode ?? context.mode;
+  const isSelected = Object.is(value, context.selectedValue);
+
+  const hasBeenSelectedRef = useRef(false);
+  if (isSelected) hasBeenSelectedRef.current = true;
+
+  const shouldRender =
+    isSelected ||
+    panelMode === "eager" ||
+    (panelMode === "keep-alive" && hasBeenSelectedRef.current);
+
+  return (
+    <div
+      {...props}
+      role="tabpanel"
+      id={`${context.baseId}-panel-${toIdPart(value)}`}
+      aria-labelledby={`${context.baseId}-tab-${toIdPart(value)}`}
+      aria-busy={isSelected && context.isPending}
+      tabIndex={0}
+      hidden={!isSelected}
+    >
+      {shouldRender && children}
+    </div>
+  );
+}
+
+/**
+ * useTabs
+ *
+ * Returns `{ value, isPending, select }` for the nearest `Tabs`, for custom tab controls or pending indicators.
+ */
+export function useTabs() {
+  const { selectedValue, isPending, select } = useTabsContext("useTabs");
+  return { value: selectedValue, isPending, select };
+}
+
+/**
+ * Example 1: Keyboard Navigation and Manual Activation
+ *
+ * This example shows a vertical tab list. Focus a tab, then use Arrow Up and Arrow Down, Home and End to move between tabs.
+ * With `activation="manual"`, moving focus does not switch panels; press Enter or Space to select the focused tab.
+ * The disabled tab is skipped.
+ *
+ * Use Case: Useful when switching panels is expensive, so users can move through the tabs before choosing one.
+ */
+function VerticalTabsExample() {
+  return (
+    <div>
+      <h1>Tabs Example - Keyboard Navigation</h1>
+      <Tabs defaultValue="overview" orientation="vertical" activation="manual">
+        <div style={{ display: "flex", gap: "16px" }}>
+          <TabList
+            aria-label="Product details"
+            style={{ display: "flex", flexDirection: "column" }}
+          >
+            <Tab value="overview">Overview</Tab>
+            <Tab value="specs">Specifications</Tab>
+            <Tab value="reviews" disabled>
+              Reviews (coming soon)
+            </Tab>
+            <Tab value="shipping">Shipping</Tab>
+          </TabList>
+          <TabPanel value="overview">
+            A lightweight chair for any desk.
+          </TabPanel>
+          <TabPanel value="specs">Weight: 4 kg. Height: 80-95 cm.</TabPanel>
+          <TabPanel value="reviews">No reviews yet.</TabPanel>
+          <TabPanel value="shipping">Ships in 2-3 business days.</TabPanel>
+        </div>
+      </Tabs>
+    </div>
+  );
+}
+
+/**
+ * Example 2: Keeping Panel State and Syncing with the URL
+ *
+ * This example stores the selected tab in the `?settings=` query parameter, so a reload or a shared link opens the same tab,
+ * and the back button returns to the previous tab (`urlHistory="push"`).
+ * The panels use `mode="keep-alive"`: text typed into the profile form is still there after visiting another tab.
+ *
+ * Use Case: Useful for settings pages and dashboards where tabs hold forms or filters.
+ */
+function PendingIndicator() {
+  const { isPending } = useTabs();
+  return isPending ? <span> Loading...</span> : null;
+}
+
+function SettingsTabsExample() {
+  return (
+    <div>
+      <h1>Tabs Example - Keep-Alive Panels and URL Sync</h1>
+      <Tabs
+        defaultValue="profile"
+        mode="keep-alive"
+        urlParam="settings"
+        urlHistory="push"
+      >
+        <TabList aria-label="Settings">
+          <Tab value="profile">Profile</Tab>
+          <Tab value="notifications">Notifications</Tab>
+        </TabList>
+        <PendingIndicator />
+        <TabPanel value="profile">
+          <input placeholder="Display name" />
+        </TabPanel>
+        <TabPanel value="notifications">
+          <label>
+            <input type="checkbox" /> Email me about new messages
+          </label>
+        </TabPanel>
+      </Tabs>
+    </div>
+  );
+}
+
+// Combine all components into a single display
+function App() {
+  return (
+    <div>
+      <h1>Tabs Examples</h1>
+      <VerticalTabsExample />
+      <hr />
+      <SettingsTabsExample />
+    </div>
+  );
+}
+
+export default App;
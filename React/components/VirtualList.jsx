@@ -0,0 +1,312 @@
+/**
+ * This file demonstrates how to build a `VirtualList` component on top of the `useVirtualizer` custom hook.
+ *
+ * `VirtualList` is a drop-in replacement for long `<ul>` lists such as `ItemList` in `useTransition.jsx` or `SlowList` in `useDeferredValue.jsx`.
+ * It renders only the visible rows, so typing, filtering and scrolling stay fast even with tens of thousands of items.
+ *
+ * --- What VirtualList does ---
+ * 1. It renders `items` through `renderItem(item, index)`, creating DOM nodes only for the visible rows plus `overscan`.
+ * 2. It supports fixed sizes (`itemSize`), measured sizes (`estimateSize` + `measure`), sticky headers (`stickyIndexes`) and horizontal mode.
+ * 3. It exposes `scrollToIndex` through a ref, and keeps the visible rows in place when items are inserted above them.
+ *
+ * --- When to use VirtualList ---
+ * 1. When a list has more items than can be rendered without the UI feeling slow (usually more than a few hundred).
+ * 2. When a grouped list needs headers that stick to the top while scrolling through their group.
+ * 3. When the parent needs to scroll to a specific item, such as the current search match.
+ *
+ * --- When to be careful ---
+ * 1. The list needs a fixed `height` (or `width` in horizontal mode); virtualization needs to know the visible area.
+ * 2. Pass `getItemKey` when items can be inserted or removed, so measured sizes and scroll anchoring follow the right item.
+ * 3. Rows are absolutely positioned; avoid margins on them and use padding inside the row instead.
+ *
+ * --- Related Hooks ---
+ * - `useVirtualizer`: The hook that computes which rows are visible (see `custom-hooks/useVirtualizer.jsx`).
+ * - `useImperativeHandle`: Exposes `scrollToIndex` and `scrollToOffset` to the parent through a ref.
+ */
+
+import React, {
+  forwardRef,
+  useCallback,
+  useImperativeHandle,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import {
+  defaultRangeExtractor,
+  useVirtualizer,
+} from "../custom-hooks/useVirtualizer";
+
+// The last sticky index at or before the first visible row, or -1 when there is none.
+const findActiveSticky = (stickyIndexes, startIndex) =>
+  stickyIndexes.reduce(
+    (active, index) => (index <= startIndex && index > active ? index : active),
+    -1
+  );
+
+/**
+ * VirtualList
+ *
+ * Props: `items`, `renderItem(item, index)`, `height`, `width`, `itemSize` or `estimateSize(index)`, `measure`, `overscan`,
+ * `horizontal`, `stickyIndexes`, `getItemKey(item, index)` and `style`.
+ */
+export const VirtualList = forwardRef(
+  (
+    {
+      items,
+      renderItem,
+      height = "100%",
+      width = "100%",
+      itemSize = 30,
+      estimateSize,
+      measure = false,
+      overscan = 5,
+      horizontal = false,
+      stickyIndexes = [],
+      getItemKey,
+      style,
+    },
+    ref
+  ) => {
+    const parentRef = useRef(null);
+
+    const estimate = useCallback(
+      (index) => (estimateSize ? estimateSize(index) : itemSize),
+      [estimateSize, itemSize]
+    );
+    const getKey = useCallback(
+      (index) => (getItemKey ? getItemKey(items[index], index) : index),
+      [getItemKey, items]
+    );
+
+    // The sticky header of the section being scrolled is always rendered, even when it is above the visible range.
+    const stickySet = useMemo(() => new Set(stickyIndexes), [stickyIndexes]);
+    const rangeExtractor = useCallback(
+      (range) => {
+        const indexes = defaultRangeExtractor(range);
+        const activeSticky = findActiveSticky(stickyIndexes, range.startIndex);
+        if (activeSticky >= 0 && !indexes.includes(activeSticky)) {
+          indexes.unshift(activeSticky);
+        }
+        return indexes;
+      },
+      [stickyIndexes]
+    );
+
+    const virtualizer = useVirtualizer({
+      count: items.length,
+      getScrollElement: () => parentRef.current,
+      estimateSize: estimate,
+      getItemKey: getKey,
+      overscan,
+      horizontal,
+      rangeExtractor,
+    });
+
+    useImperativeHandle(
+      ref,
+      () => ({
+        scrollToIndex: virtualizer.scrollToIndex,
+        scrollToOffset: virtualizer.scrollToOffset,
+      }),
+      [virtualizer.scrollToIndex, virtualizer.scrollToOffset]
+    );
+
+    const translate = horizontal ? "translateX" : "translateY";
+    const activeSticky = findActiveSticky(
+      stickyIndexes,
+      virtualizer.range.startIndex
+    );
+
+    // The active sticky row must come first so `position: sticky` pins it to the start of the list.
+    const virtualItems = virtualizer.virtualItems
+      .slice()
+      .sort((a, b) =>
+        a.index === activeSticky ? -1 : b.index === activeSticky ? 1 : 0
+      );
+
+    return (
+      <div
+        ref={parentRef}
+        role="list"
+        style={{
+          height,
+          width,
+          overflow: "auto",
+          overflowAnchor: "none", // Scroll anchoring is handled by useVirtualizer.
+          ...style,
+        }}
+      >
+        <div
+          style={{
+            position: "relative",
+            [horizontal ? "width" : "height"]: `${virtualizer.totalSize}px`,
+            [horizontal ? "height" : "width"]: "100%",
+          }}
+        >
+          {virtualItems.map((virtualItem) => {
+            const isActiveSticky = virtualItem.index === activeSticky;
+            const isSticky = stickySet.has(virtualItem.index);
+
+            return (
+              <div
+                key={virtualItem.key}
+                role="listitem"
+                data-index={virtualItem.index}
+                ref={measure ? virtualizer.measureElement : undefined}
+                style={{
+                  top: 0,
+                  left: 0,
+                  [horizontal ? "height" : "width"]: "100%",
+                  ...(measure
+                    ? {}
+                    : {
+                        [horizontal
+                          ? "width"
+                          : "height"]: `${virtualItem.size}px`,
+                      }),
+                  ...(isActiveSticky
+                    ? { position: "sticky", zIndex: 2 }
+                    : {
+                        position: "absolute",
+                        transform: `${translate}(${virtualItem.start}px)`,
+                        zIndex: isSticky ? 1 : undefined,
+                      }),
+                }}
+              >
+                {renderItem(items[virtualItem.index], virtualItem.index)}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    );
+  }
+);
+
+/**
+ * Example 1: Drop-In Replacement for a Long List
+ *
+ * This example filters the same 20,000 items as `ListFilter` in `useTransition.jsx` and renders them with `VirtualList`.
+ * The parent uses the ref handle to jump to the first or last item.
+ *
+ * Use Case: Useful for replacing `items.map(...)` in any list that grows to thousands of rows.
+ */
+const allItems = Array.from(
+  { length: 20000 },
+  (_, index) => `Item ${index + 1}`
+);
+
+// Defined outside the component, so `VirtualList` does not remeasure every item on each render.
+const getItemKeyByLabel = (item) => item;
+
+function FilteredVirtualList() {
+  const [filter, setFilter] = useState("");
+  const listRef = useRef(null);
+  const filteredItems = useMemo(
+    () => allItems.filter((item) => item.includes(filter)),
+    [filter]
+  );
+
+  return (
+    <div>
+      <h1>VirtualList Example - 20,000 Items</h1>
+      <input
+        type="text"
+        value={filter}
+        onChange={(e) => setFilter(e.target.value)}
+        placeholder="Type to filter the list..."
+      />
+      <button onClick={() => listRef.current?.scrollToIndex(0)}>Top</button>
+      <button
+        onClick={() => listRef.current?.scrollToIndex(filteredItems.length - 1)}
+      >
+        Bottom
+      </button>
+      <VirtualList
+        ref={listRef}
+        items={filteredItems}
+        height="200px"
+        itemSize={24}
+        getItemKey={getItemKeyByLabel}
+        renderItem={(item) => item}
+        style={{ border: "1px solid #ccc" }}
+      />
+    </div>
+  );
+}
+
+/**
+ * Example 2: Grouped List with Sticky Headers and Measured Rows
+ *
+ * This example groups contacts by their first letter. Each letter header sticks to the top while its group is scrolled.
+ * Rows have different heights, so they are measured after rendering with `measure`.
+ *
+ * Use Case: Useful for contact lists, settings pages or any long list split into sections.
+ */
+const names = ["Alice", "Bob", "Carol", "Dave", "Eve", "Frank", "Grace"];
+const contactRows = [];
+const headerIndexes = [];
+names.forEach((name) => {
+  headerIndexes.push(contactRows.length);
+  contactRows.push({ type: "header", label: name[0] });
+  for (let i = 1; i <= 30; i++) {
+    contactRows.push({
+      type: "contact",
+      label: `${name} ${i}`,
+      note:
+        i % 4 === 0 ? "Has a longer note that wraps onto a second line." : "",
+    });
+  }
+});
+
+// Defined outside the component, so the size estimates are only computed once.
+const estimateContactRowSize = (index) =>
+  contactRows[index].type === "header" ? 28 : 40;
+
+function GroupedContacts() {
+  return (
+    <div>
+      <h1>VirtualList Example - Sticky Headers</h1>
+      <VirtualList
+        items={contactRows}
+        height="250px"
+        width="300px"
+        estimateSize={estimateContactRowSize}
+        measure
+        stickyIndexes={headerIndexes}
+        renderItem={(row) =>
+          row.type === "header" ? (
+            <strong
+              style={{ display: "block", background: "#eee", padding: "4px" }}
+            >
+              {row.label}
+            </strong>
+          ) : (
+            <div style={{ padding: "4px", background: "#fff" }}>
+              {row.label}
+              {row.note && (
+                <small style={{ display: "block" }}>{row.note}</small>
+              )}
+            </div>
+          )
+        }
+        style={{ border: "1px solid #ccc" }}
+      />
+    </div>
+  );
+}
+
+// Combine all components into a single display
+function App() {
+  return (
+    <div>
+      <h1>VirtualList Examples</h1>
+      <FilteredVirtualList />
+      <hr />
+      <GroupedContacts />
+    </div>
+  );
+}
+
+export default App;
@@ -0,0 +1,211 @@
+/**
+ * This file demonstrates how to build a Suspense-compatible resource cache with `createResource`.
+ *
+ * A resource wraps an async `loader` and caches one promise per set of arguments.
+ * Components call `resource.read(...args)` during render: it returns the value when it is ready, throws the promise while it is loading
+ * (so the nearest `Suspense` boundary shows its fallback) and throws the error when loading failed (so the nearest error boundary catches it).
+ *
+ * --- What createResource does ---
+ * 1. It caches the result of `loader(...args)` by its arguments, so every component reading the same arguments shares one request.
+ * 2. It lets you start loading before rendering with `preload(...args)`, for example when the user hovers a link.
+ * 3. It drops cached results with `invalidate(...args)` (or `invalidate()` for everything), so the next `read` loads fresh data.
+ *
+ * --- When to use createResource ---
+ * 1. When a component should suspend while its data loads, instead of tracking `isLoading` state itself.
+ * 2. When navigation is wrapped in `startTransition`, so React keeps the previous page visible until the next one has loaded.
+ * 3. When reading promises with React's `use` hook; `load(...args)` returns the same thenable for the same arguments.
+ *
+ * --- When to be careful ---
+ * 1. Never create a resource or a promise during render; define resources at module level (or in a cache outside the component).
+ * 2. Updates that are not wrapped in `startTransition` replace visible content with the `Suspense` fallback while loading.
+ * 3. Failed loads stay cached; call `invalidate` before retrying (for example in the error boundary's reset handler).
+ *
+ * --- Similar Hooks ---
+ * - `useQuery`: Tracks loading and error state in the hook result instead of suspending (see `custom-hooks/useQuery.jsx`).
+ * - `useTransition`: Keeps old content visible while a component reading a resource suspends.
+ */
+
+import React, { Suspense, useState, useTransition } from "react";
+import { ErrorBoundary } from "../components/ErrorBoundary";
+
+/**
+ * createResource
+ *
+ * Returns `{ read, load, preload, peek, invalidate }` for `loader(...args)`, which must return a promise.
+ * The promises returned by `load` carry `status`, `value` and `reason` fields, the format React's `use` hook reads synchronously.
+ */
+export function createResource(loader) {
+  const cache = new Map();
+
+  const getCacheKey = (args) => JSON.stringify(args);
+
+  const load = (...args) => {
+    const cacheKey = getCacheKey(args);
+    let thenable = cache.get(cacheKey);
+
+    if (!thenable) {
+      thenable = Promise.resolve().then(() => loader(...args));
+      thenable.status = "pending";
+      thenable.then(
+        (value) => {
+          thenable.status = "fulfilled";
+          thenable.value = value;
+        },
+        (reason) => {
+          thenable.status = "rejected";
+          thenable.reason = reason;
+        }
+      );
+      cache.set(cacheKey, thenable);
+    }
+
+    return thenable;
+  };
+
+  const read = (...args) => {
+    const thenable = load(...args);
+    if (thenable.status === "fulfilled") return thenable.value;
+    if (thenable.status === "rejected") throw thenable.reason;
+    throw thenable;
+  };
+
+  const preload = (...args) => {
+    // Errors are reported when the value is read, not when it is preloaded.
+    load(...args).catch(() => {});
+  };
+
+  const peek = (...args) => {
+    const thenable = cache.get(getCacheKey(args));
+    return thenable && thenable.status === "fulfilled"
+      ? thenable.value
+      : undefined;
+  };
+
+  const invalidate = (...args) => {
+    if (args.length === 0) cache.clear();
+    else cache.delete(getCacheKey(args));
+  };
+
+  return { read, load, preload, peek, invalidate };
+}
+
+/**
+ * Example 1: Suspending While a Profile Loads
+ *
+ * This example reads a user profile from a resource. While it loads, the `Suspense` fallback is shown.
+ * Hovering a button preloads that user, so clicking it often shows the profile without any fallback.
+ * Switching users and reloading are wrapped in `startTransition`, so the previous profile stays visible (dimmed) while the next one loads.
+ *
+ * Use Case: Useful for detail pages where the data for the next page can be fetched before the user clicks.
+ */
+const fakeUsers = {
+  1: { name: "Ada Lovelace", bio: "Wrote the first computer program." },
+  2: { name: "Alan Turing", bio: "Founded theoretical computer science." },
+  3: { name: "Grace Hopper", bio: "Invented the first compiler." },
+};
+
+const userResource = createResource(
+  (id) =>
+    new Promise((resolve) =>
+      setTimeout(
+        () => resolve({ ...fakeUsers[id], loadedAt: new Date() }),
+        1000
+      )
+    )
+);
+
+function UserProfile({ id }) {
+  const user = userResource.read(id);
+
+  return (
+    <div>
+      <h2>{user.name}</h2>
+      <p>{user.bio}</p>
+      <small>Loaded at {user.loadedAt.toLocaleTimeString()}</small>
+    </div>
+  );
+}
+
+function ProfileBrowser() {
+  const [userId, setUserId] = useState(1);
+  const [, setVersion] = useState(0);
+  const [isPending, startTransition] = useTransition();
+
+  const reload = () => {
+    userResource.invalidate(userId);
+    startTransition(() => setVersion((version) => version + 1));
+  };
+
+  return (
+    <div>
+      <h1>createResource Example - Profile</h1>
+      {Object.keys(fakeUsers).map((id) => (
+        <button
+          key={id}
+          onMouseEnter={() => userResource.preload(Number(id))}
+          onClick={() => startTransition(() => setUserId(Number(id)))}
+        >
+          User {id}
+        </button>
+      ))}
+      <button onClick={reload}>Reload</button>
+      <div style={{ opacity: isPending ? 0.5 : 1 }}>
+        <Suspense fallback={<p>Loading profile...</p>}>
+          <UserProfile id={userId} />
+        </Suspense>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Example 2: Propagating Errors to an Error Boundary
+ *
+ * This example loads a resource that fails on the first attempt. `read` throws the error, which is caught by `ErrorBoundary`
+ * (see `components/ErrorBoundary.jsx`).
+ * The "Try again" button invalidates the failed entry before resetting the boundary, so the next `read` loads again.
+ *
+ * Use Case: Useful for showing a retry button when a suspended component fails to load its data.
+ */
+let attempts = 0;
+const flakyResource = createResource(
+  () =>
+    new Promise((resolve, reject) =>
+      setTimeout(() => {
+        attempts++;
+        if (attempts === 1) reject(new Error("The server is unavailable."));
+        else resolve(`Loaded on attempt ${attempts}.`);
+      }, 1000)
+    )
+);
+
+function FlakyMessage() {
+  return <p>{flakyResource.read()}</p>;
+}
+
+function FlakyResourceExample() {
+  return (
+    <div>
+      <h1>createResource Example - Errors</h1>
+      <ErrorBoundary onReset={() => flakyResource.invalidate()}>
+        <Suspense fallback={<p>Loading message...</p>}>
+          <FlakyMessage />
+        </Suspense>
+      </ErrorBoundary>
+    </div>
+  );
+}
+
+// Combine all components into a single display
+function App() {
+  return (
+    <div>
+      <h1>createResource Examples</h1>
+      <ProfileBrowser />
+      <hr />
+      <FlakyResourceExample />
+    </div>
+  );
+}
+
+export default App;
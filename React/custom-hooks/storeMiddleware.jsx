@@ -0,0 +1,326 @@
+/**
+ * This file demonstrates how to extend stores created with `createStore` using middleware.
+ *
+ * Every `setState` call and every action of a store passes through its middleware pipeline before the state is updated.
+ * This gives cross-cutting behavior such as logging, persistence and debugging a single place to live, instead of being repeated inside every action.
+ *
+ * --- What store middleware does ---
+ * 1. It receives the store API (`getState`, `setState`, `subscribe`) and the `next` function of the pipeline.
+ * 2. It can inspect the action (`{ type, args }`), run code before or after `next`, or skip `next` entirely to block an update.
+ * 3. It composes: `createStore(state, actions, [logger(), persist(...)])` runs `logger` first and `persist` second.
+ *
+ * --- When to use store middleware ---
+ * 1. When every update should be logged or recorded, for example while debugging a complex flow.
+ * 2. When part of the state should survive a page reload through `localStorage` or `sessionStorage`.
+ * 3. When building developer tools that need the full list of actions and the states they produced.
+ *
+ * --- When to be careful ---
+ * 1. Middleware runs on every update, so keep it cheap; avoid serializing large states on every keystroke.
+ * 2. Only persist data that is safe to store in the browser; never persist tokens or personal data without a reason.
+ * 3. Bump the persisted `version` and provide a `migrate` function whenever the shape of the persisted state changes.
+ *
+ * --- Similar Hooks ---
+ * - `useStore`: Reads the state of a store; middleware only changes how the state is written.
+ * - `useEffect`: Use an effect for side effects that belong to a single component rather than to every update of a store.
+ */
+
+import React from "react";
+import { createStore, useStore } from "./useStore";
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * diffState
+ *
+ * Returns the top-level keys that changed between two states as `{ [key]: { from, to } }`.
+ * Non-object states are reported as a single `{ from, to }` pair.
+ */
+export function diffState(prevState, nextState) {
+  if (!isPlainObject(prevState) || !isPlainObject(nextState)) {
+    return Object.is(prevState, nextState)
+      ? {}
+      : { from: prevState, to: nextState };
+  }
+
+  const diff = {};
+  const keys = new Set([...Object.keys(prevState), ...Object.keys(nextState)]);
+  keys.forEach((key) => {
+    if (!Object.is(prevState[key], nextState[key])) {
+      diff[key] = { from: prevState[key], to: nextState[key] };
+    }
+  });
+  return diff;
+}
+
+/**
+ * logger
+ *
+ * Logs every action with the previous state, the next state and the diff between them.
+ */
+export function logger({ collapsed = true, console: log = console } = {}) {
+  return (api) => (next) => (updater, action) => {
+    const prevState = api.getState();
+    next(updater, action);
+    const nextState = api.getState();
+
+    const group = collapsed ? log.groupCollapsed : log.group;
+    group.call(log, `action ${action.type}`);
+    log.log("prev state", prevState);
+    log.log("next state", nextState);
+    log.log("diff", diffState(prevState, nextState));
+    log.groupEnd();
+  };
+}
+
+const getDefaultStorage = () =>
+  typeof window !== "undefined" ? window.localStorage : undefined;
+
+/**
+ * persist
+ *
+ * Restores the state from `storage` when the store is created and writes it back after every update.
+ * The stored value has the shape `{ state, version }`; when `version` differs from the stored one, `migrate(state, storedVersion)` upgrades it.
+ * `partialize` picks the part of the state that is persisted, and `merge` combines the restored value with the initial state.
+ */
+export function persist({
+  key,
+  storage = getDefaultStorage(),
+  version = 0,
+  migrate,
+  partialize = (state) => state,
+  merge = (persistedState, currentState) =>
+    isPlainObject(persistedState) && isPlainObject(currentState)
+      ? { ...currentState, ...persistedState }
+      : persistedState,
+}) {
+  if (!key) {
+    throw new Error("persist requires a storage key");
+  }
+
+  const readStorage = () => {
+    const raw = storage.getItem(key);
+    if (raw === null) return undefined;
+
+    const stored = JSON.parse(raw);
+    if (stored.version === version) return stored.state;
+    if (migrate) return migrate(stored.state, stored.version);
+    return undefined; // Discard state that was saved by an incompatible version.
+  };
+
+  const writeStorage = (state) => {
+    try {
+      storage.setItem(
+        key,
+        JSON.stringify({ state: partialize(state), version })
+      );
+    } catch (error) {
+      console.warn(`persist: could not save "${key}"`, error);
+    }
+  };
+
+  return (api) => (next) => {
+    // Without storage (e.g. during server rendering) the middleware does nothing.
+    if (!storage) return next;
+
+    let persistedState;
+    try {
+      persistedState = readStorage();
+    } catch (error) {
+      console.warn(`persist: could not restore "${key}"`, error);
+    }
+    if (persistedState !== undefined) {
+      next((state) => merge(persistedState, state), {
+        type: "@@persist/hydrate",
+      });
+    }
+
+    return (updater, action) => {
+      const prevState = api.getState();
+      next(updater, action);
+      const nextState = api.getState();
+      if (!Object.is(prevState, nextState)) writeStorage(nextState);
+    };
+  };
+}
+
+/**
+ * createActionHistory
+ *
+ * Creates a recorder whose `middleware` stores every action with the states before and after it.
+ * The recorder is itself a store, so the history can be displayed with `useStore`.
+ */
+export function createActionHistory({ limit = 50 } = {}) {
+  const historyStore = createStore([], {
+    clear: () => [],
+  });
+
+  const middleware = (api) => (next) => (updater, action) => {
+    const prevState = api.getState();
+    next(updater, action);
+    const entry = {
+      action,
+      prevState,
+      nextState: api.getState(),
+      timestamp: Date.now(),
+    };
+    historyStore.setState((entries) => [...entries, entry].slice(-limit));
+  };
+
+  return { ...historyStore, middleware };
+}
+
+/**
+ * Example 1: Logging Every Update
+ *
+ * This example demonstrates the `logger` middleware.
+ * Open the browser console and click the buttons to see each action with its previous state, next state and diff.
+ *
+ * Use Case: Useful while debugging to understand which action caused a state change.
+ */
+const loggedCounterStore = createStore(
+  { count: 0, step: 1 },
+  {
+    increment: (state) => ({ ...state, count: state.count + state.step }),
+    setStep: (state, step) => ({ ...state, step }),
+  },
+  [logger()]
+);
+
+function LoggedCounter() {
+  const { count, step } = useStore(loggedCounterStore);
+  const { increment, setStep } = loggedCounterStore.actions;
+
+  return (
+    <div>
+      <h1>Store Middleware Example - Logger</h1>
+      <p>Count: {count}</p>
+      <button onClick={() => increment()}>Increment by {step}</button>
+      <button onClick={() => setStep(step === 1 ? 10 : 1)}>Toggle Step</button>
+    </div>
+  );
+}
+
+/**
+ * Example 2: Persisting State with Versioned Migrations
+ *
+ * This example uses the `persist` middleware to keep user preferences in `localStorage`.
+ * Version 0 stored `{ dark: boolean }`; version 1 stores `{ theme: "light" | "dark" }`, and `migrate` upgrades old data.
+ * Only `theme` and `fontSize` are persisted; the `draft` field is left out through `partialize`.
+ *
+ * Use Case: Useful for settings, filters or drafts that should survive a reload.
+ */
+const preferencesStore = createStore(
+  { theme: "light", fontSize: 16, draft: "" },
+  {
+    toggleTheme: (state) => ({
+      ...state,
+      theme: state.theme === "light" ? "dark" : "light",
+    }),
+    setFontSize: (state, fontSize) => ({ ...state, fontSize }),
+    setDraft: (state, draft) => ({ ...state, draft }),
+  },
+  [
+    persist({
+      key: "frontkit-preferences",
+      version: 1,
+      migrate: (state, fromVersion) =>
+        fromVersion === 0
+          ? { theme: state.dark ? "dark" : "light", fontSize: 16 }
+          : state,
+      partialize: ({ theme, fontSize }) => ({ theme, fontSize }),
+    }),
+  ]
+);
+
+function Preferences() {
+  const { theme, fontSize, draft } = useStore(preferencesStore);
+  const { toggleTheme, setFontSize, setDraft } = preferencesStore.actions;
+
+  return (
+    <div style={{ fontSize }}>
+      <h1>Store Middleware Example - Persistence</h1>
+      <button onClick={() => toggleTheme()}>Theme: {theme}</button>
+      <button onClick={() => setFontSize(fontSize + 1)}>A+</button>
+      <button onClick={() => setFontSize(fontSize - 1)}>A-</button>
+      <input
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        placeholder="Not persisted"
+      />
+      <p>Reload the page: the theme and font size are restored.</p>
+    </div>
+  );
+}
+
+/**
+ * Example 3: Recording an Action History
+ *
+ * This example records every action of a todo store and shows the history in a small devtools panel.
+ * Because the recorder is a store, the panel subscribes to it with `useStore` like any other component.
+ *
+ * Use Case: Useful for building in-app developer tools or attaching the recent actions to bug reports.
+ */
+const todoHistory = createActionHistory({ limit: 20 });
+
+const todoStore = createStore(
+  [],
+  {
+    add: (todos, title) => [...todos, { id: Date.now(), title }],
+    remove: (todos, id) => todos.filter((todo) => todo.id !== id),
+  },
+  [todoHistory.middleware]
+);
+
+function TodoWithHistory() {
+  const todos = useStore(todoStore);
+  const history = useStore(todoHistory);
+  const [title, setTitle] = React.useState("");
+
+  return (
+    <div>
+      <h1>Store Middleware Example - Action History</h1>
+      <input value={title} onChange={(e) => setTitle(e.target.value)} />
+      <button onClick={() => todoStore.actions.add(title)}>Add Todo</button>
+      <ul>
+        {todos.map((todo) => (
+          <li key={todo.id}>
+            {todo.title}
+            <button onClick={() => todoStore.actions.remove(todo.id)}>
+              Remove
+            </button>
+          </li>
+        ))}
+      </ul>
+      <h2>History</h2>
+      <button onClick={() => todoHistory.actions.clear()}>Clear History</button>
+      <ol>
+        {history.map((entry, index) => (
+          <li key={index}>
+            {`${entry.action.type}(${JSON.stringify(entry.action.args)}) → ${
+              entry.nextState.length
+            } todos`}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+// Combine all components into a single display
+function App() {
+  return (
+    <div>
+      <h1>Store Middleware Examples</h1>
+      <LoggedCounter />
+      <hr />
+      <Preferences />
+      <hr />
+      <TodoWithHistory />
+    </div>
+  );
+}
+
+export default App;
@@ -0,0 +1,676 @@
+/**
+ * This file demonstrates how to build a small animation library: the `useSpring`, `useTransitionStyles` and `useFlip` custom hooks and the `Presence` component.
+ *
+ * `AnimatedBox` in `useImperativeHandle.jsx` and `FlickerFreeComponent` in `useLayoutEffect.jsx` used to write inline styles and CSS transitions by hand.
+ * These hooks generalize that: numbers are animated with spring physics or easing curves on a shared `requestAnimationFrame` loop,
+ * and every frame is written straight to the element's `style`, so an animation does not re-render the component 60 times per second.
+ *
+ * --- What the animation hooks do ---
+ * 1. `useSpring` animates a set of numbers (like `{ x: 0, opacity: 1 }`) and maps them to styles; a new `start` interrupts the running animation and keeps its velocity.
+ * 2. `useTransitionStyles` and `<Presence>` animate elements in when they mount and out before they unmount.
+ * 3. `useFlip` animates elements to their new position when a re-render moves them (First, Last, Invert, Play), and every hook jumps to the end when the user prefers reduced motion.
+ *
+ * --- When to use the animation hooks ---
+ * 1. When an animation must be interruptible, like a drawer that can be closed while it is still opening.
+ * 2. When elements should fade or slide out before they are removed, such as toasts, dialogs or list items.
+ * 3. When a list is sorted, filtered or shuffled, and items should move to their new place instead of jumping.
+ *
+ * --- When to be careful ---
+ * 1. The hooks write styles directly to the DOM; do not also set the animated properties in the element's own `style` prop.
+ * 2. `style` should return CSS strings or unitless numbers (like `opacity`); write `${x}px` for lengths.
+ * 3. Prefer CSS transitions for simple hover effects; JavaScript animations run on the main thread and stutter while it is busy.
+ *
+ * --- Similar Hooks ---
+ * - `useLayoutEffect`: `useTransitionStyles` and `useFlip` use it to set the first frame before the browser paints (see `useLayoutEffect.jsx`).
+ * - `useImperativeHandle`: Exposes animation controls like `start` and `stop` to a parent (see `AnimatedBox` in `useImperativeHandle.jsx`).
+ * - `useMediaQuery`: `usePrefersReducedMotion` is built on it (see `custom-hooks/useEventListener.jsx`).
+ */
+
+import React, {
+  useCallback,
+  useEffect,
+  useLayoutEffect,
+  useReducer,
+  useRef,
+  useState,
+} from "react";
+import { useMediaQuery } from "./useEventListener";
+
+const useIsomorphicLayoutEffect =
+  typeof window !== "undefined" ? useLayoutEffect : useEffect;
+
+/**
+ * cubicBezier
+ *
+ * Returns an easing function for the CSS curve `cubic-bezier(x1, y1, x2, y2)`, mapping progress from 0 to 1 to eased progress.
+ */
+export function cubicBezier(x1, y1, x2, y2) {
+  const sample = (a, b, t) =>
+    3 * a * t * (1 - t) ** 2 + 3 * b * t ** 2 * (1 - t) + t ** 3;
+  const slope = (a, b, t) =>
+    3 * a * (1 - t) ** 2 + 6 * (b - a) * t * (1 - t) + 3 * (1 - b) * t ** 2;
+
+  return (progress) => {
+    if (progress <= 0 || progress >= 1) return progress <= 0 ? 0 : 1;
+
+    // Find the curve parameter `t` whose x is `progress`: Newton's method first, bisection if it does not converge.
+    let t = progress;
+    for (let i = 0; i < 8; i++) {
+      const error = sample(x1, x2, t) - progress;
+      if (Math.abs(error) < 1e-6) return sample(y1, y2, t);
+      const derivative = slope(x1, x2, t);
+      if (Math.abs(derivative) < 1e-6) break;
+      t -= error / derivative;
+    }
+    let low = 0;
+    let high = 1;
+    t = progress;
+    while (high - low > 1e-6) {
+      if (sample(x1, x2, t) < progress) low = t;
+      else high = t;
+      t = (low + high) / 2;
+    }
+    return sample(y1, y2, t);
+  };
+}
+
+/**
+ * easings
+ *
+ * The CSS easing keywords as functions, for `config={{ duration, easing }}`.
+ */
+export const easings = {
+  linear: (progress) => progress,
+  ease: cubicBezier(0.25, 0.1, 0.25, 1),
+  easeIn: cubicBezier(0.42, 0, 1, 1),
+  easeOut: cubicBezier(0, 0, 0.58, 1),
+  easeInOut: cubicBezier(0.42, 0, 0.58, 1),
+};
+
+/**
+ * springPresets
+ *
+ * Spring configs for `config`: higher `stiffness` is faster, lower `damping` bounces more.
+ */
+export const springPresets = {
+  default: { stiffness: 170, damping: 26 },
+  gentle: { stiffness: 120, damping: 14 },
+  wobbly: { stiffness: 180, damping: 12 },
+  stiff: { stiffness: 210, damping: 20 },
+  slow: { stiffness: 280, damping: 60 },
+};
+
+// One `requestAnimationFrame` loop drives every running animation, and stops when none is left.
+const runningAnimations = new Set();
+let frameId = null;
+let lastFrameTime = null;
+
+const runFrame = (now) => {
+  frameId = null;
+  // Long gaps (a background tab, a debugger pause) are capped, so springs do not jump or explode.
+  const elapsed =
+    lastFrameTime === null ? 1000 / 60 : Math.min(now - lastFrameTime, 64);
+  lastFrameTime = now;
+  runningAnimations.forEach((animation) => animation.step(now, elapsed));
+  if (runningAnimations.size > 0) scheduleFrame();
+  else lastFrameTime = null;
+};
+
+const scheduleFrame = () => {
+  if (frameId === null) frameId = requestAnimationFrame(runFrame);
+};
+
+const canAnimate = () => typeof requestAnimationFrame !== "undefined";
+
+// Animates the numbers in `values` and calls `onChange(values)` on every frame.
+const createAnimation = (initialValues, onChange) => {
+  let values = { ...initialValues };
+  const velocities = {};
+  let current = null;
+
+  const finish = (finished) => {
+    if (!current) return;
+    const { resolve } = current;
+    current = null;
+    runningAnimations.delete(animation);
+    resolve({ finished, values: { ...values } });
+  };
+
+  const jumpTo = (nextValues, keepVelocity) => {
+    values = { ...values, ...nextValues };
+    if (!keepVelocity) {
+      Object.keys(nextValues).forEach((key) => {
+        velocities[key] = 0;
+      });
+    }
+    onChange(values);
+  };
+
+  const animation = {
+    get: () => ({ ...values }),
+    set: (nextValues, { keepVelocity = false } = {}) => {
+      finish(false);
+      jumpTo(nextValues, keepVelocity);
+    },
+    stop: () => finish(false),
+    // Resolves with `{ finished, values }`; `finished` is `false` when another `start`, `set` or `stop` interrupted it.
+    start: (to, config = springPresets.default, { immediate = false } = {}) => {
+      finish(false);
+      if (immediate || !canAnimate()) {
+        jumpTo(to, false);
+        return Promise.resolve({ finished: true, values: { ...values } });
+      }
+      return new Promise((resolve) => {
+        current = { to, from: { ...values }, config, startTime: null, resolve };
+        runningAnimations.add(animation);
+        scheduleFrame();
+      });
+    },
+    step: (now, elapsed) => {
+      const { to, from, config } = current;
+      let isDone = true;
+
+      if (config.duration !== undefined) {
+        if (current.startTime === null) current.startTime = now - elapsed;
+        const progress = Math.min(
+          (now - current.startTime) / config.duration,
+          1
+        );
+        const eased = (config.easing ?? easings.easeInOut)(progress);
+        Object.keys(to).forEach((key) => {
+          const start = from[key] ?? to[key];
+          values[key] = start + (to[key] - start) * eased;
+          velocities[key] = 0;
+        });
+        isDone = progress === 1;
+      } else {
+        const {
+          stiffness = 170,
+          damping = 26,
+          mass = 1,
+          precision = 0.01,
+        } = config;
+        // Small fixed steps keep stiff springs stable at low frame rates.
+        const steps = Math.ceil(elapsed / 4);
+        const dt = elapsed / steps / 1000;
+        Object.keys(to).forEach((key) => {
+          let position = values[key] ?? to[key];
+          let velocity = velocities[key] ?? 0;
+          for (let i = 0; i < steps; i++) {
+            const force =
+              -stiffness * (position - to[key]) - damping * velocity;
+            velocity += (force / mass) * dt;
+            position += velocity * dt;
+          }
+          // At rest once it is within `precision` of the target and would move less than `precision` in the next frame.
+          if (
+            Math.abs(position - to[key]) < precision &&
+            Math.abs(velocity) / 60 < precision
+          ) {
+            position = to[key];
+            velocity = 0;
+          } else {
+            isDone = false;
+          }
+          values[key] = position;
+          velocities[key] = velocity;
+        });
+      }
+
+      onChange(values);
+      if (isDone) finish(true);
+    },
+  };
+
+  return animation;
+};
+
+/**
+ * usePrefersReducedMotion
+ *
+ * Returns `true` when the user asked the operating system to reduce motion. The animation hooks then jump straight to their targets.
+ */
+export function usePrefersReducedMotion() {
+  return useMediaQuery("(prefers-reduced-motion: reduce)");
+}
+
+const toStyleByDefault = (values) => values;
+
+/**
+ * useSpring
+ *
+ * Returns a stable `{ ref, style, start, stop, set, get }` object for `initialValues`, such as `{ x: 0, opacity: 1 }`.
+ * Pass `ref` and `style` (the styles for `initialValues`) to the element; `style(values)` maps the values to CSS on every frame.
+ * `start(to, config)` animates to `to` and resolves with `{ finished }`; `config` is a spring (`{ stiffness, damping, mass }`)
+ * or a timing (`{ duration, easing }`), and defaults to the hook's `config` option.
+ */
+export function useSpring(
+  initialValues,
+  { style = toStyleByDefault, config = springPresets.default } = {}
+) {
+  const ref = useRef(null);
+  const prefersReducedMotion = usePrefersReducedMotion();
+
+  // The latest options, so the returned object keeps its identity across renders.
+  const latestRef = useRef(null);
+  latestRef.current = { style, config, prefersReducedMotion };
+
+  const [spring] = useState(() => {
+    const animation = createAnimation(initialValues, (values) => {
+      if (ref.current) {
+        Object.assign(ref.current.style, latestRef.current.style(values));
+      }
+    });
+    return {
+      ref,
+      style: style(initialValues),
+      get: animation.get,
+      set: (values) => animation.set(values),
+      stop: animation.stop,
+      start: (to, startConfig) =>
+        animation.start(to, startConfig ?? latestRef.current.config, {
+          immediate: latestRef.current.prefersReducedMotion,
+        }),
+    };
+  });
+
+  useEffect(() => () => spring.stop(), [spring]);
+
+  return spring;
+}
+
+/**
+ * useTransitionStyles
+ *
+ * Animates an element in while `isOpen` is `true`, and out before it unmounts. Returns `{ isMounted, ref, style, status }`:
+ * render the element while `isMounted`, with `ref` and `style`. `status` is "entering", "entered", "exiting" or "exited".
+ * Options: `from` (the values before entering), `enter`, `exit` (defaults to `from`), `style`, `config`,
+ * `initial` (`false` skips the enter animation when the element is open on the first render) and `onExited`.
+ */
+export function useTransitionStyles(
+  isOpen,
+  { from, enter, exit = from, style, config, initial = true, onExited } = {}
+) {
+  const [isExiting, setIsExiting] = useState(false);
+  const [status, setStatus] = useState(() => {
+    if (!isOpen) return "exited";
+    return initial ? "entering" : "entered";
+  });
+  const spring = useSpring(isOpen && !initial ? enter : from, {
+    style,
+    config,
+  });
+
+  const latestRef = useRef(null);
+  latestRef.current = { from, enter, exit, initial, onExited, isExiting };
+  const isFirstRunRef = useRef(true);
+
+  useIsomorphicLayoutEffect(() => {
+    const { from, enter, exit, initial, isExiting } = latestRef.current;
+    const isFirstRun = isFirstRunRef.current;
+    isFirstRunRef.current = false;
+
+    if (isOpen) {
+      setIsExiting(false);
+      if (isFirstRun && !initial) return;
+      // A newly mounted element starts from `from`; one that was still exiting turns around where it is.
+      if (!isExiting) spring.set(from);
+      setStatus("entering");
+      spring.start(enter).then(({ finished }) => {
+        if (finished) setStatus("entered");
+      });
+    } else if (!isFirstRun) {
+      setIsExiting(true);
+      setStatus("exiting");
+      spring.start(exit).then(({ finished }) => {
+        if (!finished) return;
+        setIsExiting(false);
+        setStatus("exited");
+        if (latestRef.current.onExited) latestRef.current.onExited();
+      });
+    }
+  }, [isOpen, spring]);
+
+  return {
+    isMounted: isOpen || isExiting,
+    ref: spring.ref,
+    style: spring.style,
+    status,
+  };
+}
+
+function PresenceItem({ isPresent, onExited, children, ...options }) {
+  const { isMounted, ref, style } = useTransitionStyles(isPresent, {
+    ...options,
+    onExited,
+  });
+
+  return isMounted ? (
+    <div ref={ref} style={style}>
+      {children}
+    </div>
+  ) : null;
+}
+
+/**
+ * Presence
+ *
+ * Animates its children in when they are added and out before they are removed. Every child needs a `key`;
+ * a removed child stays in place until its exit animation finishes. Accepts the options of `useTransitionStyles`,
+ * where `initial={false}` skips the enter animation for the children present on the first render.
+ */
+export function Presence({ children, initial = true, ...options }) {
+  const [, forceRender] = useReducer((count) => count + 1, 0);
+  // The children rendered last time, including the ones that are still exiting.
+  const renderedRef = useRef([]);
+  const isFirstRenderRef = useRef(true);
+
+  useEffect(() => {
+    isFirstRenderRef.current = false;
+  }, []);
+
+  const currentChildren = React.Children.toArray(children).filter(
+    React.isValidElement
+  );
+  const currentKeys = new Set(currentChildren.map((child) => child.key));
+
+  // Keep exiting children at their previous position among the current ones.
+  const items = [];
+  const addedKeys = new Set();
+  let nextChild = 0;
+  const addCurrentChildrenUntil = (key) => {
+    while (nextChild < currentChildren.length) {
+      const child = currentChildren[nextChild++];
+      items.push({ key: child.key, element: child, isPresent: true });
+      addedKeys.add(child.key);
+      if (child.key === key) return;
+    }
+  };
+  renderedRef.current.forEach((item) => {
+    if (!currentKeys.has(item.key)) {
+      items.push({ ...item, isPresent: false });
+    } else if (!addedKeys.has(item.key)) {
+      addCurrentChildrenUntil(item.key);
+    }
+  });
+  addCurrentChildrenUntil(null);
+  renderedRef.current = items;
+
+  const handleExited = (key) => {
+    renderedRef.current = renderedRef.current.filter(
+      (item) => item.key !== key
+    );
+    forceRender();
+  };
+
+  return items.map(({ key, element, isPresent }) => (
+    <PresenceItem
+      key={key}
+      {...options}
+      initial={isFirstRenderRef.current ? initial : true}
+      isPresent={isPresent}
+      onExited={() => handleExited(key)}
+    >
+      {element}
+    </PresenceItem>
+  ));
+}
+
+/**
+ * useFlip
+ *
+ * Animates elements from their old position to their new one whenever `deps` change.
+ * Returns `register(key)`, which gives the ref for the element with that `key`: `<li ref={register(item.id)}>`.
+ * Positions are read from `offsetLeft` and `offsetTop`, so the elements should share an offset parent, like the items of one list.
+ */
+export function useFlip(deps, { config = springPresets.default } = {}) {
+  const prefersReducedMotion = usePrefersReducedMotion();
+  const itemsRef = useRef(new Map());
+  const latestRef = useRef(null);
+  latestRef.current = { config, prefersReducedMotion };
+
+  const register = useCallback((key) => {
+    const items = itemsRef.current;
+    if (!items.has(key)) {
+      const item = { element: null, position: null };
+      item.animation = createAnimation({ x: 0, y: 0 }, ({ x, y }) => {
+        if (item.element) {
+          item.element.style.transform =
+            x === 0 && y === 0 ? "" : `translate(${x}px, ${y}px)`;
+        }
+      });
+      item.ref = (element) => {
+        item.element = element;
+        if (element) {
+          items.set(key, item);
+        } else {
+          item.animation.stop();
+          items.delete(key);
+        }
+      };
+      items.set(key, item);
+    }
+    return items.get(key).ref;
+  }, []);
+
+  useIsomorphicLayoutEffect(() => {
+    const { config, prefersReducedMotion } = latestRef.current;
+    itemsRef.current.forEach((item) => {
+      if (!item.element) return;
+      // First: where the element was laid out before. Last: where it is laid out now.
+      const first = item.position;
+      const last = {
+        left: item.element.offsetLeft,
+        top: item.element.offsetTop,
+      };
+      item.position = last;
+      if (!first) return;
+
+      const dx = first.left - last.left;
+      const dy = first.top - last.top;
+      if (dx === 0 && dy === 0) return;
+
+      // Invert: offset the element back to where it appeared, including an animation that is still running.
+      const { x, y } = item.animation.get();
+      item.animation.set({ x: x + dx, y: y + dy }, { keepVelocity: true });
+      // Play: animate the offset to zero.
+      item.animation.start({ x: 0, y: 0 }, config, {
+        immediate: prefersReducedMotion,
+      });
+    });
+  }, deps);
+
+  useEffect(() => {
+    const items = itemsRef.current;
+    return () => items.forEach((item) => item.animation.stop());
+  }, []);
+
+  return register;
+}
+
+/**
+ * Example 1: Interruptible Springs and Easing Curves
+ *
+ * This example moves a box with `useSpring`. Click the buttons quickly: each `start` interrupts the running animation,
+ * and the spring keeps its velocity, so the box changes direction smoothly instead of stopping first.
+ * The config select switches between spring presets and an `easeInOut` timing.
+ *
+ * Use Case: Useful for drawers, sliders and drag-and-release interactions that users interrupt all the time.
+ */
+const motionConfigs = {
+  "Spring (default)": springPresets.default,
+  "Spring (wobbly)": springPresets.wobbly,
+  "Ease in-out, 600ms": { duration: 600, easing: easings.easeInOut },
+};
+
+function SpringExample() {
+  const [configName, setConfigName] = useState("Spring (default)");
+  const [lastResult, setLastResult] = useState("idle");
+  const prefersReducedMotion = usePrefersReducedMotion();
+  const box = useSpring(
+    { x: 0, rotate: 0 },
+    {
+      style: ({ x, rotate }) => ({
+        transform: `translateX(${x}px) rotate(${rotate}deg)`,
+      }),
+    }
+  );
+
+  const moveTo = (x) => {
+    setLastResult("running");
+    box
+      .start({ x, rotate: x / 2 }, motionConfigs[configName])
+      .then(({ finished }) =>
+        setLastResult(finished ? "finished" : "interrupted")
+      );
+  };
+
+  return (
+    <div>
+      <h1>useSpring Example - Interruptible Animations</h1>
+      <select
+        value={configName}
+        onChange={(e) => setConfigName(e.target.value)}
+      >
+        {Object.keys(motionConfigs).map((name) => (
+          <option key={name}>{name}</option>
+        ))}
+      </select>
+      <button onClick={() => moveTo(0)}>Left</button>
+      <button onClick={() => moveTo(150)}>Middle</button>
+      <button onClick={() => moveTo(300)}>Right</button>
+      <button onClick={box.stop}>Stop</button>
+      <p>
+        Last animation: {lastResult}
+        {prefersReducedMotion &&
+          " (reduced motion: animations jump to the end)"}
+      </p>
+      <div
+        ref={box.ref}
+        style={{
+          ...box.style,
+          width: "60px",
+          height: "60px",
+          backgroundColor: "teal",
+        }}
+      />
+    </div>
+  );
+}
+
+/**
+ * Example 2: Enter and Exit Transitions with Presence
+ *
+ * This example fades and slides notifications in when they are added, and out before they are removed.
+ * Removed notifications stay in place until their exit animation finishes, and the details panel above uses `useTransitionStyles` directly.
+ *
+ * Use Case: Useful for toasts, dialogs, dropdowns and list items that should not appear or disappear abruptly.
+ */
+const slideIn = {
+  from: { opacity: 0, y: -10 },
+  enter: { opacity: 1, y: 0 },
+  style: ({ opacity, y }) => ({ opacity, transform: `translateY(${y}px)` }),
+};
+
+function PresenceExample() {
+  const [showDetails, setShowDetails] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const nextIdRef = useRef(1);
+  const details = useTransitionStyles(showDetails, {
+    ...slideIn,
+    config: { duration: 200, easing: easings.easeOut },
+  });
+
+  const addNotification = () => {
+    const id = nextIdRef.current++;
+    setNotifications((prev) => [...prev, { id, text: `Notification ${id}` }]);
+  };
+
+  const removeNotification = (id) => {
+    setNotifications((prev) => prev.filter((item) => item.id !== id));
+  };
+
+  return (
+    <div>
+      <h1>Presence Example - Enter and Exit</h1>
+      <button onClick={() => setShowDetails((prev) => !prev)}>
+        {showDetails ? "Hide" : "Show"} details
+      </button>
+      {details.isMounted && (
+        <p ref={details.ref} style={details.style}>
+          Details ({details.status})
+        </p>
+      )}
+      <button onClick={addNotification}>Add notification</button>
+      <Presence {...slideIn}>
+        {notifications.map((notification) => (
+          <div key={notification.id} style={{ padding: "4px 0" }}>
+            {notification.text}{" "}
+            <button onClick={() => removeNotification(notification.id)}>
+              Dismiss
+            </button>
+          </div>
+        ))}
+      </Presence>
+    </div>
+  );
+}
+
+/**
+ * Example 3: FLIP Layout Animations
+ *
+ * This example shuffles and sorts a list. `useFlip` measures every item in `useLayoutEffect` after the re-render,
+ * offsets it back to where it was, and springs it to its new place before the browser paints the jump.
+ *
+ * Use Case: Useful for sortable tables, filtered grids and drag-and-drop lists.
+ */
+const initialCards = ["Apple", "Banana", "Cherry", "Date", "Elderberry", "Fig"];
+
+function FlipExample() {
+  const [cards, setCards] = useState(initialCards);
+  const register = useFlip([cards], { config: springPresets.gentle });
+
+  const shuffle = () => {
+    setCards((prev) =>
+      prev
+        .map((card) => ({ card, order: Math.random() }))
+        .sort((a, b) => a.order - b.order)
+        .map(({ card }) => card)
+    );
+  };
+
+  return (
+    <div>
+      <h1>useFlip Example - Layout Animations</h1>
+      <button onClick={shuffle}>Shuffle</button>
+      <button onClick={() => setCards([...initialCards].sort())}>Sort</button>
+      <ul style={{ position: "relative", listStyle: "none", padding: 0 }}>
+        {cards.map((card) => (
+          <li
+            key={card}
+            ref={register(card)}
+            style={{ padding: "4px", margin: "2px 0", background: "#eef" }}
+          >
+            {card}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// Combine all components into a single display
+function App() {
+  return (
+    <div>
+      <h1>Animation Hook Examples</h1>
+      <SpringExample />
+      <hr />
+      <PresenceExample />
+      <hr />
+      <FlipExample />
+    </div>
+  );
+}
+
+export default App;
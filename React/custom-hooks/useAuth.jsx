@@ -0,0 +1,497 @@
+/**
+ * This file demonstrates how to build a token-based session system with an `AuthProvider`, the `useAuth` custom hook and a `RequireAuth` wrapper.
+ *
+ * It grows the `AuthProvider` from `useContext.jsx`, which only toggled a boolean, into a provider that holds the signed-in user
+ * and their access and refresh tokens, and keeps that session valid, persisted and in sync between browser tabs.
+ *
+ * --- What useAuth does ---
+ * 1. It returns the current `user`, the session `status` and `login`, `logout`, `refresh` and `getAccessToken` functions.
+ * 2. It exposes role and permission checks (`hasRole`, `hasPermission`) for the signed-in user.
+ * 3. Behind it, `AuthProvider` refreshes tokens before they expire, restores the session after a reload and syncs login and logout across tabs.
+ *
+ * --- When to use useAuth ---
+ * 1. When components need to know who is signed in, or show different UI for different roles.
+ * 2. When requests need a valid access token; `getAccessToken()` refreshes an expired token before returning it.
+ * 3. When whole sections of the page should only render for signed-in users or specific roles (`<RequireAuth roles={["admin"]}>`).
+ *
+ * --- When to be careful ---
+ * 1. Client-side checks only hide UI; the server must still verify the token and the user's permissions on every request.
+ * 2. Tokens in `localStorage` can be read by any script on the page; prefer `sessionStorage` or HTTP-only cookies when XSS is a concern.
+ * 3. If the server rotates refresh tokens on every use, it should accept a just-rotated token briefly, because two tabs can refresh at once.
+ *
+ * --- Similar Hooks ---
+ * - `useContext`: `useAuth` reads the session from `AuthContext`, just like the simpler `useAuth` in `useContext.jsx`.
+ * - `useReducer`: `AuthProvider` manages the session state with a reducer.
+ */
+
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useReducer,
+  useRef,
+  useState,
+} from "react";
+
+const AuthContext = createContext(null);
+
+const initialAuthState = {
+  status: "loading", // "loading" | "authenticated" | "unauthenticated"
+  session: null, // { user, accessToken, refreshToken, expiresAt }
+  error: null,
+};
+
+function authReducer(state, action) {
+  switch (action.type) {
+    case "sessionChanged":
+      return {
+        status: action.session ? "authenticated" : "unauthenticated",
+        session: action.session,
+        error: null,
+      };
+    case "failed":
+      return { ...state, error: action.error };
+    default:
+      throw new Error(`Unknown action: ${action.type}`);
+  }
+}
+
+const toArray = (value) => (Array.isArray(value) ? value : [value]);
+
+const defaultStorage =
+  typeof window !== "undefined" ? window.localStorage : undefined;
+
+const readSession = (storage, key) => {
+  try {
+    const raw = storage && storage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    console.warn(`AuthProvider: could not restore "${key}"`, error);
+    return null;
+  }
+};
+
+const writeSession = (storage, key, session) => {
+  if (!storage) return;
+  try {
+    if (session) storage.setItem(key, JSON.stringify(session));
+    else storage.removeItem(key);
+  } catch (error) {
+    console.warn(`AuthProvider: could not save "${key}"`, error);
+  }
+};
+
+/**
+ * AuthProvider
+ *
+ * Props:
+ * - `api`: `{ login(credentials), refresh(refreshToken), logout?(refreshToken) }`; `login` and `refresh` resolve to
+ *   `{ user, accessToken, refreshToken, expiresAt }`, where `user` has `roles` and `permissions` arrays.
+ * - `storage` / `storageKey`: where the session is persisted (defaults to `localStorage` under "auth-session").
+ * - `refreshMargin`: how many milliseconds before `expiresAt` the access token is refreshed (default one minute, and at most half
+ *   of the token's remaining lifetime, so short-lived tokens are refreshed halfway instead of continuously).
+ * - `channelName`: the `BroadcastChannel` used to sync tabs; without `BroadcastChannel`, `storage` events are used instead.
+ */
+export function AuthProvider({
+  api,
+  children,
+  storage = defaultStorage,
+  storageKey = "auth-session",
+  refreshMargin = 60000,
+  channelName = "auth",
+}) {
+  const [state, dispatch] = useReducer(authReducer, initialAuthState);
+  const { session } = state;
+
+  const apiRef = useRef(api);
+  const sessionRef = useRef(session);
+  const channelRef = useRef(null);
+  const refreshPromiseRef = useRef(null);
+
+  useEffect(() => {
+    apiRef.current = api;
+    sessionRef.current = session;
+  });
+
+  // Saves the session, updates this tab and tells the other tabs.
+  const commitSession = useCallback(
+    (nextSession) => {
+      sessionRef.current = nextSession;
+      writeSession(storage, storageKey, nextSession);
+      dispatch({ type: "sessionChanged", session: nextSession });
+      if (channelRef.current) {
+        channelRef.current.postMessage({ session: nextSession });
+      }
+    },
+    [storage, storageKey]
+  );
+
+  // Restore the persisted session after mounting, so server and client render the same "loading" state first.
+  useEffect(() => {
+    dispatch({
+      type: "sessionChanged",
+      session: readSession(storage, storageKey),
+    });
+  }, [storage, storageKey]);
+
+  // Sync login, refresh and logout from other tabs.
+  useEffect(() => {
+    if (typeof BroadcastChannel !== "undefined") {
+      const channel = new BroadcastChannel(channelName);
+      channelRef.current = channel;
+      channel.onmessage = (e) =>
+        dispatch({ type: "sessionChanged", session: e.data.session });
+      return () => {
+        channel.close();
+        channelRef.current = null;
+      };
+    }
+
+    const handleStorage = (e) => {
+      if (e.storageArea !== storage || e.key !== storageKey) return;
+      dispatch({
+        type: "sessionChanged",
+        session: readSession(storage, storageKey),
+      });
+    };
+    window.addEventListener("storage", handleStorage);
+    return () => window.removeEventListener("storage", handleStorage);
+  }, [channelName, storage, storageKey]);
+
+  const refresh = useCallback(() => {
+    // Concurrent callers share one refresh request.
+    if (!refreshPromiseRef.current) {
+      const current = sessionRef.current;
+      if (!current) return Promise.resolve(null);
+
+      refreshPromiseRef.current = apiRef.current
+        .refresh(current.refreshToken)
+        .then(
+          (nextSession) => {
+            commitSession(nextSession);
+            return nextSession;
+          },
+          (error) => {
+            // Another tab may have refreshed first and stored a newer session; use it instead of signing out.
+            const stored = readSession(storage, storageKey);
+            if (stored && stored.refreshToken !== current.refreshToken) {
+              sessionRef.current = stored;
+              dispatch({ type: "sessionChanged", session: stored });
+              return stored;
+            }
+            commitSession(null);
+            dispatch({ type: "failed", error });
+            throw error;
+          }
+        )
+        .finally(() => {
+          refreshPromiseRef.current = null;
+        });
+    }
+    return refreshPromiseRef.current;
+  }, [commitSession, storage, storageKey]);
+
+  // Refresh the access token shortly before it expires (immediately if a restored session has already expired).
+  // A margin longer than half the remaining lifetime would refresh again right away, so it is capped at that half.
+  // The random part spreads out the refreshes of several tabs, so the first one usually shares its new session with the others.
+  useEffect(() => {
+    if (!session) return;
+    const timeLeft = session.expiresAt - Date.now();
+    const margin = Math.min(refreshMargin, timeLeft / 2);
+    const jitter = Math.random() * margin * 0.5;
+    const delay = timeLeft - margin + jitter;
+    const timer = setTimeout(() => {
+      refresh().catch(() => {});
+    }, Math.max(delay, 0));
+    return () => clearTimeout(timer);
+  }, [session, refreshMargin, refresh]);
+
+  const login = useCallback(
+    async (credentials) => {
+      try {
+        const nextSession = await apiRef.current.login(credentials);
+        commitSession(nextSession);
+        return nextSession.user;
+      } catch (error) {
+        dispatch({ type: "failed", error });
+        throw error;
+      }
+    },
+    [commitSession]
+  );
+
+  const logout = useCallback(() => {
+    const current = sessionRef.current;
+    if (current && apiRef.current.logout) {
+      // Revoking the refresh token is best effort; the local session ends either way.
+      Promise.resolve(apiRef.current.logout(current.refreshToken)).catch(
+        () => {}
+      );
+    }
+    commitSession(null);
+  }, [commitSession]);
+
+  const getAccessToken = useCallback(async () => {
+    const current = sessionRef.current;
+    if (!current) return null;
+    if (current.expiresAt - Date.now() > 5000) return current.accessToken;
+    const nextSession = await refresh();
+    return nextSession ? nextSession.accessToken : null;
+  }, [refresh]);
+
+  const value = useMemo(() => {
+    const user = session ? session.user : null;
+    const hasRole = (roles) =>
+      !!user && toArray(roles).some((role) => user.roles.includes(role));
+    const hasPermission = (permissions) =>
+      !!user &&
+      toArray(permissions).every((permission) =>
+        user.permissions.includes(permission)
+      );
+
+    return {
+      user,
+      status: state.status,
+      isAuthenticated: state.status === "authenticated",
+      expiresAt: session ? session.expiresAt : null,
+      error: state.error,
+      login,
+      logout,
+      refresh,
+      getAccessToken,
+      hasRole,
+      hasPermission,
+    };
+  }, [
+    session,
+    state.status,
+    state.error,
+    login,
+    logout,
+    refresh,
+    getAccessToken,
+  ]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+/**
+ * useAuth
+ *
+ * Returns the session from the nearest `AuthProvider`.
+ * `hasRole(roles)` is true when the user has any of the roles; `hasPermission(permissions)` when they have all of the permissions.
+ */
+export function useAuth() {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error("useAuth must be used within an AuthProvider");
+  }
+  return context;
+}
+
+const defaultNavigate = (to) => window.location.assign(to);
+
+/**
+ * RequireAuth
+ *
+ * Renders `children` only for a signed-in user who has one of `roles` (if given) and all of `permissions` (if given).
+ * Otherwise it renders `fallback`, and navigates to `redirectTo` when it is set (through `navigate`, which defaults to a full page load).
+ * Inside a `Router` (see `components/Router.jsx`), pass a stable `navigate` built on `useNavigate()` with `{ replace: true }`
+ * to redirect without reloading the page and without trapping the Back button.
+ * `loadingFallback` is rendered while the session is being restored.
+ */
+export function RequireAuth({
+  roles,
+  permissions,
+  fallback = null,
+  loadingFallback = null,
+  redirectTo,
+  navigate = defaultNavigate,
+  children,
+}) {
+  const { status, hasRole, hasPermission } = useAuth();
+
+  const isAllowed =
+    status === "authenticated" &&
+    (roles === undefined || hasRole(roles)) &&
+    (permissions === undefined || hasPermission(permissions));
+  const shouldRedirect =
+    status !== "loading" && !isAllowed && redirectTo !== undefined;
+
+  useEffect(() => {
+    if (shouldRedirect) navigate(redirectTo);
+  }, [shouldRedirect, redirectTo, navigate]);
+
+  if (status === "loading") return loadingFallback;
+  return isAllowed ? children : fallback;
+}
+
+/**
+ * createMockAuthApi
+ *
+ * Creates an in-memory auth API for development and examples, with tokens that expire after `tokenLifetime` milliseconds.
+ * `users` maps a username to `{ password, roles, permissions }`.
+ */
+export function createMockAuthApi({ users, tokenLifetime = 30000 }) {
+  // Refresh tokens are revoked once used, so each one can only be exchanged once.
+  const revokedTokens = new Set();
+
+  const createSession = (username) => {
+    const { roles, permissions } = users[username];
+    const id = Math.random().toString(36).slice(2);
+    return {
+      user: { name: username, roles, permissions },
+      accessToken: `access.${username}.${id}`,
+      refreshToken: `refresh.${username}.${id}`,
+      expiresAt: Date.now() + tokenLifetime,
+    };
+  };
+
+  const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  return {
+    login: async ({ username, password }) => {
+      await delay(300);
+      if (!users[username] || users[username].password !== password) {
+        throw new Error("Invalid username or password");
+      }
+      return createSession(username);
+    },
+    refresh: async (refreshToken) => {
+      await delay(300);
+      const [, username] = refreshToken.split(".");
+      if (!users[username] || revokedTokens.has(refreshToken)) {
+        throw new Error("Session expired");
+      }
+      revokedTokens.add(refreshToken);
+      return createSession(username);
+    },
+    logout: async (refreshToken) => {
+      revokedTokens.add(refreshToken);
+    },
+  };
+}
+
+/**
+ * Example 1: Signing In and Refreshing Tokens
+ *
+ * This example signs in against a mock API whose access tokens expire after 20 seconds.
+ * The provider refreshes the token 5 seconds before it expires, so the expiry time keeps moving while the user stays signed in.
+ * The session survives a page reload, and signing out in one tab signs out every other tab showing this page.
+ *
+ * Use Case: Useful for any app that signs users in with short-lived access tokens.
+ */
+const authApi = createMockAuthApi({
+  users: {
+    alice: {
+      password: "admin",
+      roles: ["admin"],
+      permissions: ["read", "write"],
+    },
+    bob: { password: "viewer", roles: ["viewer"], permissions: ["read"] },
+  },
+  tokenLifetime: 20000,
+});
+
+function LoginForm() {
+  const { login, error } = useAuth();
+  const [username, setUsername] = useState("alice");
+  const [password, setPassword] = useState("");
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    login({ username, password }).catch(() => {});
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <p>Try alice / admin or bob / viewer.</p>
+      <input value={username} onChange={(e) => setUsername(e.target.value)} />
+      <input
+        type="password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+      />
+      <button type="submit">Sign in</button>
+      {error && <p style={{ color: "red" }}>{error.message}</p>}
+    </form>
+  );
+}
+
+function SessionInfo() {
+  const { user, expiresAt, logout, getAccessToken } = useAuth();
+  const [token, setToken] = useState(null);
+
+  return (
+    <div>
+      <p>
+        Signed in as {user.name} ({user.roles.join(", ")})
+      </p>
+      <p>Access token expires at {new Date(expiresAt).toLocaleTimeString()}</p>
+      <button onClick={() => getAccessToken().then(setToken)}>
+        Get access token
+      </button>
+      <button onClick={logout}>Sign out</button>
+      {token && <p>Token: {token}</p>}
+    </div>
+  );
+}
+
+function SessionExample() {
+  const { status } = useAuth();
+
+  return (
+    <div>
+      <h1>useAuth Example - Session</h1>
+      {status === "loading" && <p>Restoring session...</p>}
+      {status === "authenticated" && <SessionInfo />}
+      {status === "unauthenticated" && <LoginForm />}
+    </div>
+  );
+}
+
+/**
+ * Example 2: Protecting Content by Role and Permission
+ *
+ * This example wraps parts of the page in `RequireAuth`.
+ * The admin panel requires the "admin" role, and the editor requires the "write" permission.
+ * Signed in as bob, both show their fallbacks; signed in as alice, both are visible.
+ *
+ * Use Case: Useful for hiding admin pages and actions from users who are not allowed to use them.
+ */
+function ProtectedContentExample() {
+  return (
+    <div>
+      <h1>useAuth Example - RequireAuth</h1>
+      <RequireAuth
+        roles={["admin"]}
+        fallback={<p>The admin panel is only available to admins.</p>}
+        loadingFallback={<p>Checking access...</p>}
+      >
+        <p>Admin panel: manage users and settings.</p>
+      </RequireAuth>
+      <RequireAuth
+        permissions="write"
+        fallback={<p>You need the "write" permission to edit.</p>}
+      >
+        <textarea defaultValue="Editable content" />
+      </RequireAuth>
+    </div>
+  );
+}
+
+// Combine all components into a single display
+function App() {
+  return (
+    <AuthProvider api={authApi} refreshMargin={5000}>
+      <h1>useAuth Examples</h1>
+      <SessionExample />
+      <hr />
+      <ProtectedContentExample />
+    </AuthProvider>
+  );
+}
+
+export default App;
@@ -0,0 +1,524 @@
+/**
+ * This file demonstrates how to build a chat connection manager and read it with the `useChatRoom` custom hook.
+ *
+ * It replaces the `createConnection` stub from `useCallback.jsx` (which only logs "Connected" and "Disconnected") with a real WebSocket layer.
+ * One connection per server is shared by every room, and each component only subscribes to the room it shows.
+ *
+ * --- What useChatRoom does ---
+ * 1. It joins `roomId` on the shared connection for `serverUrl` and returns `messages`, the connection `status` and a `send` function.
+ * 2. The connection reconnects automatically with exponential backoff and queues messages sent while it is offline.
+ * 3. The connection sends heartbeat pings and replaces sockets that stop answering, and multiplexes all rooms over one socket.
+ *
+ * --- When to use useChatRoom ---
+ * 1. When building chat, notifications or other live features on top of a WebSocket server.
+ * 2. When several components show different rooms from the same server and should not open one socket each.
+ * 3. When messages typed during a short network outage should still be delivered once the connection is back.
+ *
+ * --- When to be careful ---
+ * 1. Connections are shared by `serverUrl`; the options passed the first time a server is used apply to every later caller.
+ * 2. Queued messages are kept in memory only; they are lost if the page is closed before the connection comes back.
+ * 3. Use `createMockChatServer` in development and tests instead of a live service; it speaks the same protocol.
+ *
+ * --- Similar Hooks ---
+ * - `useEffect`: `useChatRoom` joins and leaves the room in an effect, just like `ChatRoom` in `useCallback.jsx`.
+ * - `useSyncExternalStore`: The connection status lives in a store created with `createStore` and is read with `useStore`.
+ */
+
+import React, { useCallback, useEffect, useState } from "react";
+import { createStore, useStore } from "./useStore";
+
+const defaultReconnectDelay = (attempt) =>
+  // Exponential backoff with jitter, so clients do not all reconnect at the same moment.
+  Math.min(1000 * 2 ** attempt, 30000) * (0.5 + Math.random() / 2);
+
+let nextMessageId = 0;
+const createMessageId = () => `${Date.now().toString(36)}-${nextMessageId++}`;
+
+/**
+ * createChatConnection
+ *
+ * Creates a connection manager for `serverUrl`. Options:
+ * - `WebSocket`: the WebSocket implementation (defaults to the browser's; pass `createMockChatServer().WebSocket` in tests).
+ * - `reconnectDelay(attempt)`: the backoff delay in milliseconds.
+ * - `heartbeatInterval` / `heartbeatTimeout`: how often to ping, and how long to wait for any answer before reconnecting.
+ * - `maxQueueSize`: the maximum number of messages kept while offline (the oldest are dropped first).
+ *
+ * The socket is opened when the first room is subscribed and closed when the last room is left.
+ *
+ * Protocol (JSON): the client sends `join`, `leave`, `message` and `ping` packets; the server sends `message` and `pong` packets.
+ */
+export function createChatConnection(serverUrl, options = {}) {
+  const {
+    WebSocket: WebSocketImpl = typeof WebSocket !== "undefined"
+      ? WebSocket
+      : undefined,
+    reconnectDelay = defaultReconnectDelay,
+    heartbeatInterval = 25000,
+    heartbeatTimeout = 10000,
+    maxQueueSize = 100,
+  } = options;
+
+  const statusStore = createStore(
+    { status: "idle", attempt: 0 }, // status: "idle" | "connecting" | "open" | "reconnecting" | "closed"
+    {
+      setStatus: (state, status, attempt) => ({ status, attempt }),
+    }
+  );
+
+  const rooms = new Map(); // roomId -> Set of listeners
+  let queue = [];
+  let socket = null;
+  let attempt = 0;
+  let reconnectTimer = null;
+  let heartbeatTimer = null;
+  let heartbeatTimeoutTimer = null;
+
+  const isOpen = () => socket !== null && socket.readyState === 1; // WebSocket.OPEN
+
+  const sendPacket = (packet) => socket.send(JSON.stringify(packet));
+
+  const stopHeartbeat = () => {
+    clearInterval(heartbeatTimer);
+    clearTimeout(heartbeatTimeoutTimer);
+    heartbeatTimer = null;
+    heartbeatTimeoutTimer = null;
+  };
+
+  const startHeartbeat = () => {
+    stopHeartbeat();
+    heartbeatTimer = setInterval(() => {
+      // A tick can race a closing socket, which throws on `send`; the timeout below still drops it if `close` never fires.
+      if (isOpen()) sendPacket({ type: "ping" });
+      if (heartbeatTimeoutTimer === null) {
+        // A socket that stops answering may never fire `close`, so it is dropped without waiting for it.
+        heartbeatTimeoutTimer = setTimeout(dropSocket, heartbeatTimeout);
+      }
+    }, heartbeatInterval);
+  };
+
+  const detachSocket = () => {
+    stopHeartbeat();
+    if (socket === null) return;
+    socket.onopen = socket.onmessage = socket.onclose = socket.onerror = null;
+    socket.close();
+    socket = null;
+  };
+
+  const scheduleReconnect = () => {
+    const delay = reconnectDelay(attempt);
+    attempt++;
+    statusStore.actions.setStatus("reconnecting", attempt);
+    reconnectTimer = setTimeout(open, delay);
+  };
+
+  const dropSocket = () => {
+    detachSocket();
+    if (rooms.size > 0) scheduleReconnect();
+  };
+
+  const handleMessage = (event) => {
+    // Any packet proves the connection is alive.
+    clearTimeout(heartbeatTimeoutTimer);
+    heartbeatTimeoutTimer = null;
+
+    let packet;
+    try {
+      packet = JSON.parse(event.data);
+    } catch {
+      return;
+    }
+
+    if (packet.type === "message") {
+      const listeners = rooms.get(packet.roomId);
+      if (listeners) listeners.forEach((listener) => listener(packet));
+    }
+  };
+
+  const open = () => {
+    reconnectTimer = null;
+    statusStore.actions.setStatus(
+      attempt === 0 ? "connecting" : "reconnecting",
+      attempt
+    );
+
+    socket = new WebSocketImpl(serverUrl);
+    socket.onopen = () => {
+      attempt = 0;
+      statusStore.actions.setStatus("open", 0);
+      rooms.forEach((_, roomId) => sendPacket({ type: "join", roomId }));
+      const pending = queue;
+      queue = [];
+      pending.forEach(sendPacket);
+      startHeartbeat();
+    };
+    socket.onmessage = handleMessage;
+    // `error` is always followed by `close`, so reconnecting is handled in one place.
+    socket.onclose = dropSocket;
+  };
+
+  const close = () => {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    attempt = 0;
+    detachSocket();
+    statusStore.actions.setStatus("closed", 0);
+  };
+
+  const subscribe = (roomId, listener) => {
+    let listeners = rooms.get(roomId);
+    if (!listeners) {
+      listeners = new Set();
+      rooms.set(roomId, listeners);
+      if (isOpen()) sendPacket({ type: "join", roomId });
+    }
+    listeners.add(listener);
+
+    if (socket === null && reconnectTimer === null) open();
+
+    return () => {
+      listeners.delete(listener);
+      if (listeners.size > 0 || rooms.get(roomId) !== listeners) return;
+
+      rooms.delete(roomId);
+      queue = queue.filter((packet) => packet.roomId !== roomId);
+      if (isOpen()) sendPacket({ type: "leave", roomId });
+      if (rooms.size === 0) close();
+    };
+  };
+
+  const send = (roomId, text, user) => {
+    const packet = {
+      type: "message",
+      id: createMessageId(),
+      roomId,
+      user,
+      text,
+    };
+
+    if (isOpen()) {
+      sendPacket(packet);
+    } else {
+      queue = [...queue, packet].slice(-maxQueueSize);
+    }
+    return packet;
+  };
+
+  return {
+    serverUrl,
+    statusStore,
+    subscribe,
+    send,
+    getQueueSize: () => queue.length,
+  };
+}
+
+const connections = new Map();
+
+/**
+ * getChatConnection
+ *
+ * Returns the shared connection for `serverUrl`, creating it with `options` on first use.
+ */
+export function getChatConnection(serverUrl, options) {
+  let connection = connections.get(serverUrl);
+  if (!connection) {
+    connection = createChatConnection(serverUrl, options);
+    connections.set(serverUrl, connection);
+  }
+  return connection;
+}
+
+/**
+ * useChatRoom
+ *
+ * Joins `roomId` on the shared connection for `serverUrl` and returns `{ messages, status, send }`.
+ * Sent messages appear right away with `pending: true` and are replaced by the server's copy once it arrives.
+ * `connectionOptions` is passed to `getChatConnection` (for example `{ WebSocket }` to use a mock server).
+ */
+export function useChatRoom({
+  serverUrl,
+  roomId,
+  user = "Anonymous",
+  connectionOptions,
+}) {
+  const connection = getChatConnection(serverUrl, connectionOptions);
+  const status = useStore(connection.statusStore, (state) => state.status);
+  const [messages, setMessages] = useState([]);
+
+  useEffect(() => {
+    const unsubscribe = connection.subscribe(roomId, (message) => {
+      setMessages((current) => {
+        const index = current.findIndex((item) => item.id === message.id);
+        if (index === -1) return [...current, message];
+        const next = current.slice();
+        next[index] = message;
+        return next;
+      });
+    });
+
+    return () => {
+      unsubscribe();
+      setMessages([]);
+    };
+  }, [connection, roomId]);
+
+  const send = useCallback(
+    (text) => {
+      const message = connection.send(roomId, text, user);
+      setMessages((current) => [...current, { ...message, pending: true }]);
+    },
+    [connection, roomId, user]
+  );
+
+  return { messages, status, send };
+}
+
+/**
+ * createMockChatServer
+ *
+ * Creates an in-memory chat server and returns `{ WebSocket, setOnline, broadcast, getClientCount }`.
+ * `WebSocket` is a drop-in replacement for the browser class that talks to this server instead of the network,
+ * so the connection manager can be tested and demonstrated without a live service.
+ * `setOnline(false)` simulates a network outage: open sockets are dropped and new ones fail until it is set back to `true`.
+ */
+export function createMockChatServer({ latency = 50 } = {}) {
+  const clients = new Set();
+  let online = true;
+
+  const later = (callback) => setTimeout(callback, latency);
+
+  class MockWebSocket {
+    static CONNECTING = 0;
+    static OPEN = 1;
+    static CLOSING = 2;
+    static CLOSED = 3;
+
+    constructor(url) {
+      this.url = url;
+      this.readyState = MockWebSocket.CONNECTING;
+      this.rooms = new Set();
+      this.onopen = this.onmessage = this.onclose = this.onerror = null;
+
+      later(() => {
+        if (this.readyState !== MockWebSocket.CONNECTING) return;
+        if (!online) {
+          this.readyState = MockWebSocket.CLOSED;
+          if (this.onerror) this.onerror({ type: "error" });
+          if (this.onclose) this.onclose({ code: 1006, reason: "" });
+          return;
+        }
+        this.readyState = MockWebSocket.OPEN;
+        clients.add(this);
+        if (this.onopen) this.onopen({ type: "open" });
+      });
+    }
+
+    send(data) {
+      if (this.readyState !== MockWebSocket.OPEN) {
+        throw new Error("WebSocket is not open");
+      }
+      const packet = JSON.parse(data);
+      later(() => handlePacket(this, packet));
+    }
+
+    close(code = 1000, reason = "") {
+      if (this.readyState === MockWebSocket.CLOSED) return;
+      this.readyState = MockWebSocket.CLOSED;
+      clients.delete(this);
+      later(() => {
+        if (this.onclose) this.onclose({ code, reason });
+      });
+    }
+
+    receive(packet) {
+      if (this.readyState === MockWebSocket.OPEN && this.onmessage) {
+        this.onmessage({ data: JSON.stringify(packet) });
+      }
+    }
+  }
+
+  const broadcast = (roomId, message) => {
+    clients.forEach((client) => {
+      if (client.rooms.has(roomId)) client.receive(message);
+    });
+  };
+
+  const handlePacket = (client, packet) => {
+    if (!clients.has(client)) return;
+
+    switch (packet.type) {
+      case "join":
+        client.rooms.add(packet.roomId);
+        break;
+      case "leave":
+        client.rooms.delete(packet.roomId);
+        break;
+      case "ping":
+        client.receive({ type: "pong" });
+        break;
+      case "message":
+        broadcast(packet.roomId, { ...packet, sentAt: Date.now() });
+        break;
+      default:
+        break;
+    }
+  };
+
+  return {
+    WebSocket: MockWebSocket,
+    setOnline: (nextOnline) => {
+      online = nextOnline;
+      if (!online) clients.forEach((client) => client.close(1006));
+    },
+    broadcast: (roomId, text, user = "Server") =>
+      broadcast(roomId, {
+        type: "message",
+        id: createMessageId(),
+        roomId,
+        user,
+        text,
+        sentAt: Date.now(),
+      }),
+    getClientCount: () => clients.size,
+  };
+}
+
+/**
+ * Example 1: Chatting Through a Mock Server
+ *
+ * This example renders two chat windows for different users connected to the same mock server.
+ * Messages sent by one user appear in the other window once the server delivers them.
+ * "Go offline" drops the connection: the status switches to "reconnecting", messages sent meanwhile stay "sending..."
+ * and are delivered automatically after "Go online".
+ *
+ * Use Case: Useful for developing chat features without a backend and for checking how the UI behaves during outages.
+ */
+const mockServer = createMockChatServer();
+
+function ChatWindow({ serverUrl, roomId, user }) {
+  const [text, setText] = useState("");
+  const { messages, status, send } = useChatRoom({
+    serverUrl,
+    roomId,
+    user,
+    connectionOptions: {
+      WebSocket: mockServer.WebSocket,
+      heartbeatInterval: 5000,
+      heartbeatTimeout: 2000,
+    },
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    send(text);
+    setText("");
+  };
+
+  return (
+    <div style={{ border: "1px solid #ccc", padding: "10px", width: "250px" }}>
+      <h3>
+        {user} in #{roomId}
+      </h3>
+      <p>Status: {status}</p>
+      <ul>
+        {messages.map((message) => (
+          <li key={message.id}>
+            <strong>{message.user}:</strong> {message.text}
+            {message.pending && <em> (sending...)</em>}
+          </li>
+        ))}
+      </ul>
+      <form onSubmit={handleSubmit}>
+        <input
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder="Type your message..."
+        />
+        <button type="submit">Send</button>
+      </form>
+    </div>
+  );
+}
+
+function ChatExample() {
+  const [roomId, setRoomId] = useState("general");
+  const [online, setOnline] = useState(true);
+
+  const toggleNetwork = () => {
+    mockServer.setOnline(!online);
+    setOnline(!online);
+  };
+
+  return (
+    <div>
+      <h1>useChatRoom Example - Chat Windows</h1>
+      <select value={roomId} onChange={(e) => setRoomId(e.target.value)}>
+        <option value="general">general</option>
+        <option value="random">random</option>
+      </select>
+      <button onClick={toggleNetwork}>
+        {online ? "Go offline" : "Go online"}
+      </button>
+      <div style={{ display: "flex", gap: "10px" }}>
+        <ChatWindow serverUrl="ws://mock-chat/a" roomId={roomId} user="Alice" />
+        <ChatWindow serverUrl="ws://mock-chat/b" roomId={roomId} user="Bob" />
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Example 2: Multiplexing Rooms over One Socket
+ *
+ * This example shows three rooms side by side for the same server URL.
+ * All of them share a single connection: "Count server clients" reports one socket for these three rooms,
+ * plus one socket per user from Example 1.
+ * The "Announce" button broadcasts a server message to one room, which only that room's window receives.
+ *
+ * Use Case: Useful for dashboards that follow several channels at once without opening a socket per channel.
+ */
+function MultiplexedRooms() {
+  const [clientCount, setClientCount] = useState(0);
+
+  return (
+    <div>
+      <h1>useChatRoom Example - Multiplexing</h1>
+      <button
+        onClick={() =>
+          mockServer.broadcast("support", "Support is back online.")
+        }
+      >
+        Announce in #support
+      </button>
+      <button onClick={() => setClientCount(mockServer.getClientCount())}>
+        Count server clients
+      </button>
+      {clientCount > 0 && <p>Open sockets on the server: {clientCount}</p>}
+      <div style={{ display: "flex", gap: "10px" }}>
+        {["news", "support", "random"].map((roomId) => (
+          <ChatWindow
+            key={roomId}
+            serverUrl="ws://mock-chat/dashboard"
+            roomId={roomId}
+            user="Carol"
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Combine all components into a single display
+function App() {
+  return (
+    <div>
+      <h1>useChatRoom Examples</h1>
+      <ChatExample />
+      <hr />
+      <MultiplexedRooms />
+    </div>
+  );
+}
+
+export default App;
@@ -0,0 +1,240 @@
+/**
+ * This file demonstrates how to build a selectable context with `createSelectableContext` and read slices of it with the `useContextSelector` custom hook.
+ *
+ * With a regular context, every component that calls `useContext` re-renders whenever the provider's `value` changes, even if it only reads one field.
+ * A selectable context keeps the value in an external store (the subscription model from `useSyncExternalStore.jsx`) and passes the store
+ * through context instead, so each component subscribes only to the slice it selects.
+ *
+ * --- What useContextSelector does ---
+ * 1. It returns `selector(value)` for the nearest provider of a context created with `createSelectableContext`.
+ * 2. It only re-renders the component when the selected slice changes according to the equality function (`Object.is` by default).
+ * 3. In development, the provider warns when its `value` gets a new identity on a render without any of its fields changing.
+ *
+ * --- When to use useContextSelector ---
+ * 1. When a context holds a large object (settings, session, form state) and most consumers only need one or two fields.
+ * 2. When some fields of the context change often (like a cursor position) while others rarely change.
+ * 3. When profiling shows many components re-rendering because of an unrelated context update.
+ *
+ * --- When to be careful ---
+ * 1. Selectors that build new objects or arrays need `shallowEqual` (from `useStore.jsx`) as the equality function, otherwise every update re-renders.
+ * 2. Components reading a selectable context must use `useContextSelector`; `useContext` returns the internal store, not the value.
+ * 3. Memoizing the provider `value` with `useMemo` is still good practice; the warning points out values that should be memoized.
+ *
+ * --- Similar Hooks ---
+ * - `useContext`: Re-renders on every value change; fine for small or rarely changing values.
+ * - `useStore`: The same selector model for state that lives outside the component tree (see `custom-hooks/useStore.jsx`).
+ */
+
+import React, {
+  createContext,
+  useContext,
+  useLayoutEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import { createStore, shallowEqual, useStore } from "./useStore";
+import { useRenderCount } from "../components/RenderProfiler";
+
+// Bundlers replace `process.env.NODE_ENV`; where `process` does not exist at all, the development warnings are skipped.
+const isDevelopment =
+  typeof process !== "undefined" && process.env.NODE_ENV !== "production";
+
+const identity = (value) => value;
+
+/**
+ * createSelectableContext
+ *
+ * Creates a context whose `Provider` takes a `value` like a regular provider, but is read with `useContextSelector`.
+ * Without a provider, consumers read `defaultValue`.
+ */
+export function createSelectableContext(defaultValue, displayName) {
+  const StoreContext = createContext(createStore(defaultValue));
+
+  function Provider({ value, children }) {
+    const [store] = useState(() => createStore(value));
+    const previousValueRef = useRef(value);
+    const hasWarnedRef = useRef(false);
+
+    // Publish the new value after rendering; subscribed consumers re-render synchronously if their slice changed.
+    useLayoutEffect(() => {
+      const previousValue = previousValueRef.current;
+      previousValueRef.current = value;
+
+      if (
+        isDevelopment &&
+        !hasWarnedRef.current &&
+        previousValue !== value &&
+        shallowEqual(previousValue, value)
+      ) {
+        hasWarnedRef.current = true;
+        console.warn(
+          `${
+            displayName || "SelectableContext"
+          }.Provider received a new value object with the same contents. ` +
+            "Wrap the value in useMemo so consumers are not notified without a reason."
+        );
+      }
+
+      store.setState(() => value);
+    }, [store, value]);
+
+    return (
+      <StoreContext.Provider value={store}>{children}</StoreContext.Provider>
+    );
+  }
+
+  Provider.displayName = displayName
+    ? `${displayName}.Provider`
+    : "SelectableContext.Provider";
+
+  return { Provider, StoreContext, displayName };
+}
+
+/**
+ * useContextSelector
+ *
+ * Returns `selector(value)` for the nearest `Context.Provider` and re-renders only when that selection changes.
+ */
+export function useContextSelector(
+  Context,
+  selector = identity,
+  equalityFn = Object.is
+) {
+  if (!Context || !Context.StoreContext) {
+    throw new Error(
+      "useContextSelector must be called with a context created by createSelectableContext"
+    );
+  }
+  const store = useContext(Context.StoreContext);
+  return useStore(store, selector, equalityFn);
+}
+
+/**
+ * Example 1: Re-Rendering Only the Consumers That Changed
+ *
+ * This example keeps an app's settings in one selectable context. The provider value is a new object on every update.
+ * Each consumer selects one field and shows how many times it rendered.
+ * Typing a name only re-renders `NameLabel`; toggling notifications only re-renders `NotificationsLabel`.
+ *
+ * Use Case: Useful for app-wide settings or session objects read by many components.
+ */
+const SettingsContext = createSelectableContext(null, "SettingsContext");
+
+function NameLabel() {
+  const name = useContextSelector(SettingsContext, (value) => value.name);
+  const renders = useRenderCount();
+  return (
+    <p>
+      Name: {name} (rendered {renders} times)
+    </p>
+  );
+}
+
+function NotificationsLabel() {
+  const notifications = useContextSelector(
+    SettingsContext,
+    (value) => value.notifications
+  );
+  const renders = useRenderCount();
+  return (
+    <p>
+      Notifications: {notifications ? "on" : "off"} (rendered {renders} times)
+    </p>
+  );
+}
+
+function SettingsSummary() {
+  const summary = useContextSelector(
+    SettingsContext,
+    (value) => ({ name: value.name, language: value.language }),
+    shallowEqual
+  );
+  const renders = useRenderCount();
+  return (
+    <p>
+      {summary.name} reads in {summary.language} (rendered {renders} times)
+    </p>
+  );
+}
+
+const MemoizedConsumers = React.memo(function MemoizedConsumers() {
+  return (
+    <>
+      <NameLabel />
+      <NotificationsLabel />
+      <SettingsSummary />
+    </>
+  );
+});
+
+function SettingsExample() {
+  const [name, setName] = useState("Alice");
+  const [notifications, setNotifications] = useState(true);
+  const [language] = useState("English");
+
+  // A new object on every render; only the consumers whose slice changed re-render.
+  const settings = { name, notifications, language };
+
+  return (
+    <SettingsContext.Provider value={settings}>
+      <h1>useContextSelector Example - Settings</h1>
+      <input value={name} onChange={(e) => setName(e.target.value)} />
+      <button onClick={() => setNotifications(!notifications)}>
+        Toggle notifications
+      </button>
+      <MemoizedConsumers />
+    </SettingsContext.Provider>
+  );
+}
+
+/**
+ * Example 2: Warning About Unstable Provider Values
+ *
+ * This example re-renders the provider without changing the value's contents.
+ * Because the value is an object literal, it gets a new identity every time, and the console shows a one-time warning.
+ * The second provider wraps the value in `useMemo`, so it stays the same object and does not warn.
+ *
+ * Use Case: Useful for finding providers that notify their consumers more often than needed.
+ */
+const StatusContext = createSelectableContext(null, "StatusContext");
+
+function StatusLabel() {
+  const status = useContextSelector(StatusContext, (value) => value.status);
+  return <p>Status: {status}</p>;
+}
+
+function UnstableValueExample() {
+  const [, forceRender] = useState(0);
+  const status = "online";
+  const memoizedValue = useMemo(() => ({ status }), [status]);
+
+  return (
+    <div>
+      <h1>useContextSelector Example - Unstable Values</h1>
+      <button onClick={() => forceRender((count) => count + 1)}>
+        Re-render providers
+      </button>
+      <StatusContext.Provider value={{ status }}>
+        <StatusLabel />
+      </StatusContext.Provider>
+      <StatusContext.Provider value={memoizedValue}>
+        <StatusLabel />
+      </StatusContext.Provider>
+    </div>
+  );
+}
+
+// Combine all components into a single display
+function App() {
+  return (
+    <div>
+      <h1>useContextSelector Examples</h1>
+      <SettingsExample />
+      <hr />
+      <UnstableValueExample />
+    </div>
+  );
+}
+
+export default App;
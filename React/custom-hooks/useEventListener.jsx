@@ -0,0 +1,360 @@
+/**
+ * This file demonstrates a family of browser hooks: `useEventListener`, `useMediaQuery`, `useWindowSize`, `useOnlineStatus` and `usePageVisibility`.
+ *
+ * `useSyncExternalStore.jsx` and `useDebugValue.jsx` each wrote their own versions of some of these hooks. This module replaces them with one
+ * implementation per hook. The hooks that return browser state are built on `useSyncExternalStore`, return cached snapshots, and provide
+ * server snapshots so they can be used during server rendering and hydration.
+ *
+ * --- What these hooks do ---
+ * 1. `useEventListener(target, type, handler, options)` adds an event listener to `window` (the default), `document`, an element or a ref,
+ *    and always calls the latest `handler` without re-adding the listener on every render.
+ * 2. `useMediaQuery`, `useWindowSize`, `useOnlineStatus` and `usePageVisibility` return the current media query match, window size,
+ *    network status and page visibility, and re-render the component when they change.
+ * 3. `useWindowSize` returns the same object until the size changes, and can throttle updates during a resize with `throttleMs`.
+ *
+ * --- When to use these hooks ---
+ * 1. When a component needs to react to a DOM event, such as a key press on `document` or a scroll on an element.
+ * 2. When the layout depends on the viewport, for example rendering a menu instead of a sidebar on small screens.
+ * 3. When work should pause while the user is offline or the tab is hidden.
+ *
+ * --- When to be careful ---
+ * 1. Prefer CSS media queries for purely visual changes; `useMediaQuery` is for changes in what is rendered.
+ * 2. On the server, the hooks return their server snapshots (not a small screen, online, visible), so the first client render may differ
+ *    from the real values until hydration completes.
+ * 3. Pass `options` as separate primitive fields (`capture`, `passive`, `once`); they are compared by value, not by object identity.
+ *
+ * --- Similar Hooks ---
+ * - `useSyncExternalStore`: The state hooks in this file are thin wrappers around it (see `useSyncExternalStore.jsx`).
+ * - `useEffect`: `useEventListener` is an effect that adds and removes a listener; write the effect directly for one-off cases.
+ */
+
+import React, {
+  useCallback,
+  useDebugValue,
+  useEffect,
+  useLayoutEffect,
+  useRef,
+  useState,
+  useSyncExternalStore,
+} from "react";
+
+// Layout effects do not run on the server, and React warns when they are used there.
+const useIsomorphicLayoutEffect =
+  typeof window !== "undefined" ? useLayoutEffect : useEffect;
+
+// Returns a subscribe function that listens to `types` on the target returned by `getTarget`.
+const createEventSubscription = (getTarget, types) => (callback) => {
+  const target = getTarget();
+  types.forEach((type) => target.addEventListener(type, callback));
+  return () =>
+    types.forEach((type) => target.removeEventListener(type, callback));
+};
+
+/**
+ * useEventListener
+ *
+ * Adds `handler` as a listener for `type` on `target` while the component is mounted.
+ * `target` can be an `EventTarget` or a ref to one, and defaults to `window`. Pass `null` to skip adding the listener.
+ * The handler is kept in a ref, so passing a new function on every render does not re-add the listener.
+ */
+export function useEventListener(target, type, handler, options = {}) {
+  const handlerRef = useRef(handler);
+  const { capture = false, passive, once = false } = options;
+
+  useIsomorphicLayoutEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  useEffect(() => {
+    const element =
+      target === undefined
+        ? window
+        : target && "current" in target
+        ? target.current
+        : target;
+    if (!element || !element.addEventListener) return;
+
+    const listener = (event) => handlerRef.current(event);
+    element.addEventListener(type, listener, { capture, passive, once });
+    return () => element.removeEventListener(type, listener, { capture });
+  }, [target, type, capture, passive, once]);
+}
+
+/**
+ * useMediaQuery
+ *
+ * Returns whether `query` currently matches, and re-renders when that changes.
+ * `serverValue` is returned on the server and during hydration.
+ */
+export function useMediaQuery(query, serverValue = false) {
+  const subscribe = useCallback(
+    (callback) => {
+      const mediaQueryList = window.matchMedia(query);
+      mediaQueryList.addEventListener("change", callback);
+      return () => mediaQueryList.removeEventListener("change", callback);
+    },
+    [query]
+  );
+
+  return useSyncExternalStore(
+    subscribe,
+    () => window.matchMedia(query).matches,
+    () => serverValue
+  );
+}
+
+const throttle = (callback, wait) => {
+  let lastCall = 0;
+  let timeoutId = null;
+
+  const throttled = () => {
+    const remaining = wait - (Date.now() - lastCall);
+    if (remaining <= 0) {
+      clearTimeout(timeoutId);
+      timeoutId = null;
+      lastCall = Date.now();
+      callback();
+    } else if (timeoutId === null) {
+      // Trailing call, so the final size after a resize is never missed.
+      timeoutId = setTimeout(() => {
+        timeoutId = null;
+        lastCall = Date.now();
+        callback();
+      }, remaining);
+    }
+  };
+  throttled.cancel = () => {
+    clearTimeout(timeoutId);
+    timeoutId = null;
+  };
+
+  return throttled;
+};
+
+const serverWindowSize = { width: 1024, height: 768 };
+
+// One store per throttle interval, shared by every component using that interval.
+const windowSizeStores = new Map();
+
+const createWindowSizeStore = (throttleMs) => {
+  let snapshot = null;
+  const listeners = new Set();
+
+  // Only replace the snapshot when the size changed, so `getSnapshot` keeps returning the same object.
+  const readSize = () => {
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+    if (!snapshot || snapshot.width !== width || snapshot.height !== height) {
+      snapshot = { width, height };
+    }
+  };
+
+  const handleResize = throttle(() => {
+    readSize();
+    listeners.forEach((listener) => listener());
+  }, throttleMs);
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    if (listeners.size === 1) window.addEventListener("resize", handleResize);
+    return () => {
+      listeners.delete(listener);
+      if (listeners.size === 0) {
+        window.removeEventListener("resize", handleResize);
+        handleResize.cancel();
+      }
+    };
+  };
+
+  // While subscribed, the snapshot only changes through the throttled listener.
+  const getSnapshot = () => {
+    if (!snapshot || listeners.size === 0) readSize();
+    return snapshot;
+  };
+
+  return { subscribe, getSnapshot };
+};
+
+/**
+ * useWindowSize
+ *
+ * Returns `{ width, height }` of the window. The object only changes when the size changes.
+ * With `throttleMs`, updates during a resize happen at most once per interval (the final size is always delivered).
+ * On the server, it returns a default size of 1024×768.
+ */
+export function useWindowSize({ throttleMs = 0 } = {}) {
+  if (!windowSizeStores.has(throttleMs)) {
+    windowSizeStores.set(throttleMs, createWindowSizeStore(throttleMs));
+  }
+  const store = windowSizeStores.get(throttleMs);
+
+  return useSyncExternalStore(
+    store.subscribe,
+    store.getSnapshot,
+    () => serverWindowSize
+  );
+}
+
+const subscribeToNetworkStatus = createEventSubscription(
+  () => window,
+  ["online", "offline"]
+);
+
+/**
+ * useOnlineStatus
+ *
+ * Returns `true` while the browser is online. On the server, it returns `true`.
+ * The status is shown in React DevTools as `OnlineStatus: "Online"` or `"Offline"`.
+ */
+export function useOnlineStatus() {
+  const isOnline = useSyncExternalStore(
+    subscribeToNetworkStatus,
+    () => navigator.onLine,
+    () => true
+  );
+
+  useDebugValue(isOnline ? "Online" : "Offline");
+
+  return isOnline;
+}
+
+const subscribeToVisibility = createEventSubscription(
+  () => document,
+  ["visibilitychange"]
+);
+
+/**
+ * usePageVisibility
+ *
+ * Returns `true` while the page is visible, and `false` while the tab is hidden or minimized. On the server, it returns `true`.
+ */
+export function usePageVisibility() {
+  return useSyncExternalStore(
+    subscribeToVisibility,
+    () => document.visibilityState === "visible",
+    () => true
+  );
+}
+
+/**
+ * Example 1: Listening to Keyboard Events with useEventListener
+ *
+ * This example listens to `keydown` on `document` and to `scroll` on an element through a ref.
+ * The handlers read the latest state without being listed as dependencies, because `useEventListener` keeps them in a ref.
+ *
+ * Use Case: Useful for keyboard shortcuts and scroll tracking without re-adding listeners on every render.
+ */
+function KeyboardShortcutsExample() {
+  const [lastKey, setLastKey] = useState("none");
+  const [presses, setPresses] = useState(0);
+  const [scrollTop, setScrollTop] = useState(0);
+  const scrollRef = useRef(null);
+
+  useEventListener(
+    typeof document !== "undefined" ? document : null,
+    "keydown",
+    (event) => {
+      setLastKey(event.key);
+      setPresses(presses + 1);
+    }
+  );
+
+  useEventListener(
+    scrollRef,
+    "scroll",
+    (event) => setScrollTop(Math.round(event.currentTarget.scrollTop)),
+    { passive: true }
+  );
+
+  return (
+    <div>
+      <h1>useEventListener Example - Keyboard and Scroll</h1>
+      <p>
+        Last key: {lastKey} ({presses} presses)
+      </p>
+      <div
+        ref={scrollRef}
+        style={{ height: "100px", overflow: "auto", border: "1px solid #ccc" }}
+      >
+        <div style={{ height: "400px", padding: "8px" }}>
+          Scrolled {scrollTop}px
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Example 2: Responsive Layout with useMediaQuery and useWindowSize
+ *
+ * This example switches between a compact and a wide layout with `useMediaQuery`,
+ * and shows the window size, updated at most every 200ms while resizing.
+ *
+ * Use Case: Useful for rendering different components for different screen sizes.
+ */
+function ResponsiveExample() {
+  const isWide = useMediaQuery("(min-width: 768px)");
+  const { width, height } = useWindowSize({ throttleMs: 200 });
+
+  return (
+    <div>
+      <h1>useMediaQuery Example - Responsive Layout</h1>
+      <p>
+        Window: {width}×{height}px
+      </p>
+      {isWide ? (
+        <p>Wide layout: the sidebar is shown next to the content.</p>
+      ) : (
+        <p>Compact layout: the sidebar is moved into a menu.</p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Example 3: Pausing Work While Offline or Hidden
+ *
+ * This example counts seconds only while the page is visible and the browser is online.
+ * Switch to another tab or go offline to see the counter pause.
+ *
+ * Use Case: Useful for polling, animations and timers that should not run in the background.
+ */
+function PausableTickerExample() {
+  const isOnline = useOnlineStatus();
+  const isVisible = usePageVisibility();
+  const [seconds, setSeconds] = useState(0);
+  const isActive = isOnline && isVisible;
+
+  useEffect(() => {
+    if (!isActive) return;
+    const intervalId = setInterval(() => setSeconds((s) => s + 1), 1000);
+    return () => clearInterval(intervalId);
+  }, [isActive]);
+
+  return (
+    <div>
+      <h1>usePageVisibility Example - Pausable Ticker</h1>
+      <p>{isOnline ? "Online" : "Offline"}</p>
+      <p>{isVisible ? "Visible" : "Hidden"}</p>
+      <p>
+        Active for {seconds} seconds{isActive ? "" : " (paused)"}
+      </p>
+    </div>
+  );
+}
+
+// Combine all components into a single display
+function App() {
+  return (
+    <div>
+      <h1>Browser Hooks Examples</h1>
+      <KeyboardShortcutsExample />
+      <hr />
+      <ResponsiveExample />
+      <hr />
+      <PausableTickerExample />
+    </div>
+  );
+}
+
+export default App;
@@ -0,0 +1,503 @@
+/**
+ * This file demonstrates how to build a collision-aware positioning engine, `useFloating`, for tooltips, popovers and dropdowns.
+ *
+ * The `Tooltip` in `useLayoutEffect.jsx` only flips between above and below its target.
+ * `useFloating` measures the reference and floating elements in `useLayoutEffect`, so the final position is applied before the browser paints.
+ *
+ * --- What useFloating does ---
+ * 1. It positions a floating element next to a reference element in one of 12 placements (`top`, `top-start`, `top-end`, `right`, ... `left-end`).
+ * 2. It flips to the opposite side and shifts along the edge when the element would overflow the viewport or any clipping ancestor.
+ * 3. It updates on scroll, window resize and element resize (`ResizeObserver`), and returns coordinates for an optional arrow.
+ *
+ * --- When to use useFloating ---
+ * 1. When building tooltips, popovers, dropdown menus or autocomplete lists that must stay visible near their trigger.
+ * 2. When the trigger lives inside a scrolling container or near the edges of the screen.
+ * 3. When the floating element's size changes after it is shown, for example when its content loads.
+ *
+ * --- When to be careful ---
+ * 1. The floating element uses `position: fixed`; avoid ancestors with `transform` or `filter`, which change what `fixed` is relative to (render it through a portal instead).
+ * 2. Only compute positions while the floating element is open; pass `open: false` to stop listening to scroll and resize events.
+ * 3. Do not animate `top`/`left` of the floating element yourself; they are overwritten on every update.
+ *
+ * --- Similar Hooks ---
+ * - `useLayoutEffect`: `useFloating` uses it to measure and position elements before the browser paints.
+ * - `useEffect`: Positioning in `useEffect` would show the element at the wrong place for one frame.
+ */
+
+import React, { useCallback, useLayoutEffect, useRef, useState } from "react";
+
+const OPPOSITE_SIDE = {
+  top: "bottom",
+  bottom: "top",
+  left: "right",
+  right: "left",
+};
+
+export const PLACEMENTS = ["top", "right", "bottom", "left"].flatMap((side) => [
+  side,
+  `${side}-start`,
+  `${side}-end`,
+]);
+
+const parsePlacement = (placement) => {
+  const [side, alignment = "center"] = placement.split("-");
+  return { side, alignment };
+};
+
+const toPlacement = (side, alignment) =>
+  alignment === "center" ? side : `${side}-${alignment}`;
+
+const isVerticalSide = (side) => side === "top" || side === "bottom";
+
+// Places the floating box next to the reference box for one side and alignment.
+function computeCoords(reference, floating, side, alignment, offset) {
+  let x;
+  let y;
+
+  if (side === "top") y = reference.top - floating.height - offset;
+  if (side === "bottom") y = reference.bottom + offset;
+  if (side === "left") x = reference.left - floating.width - offset;
+  if (side === "right") x = reference.right + offset;
+
+  if (isVerticalSide(side)) {
+    if (alignment === "start") x = reference.left;
+    else if (alignment === "end") x = reference.right - floating.width;
+    else x = reference.left + (reference.width - floating.width) / 2;
+  } else {
+    if (alignment === "start") y = reference.top;
+    else if (alignment === "end") y = reference.bottom - floating.height;
+    else y = reference.top + (reference.height - floating.height) / 2;
+  }
+
+  return { x, y };
+}
+
+// How far the floating box sticks out of the clipping rect on each side (positive values overflow).
+function getOverflow({ x, y }, floating, clippingRect, padding) {
+  return {
+    top: clippingRect.top + padding - y,
+    bottom: y + floating.height - (clippingRect.bottom - padding),
+    left: clippingRect.left + padding - x,
+    right: x + floating.width - (clippingRect.right - padding),
+  };
+}
+
+/**
+ * getClippingRect
+ *
+ * Returns the visible area of `element`: the viewport intersected with every ancestor that clips its overflow.
+ */
+export function getClippingRect(element) {
+  let rect = {
+    top: 0,
+    left: 0,
+    right: document.documentElement.clientWidth,
+    bottom: document.documentElement.clientHeight,
+  };
+
+  for (
+    let parent = element.parentElement;
+    parent && parent !== document.body;
+    parent = parent.parentElement
+  ) {
+    const { overflow, overflowX, overflowY } = getComputedStyle(parent);
+    if (/auto|scroll|hidden|clip/.test(overflow + overflowX + overflowY)) {
+      const parentRect = parent.getBoundingClientRect();
+      rect = {
+        top: Math.max(rect.top, parentRect.top),
+        left: Math.max(rect.left, parentRect.left),
+        right: Math.min(rect.right, parentRect.right),
+        bottom: Math.min(rect.bottom, parentRect.bottom),
+      };
+    }
+  }
+
+  return rect;
+}
+
+/**
+ * computePosition
+ *
+ * Computes the fixed-position coordinates of `floating` next to `reference`, applying offset, flip, shift and arrow placement.
+ */
+export function computePosition(
+  referenceElement,
+  floatingElement,
+  {
+    placement = "bottom",
+    offset = 0,
+    flip = true,
+    shift = true,
+    padding = 8,
+    arrowElement = null,
+  } = {}
+) {
+  const reference = referenceElement.getBoundingClientRect();
+  const floating = {
+    width: floatingElement.offsetWidth,
+    height: floatingElement.offsetHeight,
+  };
+  const clippingRect = getClippingRect(referenceElement);
+  const { alignment } = parsePlacement(placement);
+  let { side } = parsePlacement(placement);
+
+  let coords = computeCoords(reference, floating, side, alignment, offset);
+
+  if (flip) {
+    const overflow = getOverflow(coords, floating, clippingRect, padding);
+    if (overflow[side] > 0) {
+      const flippedSide = OPPOSITE_SIDE[side];
+      const flippedCoords = computeCoords(
+        reference,
+        floating,
+        flippedSide,
+        alignment,
+        offset
+      );
+      const flippedOverflow = getOverflow(
+        flippedCoords,
+        floating,
+        clippingRect,
+        padding
+      );
+      // Only flip when the other side has more room.
+      if (flippedOverflow[flippedSide] < overflow[side]) {
+        side = flippedSide;
+        coords = flippedCoords;
+      }
+    }
+  }
+
+  if (shift) {
+    const overflow = getOverflow(coords, floating, clippingRect, padding);
+    if (isVerticalSide(side)) {
+      if (overflow.left > 0) coords.x += overflow.left;
+      else if (overflow.right > 0) coords.x -= overflow.right;
+    } else {
+      if (overflow.top > 0) coords.y += overflow.top;
+      else if (overflow.bottom > 0) coords.y -= overflow.bottom;
+    }
+  }
+
+  let arrow = null;
+  if (arrowElement) {
+    const arrowSize = {
+      width: arrowElement.offsetWidth,
+      height: arrowElement.offsetHeight,
+    };
+    // The arrow points at the center of the reference, but never leaves the floating element's rounded corners.
+    const clamp = (value, max) => Math.min(Math.max(value, padding), max);
+    if (isVerticalSide(side)) {
+      const center = reference.left + reference.width / 2 - coords.x;
+      arrow = {
+        x: clamp(
+          center - arrowSize.width / 2,
+          floating.width - arrowSize.width - padding
+        ),
+        y: null,
+      };
+    } else {
+      const center = reference.top + reference.height / 2 - coords.y;
+      arrow = {
+        x: null,
+        y: clamp(
+          center - arrowSize.height / 2,
+          floating.height - arrowSize.height - padding
+        ),
+      };
+    }
+    arrow.staticSide = OPPOSITE_SIDE[side];
+    arrow.size = isVerticalSide(side) ? arrowSize.height : arrowSize.width;
+  }
+
+  return {
+    x: Math.round(coords.x),
+    y: Math.round(coords.y),
+    placement: toPlacement(side, alignment),
+    arrow,
+  };
+}
+
+/**
+ * autoUpdate
+ *
+ * Calls `update` whenever anything scrolls (captured at the window), the window resizes or either element changes size.
+ * Returns a cleanup function.
+ */
+export function autoUpdate(referenceElement, floatingElement, update) {
+  window.addEventListener("scroll", update, { capture: true, passive: true });
+  window.addEventListener("resize", update);
+
+  let observer = null;
+  if (typeof ResizeObserver !== "undefined") {
+    observer = new ResizeObserver(() => update());
+    observer.observe(referenceElement);
+    observer.observe(floatingElement);
+  }
+
+  return () => {
+    window.removeEventListener("scroll", update, { capture: true });
+    window.removeEventListener("resize", update);
+    if (observer) observer.disconnect();
+  };
+}
+
+const isSamePosition = (a, b) =>
+  a.x === b.x &&
+  a.y === b.y &&
+  a.placement === b.placement &&
+  a.isPositioned === b.isPositioned &&
+  JSON.stringify(a.arrow) === JSON.stringify(b.arrow);
+
+/**
+ * useFloating
+ *
+ * Positions `floatingRef` next to `referenceRef` while `open` is true.
+ * Options: `placement`, `offset`, `flip`, `shift`, `padding` and `arrow` (a ref to the arrow element).
+ * Returns the coordinates, the final `placement`, ready-to-spread `floatingStyles` and `arrowStyles`, and a manual `update` function.
+ */
+export function useFloating(
+  referenceRef,
+  floatingRef,
+  {
+    placement = "bottom",
+    offset = 0,
+    flip = true,
+    shift = true,
+    padding = 8,
+    arrow: arrowRef,
+    open = true,
+  } = {}
+) {
+  const [position, setPosition] = useState({
+    x: 0,
+    y: 0,
+    placement,
+    arrow: null,
+    isPositioned: false,
+  });
+  const positionRef = useRef(position);
+
+  const update = useCallback(() => {
+    const reference = referenceRef.current;
+    const floating = floatingRef.current;
+    if (!reference || !floating) return;
+
+    const nextPosition = {
+      ...computePosition(reference, floating, {
+        placement,
+        offset,
+        flip,
+        shift,
+        padding,
+        arrowElement: arrowRef ? arrowRef.current : null,
+      }),
+      isPositioned: true,
+    };
+    // Skip re-renders when scroll or resize events do not move the element.
+    if (isSamePosition(positionRef.current, nextPosition)) return;
+    positionRef.current = nextPosition;
+    setPosition(nextPosition);
+  }, [
+    referenceRef,
+    floatingRef,
+    arrowRef,
+    placement,
+    offset,
+    flip,
+    shift,
+    padding,
+  ]);
+
+  useLayoutEffect(() => {
+    if (!open || !referenceRef.current || !floatingRef.current) return;
+
+    update();
+    return autoUpdate(referenceRef.current, floatingRef.current, update);
+  }, [open, update, referenceRef, floatingRef]);
+
+  // Hide the element again when it closes, so it does not flash at its old position when reopened.
+  useLayoutEffect(() => {
+    if (open || !positionRef.current.isPositioned) return;
+    positionRef.current = { ...positionRef.current, isPositioned: false };
+    setPosition(positionRef.current);
+  }, [open]);
+
+  const floatingStyles = {
+    position: "fixed",
+    top: 0,
+    left: 0,
+    transform: `translate(${position.x}px, ${position.y}px)`,
+    visibility: position.isPositioned ? "visible" : "hidden",
+  };
+
+  const arrowStyles = position.arrow
+    ? {
+        position: "absolute",
+        left: position.arrow.x !== null ? `${position.arrow.x}px` : "",
+        top: position.arrow.y !== null ? `${position.arrow.y}px` : "",
+        [position.arrow.staticSide]: `${-position.arrow.size / 2}px`,
+      }
+    : { position: "absolute" };
+
+  return { ...position, floatingStyles, arrowStyles, update };
+}
+
+/**
+ * Example 1: Tooltip with an Arrow
+ *
+ * This example shows a tooltip above a button. Scroll the page so the button is near the top edge and the tooltip flips below it.
+ * The arrow keeps pointing at the center of the button even when the tooltip is shifted.
+ *
+ * Use Case: Useful for short hints that appear on hover or focus.
+ */
+function Tooltip({ label, children, placement = "top" }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const referenceRef = useRef(null);
+  const floatingRef = useRef(null);
+  const arrowRef = useRef(null);
+  const { floatingStyles, arrowStyles } = useFloating(
+    referenceRef,
+    floatingRef,
+    {
+      placement,
+      offset: 8,
+      arrow: arrowRef,
+      open: isOpen,
+    }
+  );
+
+  const show = () => setIsOpen(true);
+  const hide = () => setIsOpen(false);
+
+  return (
+    <>
+      <span
+        ref={referenceRef}
+        onMouseEnter={show}
+        onMouseLeave={hide}
+        onFocus={show}
+        onBlur={hide}
+      >
+        {children}
+      </span>
+      {isOpen && (
+        <div
+          ref={floatingRef}
+          role="tooltip"
+          style={{
+            ...floatingStyles,
+            background: "#333",
+            color: "#fff",
+            padding: "6px 10px",
+            borderRadius: "4px",
+          }}
+        >
+          {label}
+          <div
+            ref={arrowRef}
+            style={{
+              ...arrowStyles,
+              width: "8px",
+              height: "8px",
+              background: "#333",
+              transform: "rotate(45deg)",
+            }}
+          />
+        </div>
+      )}
+    </>
+  );
+}
+
+function TooltipExample() {
+  return (
+    <div>
+      <h1>useFloating Example - Tooltip</h1>
+      <Tooltip label="Saves the document to the cloud">
+        <button>Save</button>
+      </Tooltip>
+    </div>
+  );
+}
+
+/**
+ * Example 2: Popover Inside a Scrolling Container
+ *
+ * This example renders a popover inside a small scrolling box. Choose any of the 12 placements and scroll the box:
+ * the popover flips and shifts to stay inside the box, and the final placement is shown in its content.
+ *
+ * Use Case: Useful for popovers and menus inside sidebars, tables or other scrollable panels.
+ */
+function PopoverExample() {
+  const [placement, setPlacement] = useState("bottom-start");
+  const [isOpen, setIsOpen] = useState(true);
+  const referenceRef = useRef(null);
+  const floatingRef = useRef(null);
+  const floating = useFloating(referenceRef, floatingRef, {
+    placement,
+    offset: 4,
+    open: isOpen,
+  });
+
+  return (
+    <div>
+      <h1>useFloating Example - Popover</h1>
+      <select value={placement} onChange={(e) => setPlacement(e.target.value)}>
+        {PLACEMENTS.map((option) => (
+          <option key={option} value={option}>
+            {option}
+          </option>
+        ))}
+      </select>
+      <div
+        style={{
+          height: "200px",
+          width: "300px",
+          overflow: "auto",
+          border: "1px solid black",
+        }}
+      >
+        <div style={{ height: "600px", width: "600px", paddingTop: "250px" }}>
+          <button
+            ref={referenceRef}
+            onClick={() => setIsOpen((prev) => !prev)}
+            style={{ marginLeft: "150px" }}
+          >
+            Toggle Popover
+          </button>
+        </div>
+      </div>
+      {isOpen && (
+        <div
+          ref={floatingRef}
+          style={{
+            ...floating.floatingStyles,
+            width: "180px",
+            padding: "10px",
+            background: "lightyellow",
+            border: "1px solid gray",
+          }}
+        >
+          Requested: {placement}
+          <br />
+          Actual: {floating.placement}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Combine all components into a single display
+function App() {
+  return (
+    <div>
+      <h1>useFloating Examples</h1>
+      <TooltipExample />
+      <hr />
+      <PopoverExample />
+    </div>
+  );
+}
+
+export default App;
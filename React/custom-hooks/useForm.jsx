@@ -0,0 +1,623 @@
+/**
+ * This file demonstrates how to grow the `formReducer` from `useReducer.jsx` into a reusable `useForm` custom hook.
+ *
+ * `useForm` keeps all form state in a single reducer and hands out `register(name)` helpers, so inputs only need to spread the returned props.
+ * Like `UserForm` in `useId.jsx`, every field id is derived from `useId`, so labels and error messages are linked accessibly.
+ *
+ * --- What useForm does ---
+ * 1. It tracks `values`, `errors`, `touched`, `dirty`, `isValidating` and `isSubmitting` for the whole form.
+ * 2. It validates fields with a schema, a form-level `validate` function and per-field sync or async (debounced) validators.
+ * 3. It supports nested and array fields through dot paths such as `address.city` or `phones.0`.
+ *
+ * --- When to use useForm ---
+ * 1. When a form has more than a couple of fields and each needs validation and error messages.
+ * 2. When a field must be checked against the server, such as "is this username available?".
+ * 3. When the form edits nested objects or lists of values, such as addresses or phone numbers.
+ *
+ * --- When to be careful ---
+ * 1. Field names are paths; a name like `phones.0` writes to an array, while `phones.home` writes to an object.
+ * 2. Async validators run after a debounce delay and stale results are ignored, but the server must still validate the data.
+ * 3. Show errors only for touched fields (or after a submit attempt) so users are not greeted by a form full of errors.
+ *
+ * --- Similar Hooks ---
+ * - `useReducer`: `useForm` is built on `useReducer`; use it directly for small forms like the one in `useReducer.jsx`.
+ * - `useId`: `useForm` uses `useId` to generate the ids that connect labels, inputs and error messages.
+ */
+
+import React, {
+  useCallback,
+  useEffect,
+  useId,
+  useReducer,
+  useRef,
+} from "react";
+
+const toPath = (name) => String(name).split(".");
+
+/**
+ * getIn / setIn
+ *
+ * Read and immutably write a value at a dot path (`"address.city"`, `"phones.0"`).
+ * Missing containers are created as arrays when the next path segment is a number and as objects otherwise.
+ */
+export function getIn(object, name) {
+  return toPath(name).reduce(
+    (current, key) => (current == null ? undefined : current[key]),
+    object
+  );
+}
+
+export function setIn(object, name, value) {
+  const [key, ...rest] = toPath(name);
+  const container = object == null ? (/^\d+$/.test(key) ? [] : {}) : object;
+  const nextValue =
+    rest.length === 0 ? value : setIn(container[key], rest.join("."), value);
+
+  if (Array.isArray(container)) {
+    const copy = container.slice();
+    copy[key] = nextValue;
+    return copy;
+  }
+  return { ...container, [key]: nextValue };
+}
+
+const isEqual = (a, b) =>
+  Object.is(a, b) || JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * rules / validateSchema
+ *
+ * A tiny schema format: `{ [fieldPath]: [rule, ...] }`, where each rule is `(value, values) => errorMessage | undefined`.
+ * `validateSchema` returns the first failing message for every field.
+ */
+export const rules = {
+  required:
+    (message = "This field is required") =>
+    (value) =>
+      value === undefined || value === null || value === ""
+        ? message
+        : undefined,
+  minLength:
+    (length, message = `Use at least ${length} characters`) =>
+    (value) =>
+      value && value.length < length ? message : undefined,
+  maxLength:
+    (length, message = `Use at most ${length} characters`) =>
+    (value) =>
+      value && value.length > length ? message : undefined,
+  pattern:
+    (regex, message = "Invalid format") =>
+    (value) =>
+      value && !regex.test(value) ? message : undefined,
+  email:
+    (message = "Enter a valid email address") =>
+    (value) =>
+      value && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? message : undefined,
+};
+
+export function validateSchema(schema, values) {
+  const errors = {};
+  Object.keys(schema).forEach((name) => {
+    const value = getIn(values, name);
+    for (const rule of schema[name]) {
+      const error = rule(value, values);
+      if (error) {
+        errors[name] = error;
+        break;
+      }
+    }
+  });
+  return errors;
+}
+
+/**
+ * formReducer
+ *
+ * The `formReducer` from `useReducer.jsx`, extended with errors, touched/dirty tracking and submission state.
+ * Errors, touched and dirty flags are keyed by field path.
+ */
+const createFormState = (values) => ({
+  values,
+  errors: {},
+  touched: {},
+  dirty: {},
+  validating: {},
+  isSubmitting: false,
+  submitCount: 0,
+  submitError: null,
+});
+
+function formReducer(state, action) {
+  switch (action.type) {
+    case "updateField":
+      return {
+        ...state,
+        values: setIn(state.values, action.field, action.value),
+        dirty: { ...state.dirty, [action.field]: action.dirty },
+      };
+    case "touchFields": {
+      const touched = { ...state.touched };
+      action.fields.forEach((field) => {
+        touched[field] = true;
+      });
+      return { ...state, touched };
+    }
+    case "setFieldError": {
+      const errors = { ...state.errors };
+      if (action.error) errors[action.field] = action.error;
+      else delete errors[action.field];
+      return { ...state, errors };
+    }
+    case "setFieldErrors": {
+      const errors = { ...state.errors };
+      const validating = { ...state.validating };
+      Object.keys(action.errors).forEach((field) => {
+        if (action.errors[field]) errors[field] = action.errors[field];
+        else delete errors[field];
+        validating[field] = false;
+      });
+      return { ...state, errors, validating };
+    }
+    case "setValidating":
+      return {
+        ...state,
+        validating: { ...state.validating, [action.field]: action.validating },
+      };
+    case "submitStart":
+      return {
+        ...state,
+        isSubmitting: true,
+        submitCount: state.submitCount + 1,
+        submitError: null,
+      };
+    case "submitEnd":
+      return { ...state, isSubmitting: false, submitError: action.error };
+    case "reset":
+      return createFormState(action.values);
+    default:
+      throw new Error(`Unknown action: ${action.type}`);
+  }
+}
+
+// A form-level `validate` can report errors on other paths than the field being edited, such as `phones.0` while `phones.1` changes,
+// or on shifted indices after `remove`. Those errors are dispatched here; the paths whose form-level error went away are returned,
+// so their own validators can run again.
+const applyFormErrors = (
+  { formErrorsRef, fieldsRef, validatorsRef, dispatch },
+  formErrors,
+  name
+) => {
+  const previousErrors = formErrorsRef.current;
+  formErrorsRef.current = formErrors;
+
+  const errors = {};
+  const fieldsToRevalidate = [];
+  Object.keys({ ...previousErrors, ...formErrors }).forEach((path) => {
+    if (path === name || previousErrors[path] === formErrors[path]) return;
+    const tracker = validatorsRef.current[path];
+    const field = fieldsRef.current[path];
+    if (formErrors[path] && tracker) {
+      // The form-level error wins over a pending field-level validation.
+      clearTimeout(tracker.timer);
+      tracker.token++;
+    }
+    if (!formErrors[path] && field && field.validate) {
+      fieldsToRevalidate.push(path);
+    } else {
+      errors[path] = formErrors[path];
+    }
+  });
+
+  if (Object.keys(errors).length > 0) {
+    dispatch({ type: "setFieldErrors", errors });
+  }
+  return fieldsToRevalidate;
+};
+
+const readEventValue = (eventOrValue) => {
+  const target = eventOrValue && eventOrValue.target;
+  if (!target) return eventOrValue;
+  return target.type === "checkbox" ? target.checked : target.value;
+};
+
+/**
+ * useForm
+ *
+ * Options: `initialValues`, `schema` (see `rules`), `validate(values)` returning an errors object, and `onSubmit(values)`.
+ * `register(name, { validate, debounceMs })` adds a field-level validator, which may return a promise.
+ */
+export function useForm({
+  initialValues = {},
+  schema = {},
+  validate,
+  onSubmit,
+}) {
+  const formId = useId();
+  const [state, dispatch] = useReducer(
+    formReducer,
+    initialValues,
+    createFormState
+  );
+
+  // Event handlers read the latest values and options through refs, so their identities stay stable.
+  const valuesRef = useRef(state.values);
+  const fieldsRef = useRef({});
+  const validatorsRef = useRef({});
+  const formErrorsRef = useRef({});
+  const optionsRef = useRef({ initialValues, schema, validate, onSubmit });
+  useEffect(() => {
+    optionsRef.current = { initialValues, schema, validate, onSubmit };
+  });
+
+  // Clear pending debounced validations when the form unmounts.
+  useEffect(() => {
+    const validators = validatorsRef.current;
+    return () =>
+      Object.values(validators).forEach(({ timer }) => clearTimeout(timer));
+  }, []);
+
+  const runFormValidation = (values) => {
+    const { schema, validate } = optionsRef.current;
+    return {
+      ...validateSchema(schema, values),
+      ...(validate && validate(values)),
+    };
+  };
+
+  const validateField = useCallback((name, values, { immediate } = {}) => {
+    const field = fieldsRef.current[name] || {};
+    if (!validatorsRef.current[name]) {
+      validatorsRef.current[name] = { timer: null, token: 0 };
+    }
+    const tracker = validatorsRef.current[name];
+    clearTimeout(tracker.timer);
+    const token = ++tracker.token;
+    const isLatest = () => tracker.token === token;
+
+    const formErrors = runFormValidation(values);
+    applyFormErrors(
+      { formErrorsRef, fieldsRef, validatorsRef, dispatch },
+      formErrors,
+      name
+    ).forEach((path) => validateField(path, values, { immediate: true }));
+
+    const syncError = formErrors[name];
+    if (syncError || !field.validate) {
+      dispatch({ type: "setFieldError", field: name, error: syncError });
+      dispatch({ type: "setValidating", field: name, validating: false });
+      return Promise.resolve(syncError);
+    }
+
+    const runFieldValidator = () =>
+      Promise.resolve(field.validate(getIn(values, name), values)).then(
+        (error) => {
+          if (isLatest()) {
+            dispatch({ type: "setFieldError", field: name, error });
+            dispatch({ type: "setValidating", field: name, validating: false });
+          }
+          return error;
+        }
+      );
+
+    dispatch({ type: "setValidating", field: name, validating: true });
+    if (field.debounceMs && !immediate) {
+      return new Promise((resolve) => {
+        tracker.timer = setTimeout(
+          () => resolve(runFieldValidator()),
+          field.debounceMs
+        );
+      });
+    }
+    return runFieldValidator();
+  }, []);
+
+  const setFieldValue = useCallback(
+    (name, value) => {
+      const values = setIn(valuesRef.current, name, value);
+      valuesRef.current = values;
+      dispatch({
+        type: "updateField",
+        field: name,
+        value,
+        dirty: !isEqual(getIn(optionsRef.current.initialValues, name), value),
+      });
+      validateField(name, values);
+    },
+    [validateField]
+  );
+
+  const setFieldTouched = useCallback(
+    (name) => {
+      dispatch({ type: "touchFields", fields: [name] });
+      validateField(name, valuesRef.current, { immediate: true });
+    },
+    [validateField]
+  );
+
+  // Array helpers for fields such as `phones`.
+  const append = useCallback(
+    (name, value) =>
+      setFieldValue(name, [...(getIn(valuesRef.current, name) || []), value]),
+    [setFieldValue]
+  );
+
+  const remove = useCallback(
+    (name, index) =>
+      setFieldValue(
+        name,
+        (getIn(valuesRef.current, name) || []).filter((_, i) => i !== index)
+      ),
+    [setFieldValue]
+  );
+
+  const reset = useCallback((values = optionsRef.current.initialValues) => {
+    Object.values(validatorsRef.current).forEach((tracker) => {
+      clearTimeout(tracker.timer);
+      tracker.token++;
+    });
+    valuesRef.current = values;
+    formErrorsRef.current = {};
+    dispatch({ type: "reset", values });
+  }, []);
+
+  const handleSubmit = useCallback(
+    async (event) => {
+      if (event && event.preventDefault) event.preventDefault();
+
+      const values = valuesRef.current;
+      const fields = Array.from(
+        new Set([
+          ...Object.keys(fieldsRef.current),
+          ...Object.keys(runFormValidation(values)),
+        ])
+      );
+      dispatch({ type: "touchFields", fields });
+
+      const results = await Promise.all(
+        fields.map((name) => validateField(name, values, { immediate: true }))
+      );
+      if (results.some(Boolean)) return;
+
+      dispatch({ type: "submitStart" });
+      try {
+        await optionsRef.current.onSubmit(values);
+        dispatch({ type: "submitEnd", error: null });
+      } catch (error) {
+        dispatch({ type: "submitEnd", error });
+      }
+    },
+    [validateField]
+  );
+
+  const getFieldId = (name) => `${formId}-${name}`;
+
+  const register = (name, fieldOptions = {}) => {
+    fieldsRef.current[name] = fieldOptions;
+    const id = getFieldId(name);
+    const value = getIn(state.values, name);
+    const error = state.errors[name];
+
+    return {
+      id,
+      name,
+      ...(typeof value === "boolean"
+        ? { checked: value }
+        : { value: value === undefined || value === null ? "" : value }),
+      onChange: (eventOrValue) =>
+        setFieldValue(name, readEventValue(eventOrValue)),
+      onBlur: () => setFieldTouched(name),
+      "aria-invalid": error ? true : undefined,
+      "aria-describedby": error ? `${id}-error` : undefined,
+    };
+  };
+
+  const getLabelProps = (name) => ({ htmlFor: getFieldId(name) });
+
+  const getErrorProps = (name) => ({
+    id: `${getFieldId(name)}-error`,
+    role: "alert",
+  });
+
+  // Errors are shown once a field was touched or the user tried to submit.
+  const getFieldError = (name) =>
+    state.touched[name] || state.submitCount > 0
+      ? state.errors[name]
+      : undefined;
+
+  return {
+    values: state.values,
+    errors: state.errors,
+    touched: state.touched,
+    dirty: state.dirty,
+    isDirty: Object.values(state.dirty).some(Boolean),
+    isValid: Object.keys(state.errors).length === 0,
+    isValidating: Object.values(state.validating).some(Boolean),
+    isSubmitting: state.isSubmitting,
+    submitCount: state.submitCount,
+    submitError: state.submitError,
+    register,
+    getLabelProps,
+    getErrorProps,
+    getFieldError,
+    setFieldValue,
+    setFieldTouched,
+    append,
+    remove,
+    reset,
+    handleSubmit,
+  };
+}
+
+/**
+ * Example 1: Sign-Up Form with Schema and Async Validation
+ *
+ * This example rebuilds the `Form` from `useReducer.jsx` with `useForm`.
+ * The schema checks the fields synchronously, and the username availability check runs asynchronously 400ms after the user stops typing.
+ *
+ * Use Case: Useful for sign-up or profile forms where some checks need a round trip to the server.
+ */
+const takenUsernames = ["admin", "root", "john"];
+
+const checkUsername = (username) =>
+  new Promise((resolve) => {
+    setTimeout(
+      () =>
+        resolve(
+          takenUsernames.includes(username.toLowerCase())
+            ? "This username is already taken"
+            : undefined
+        ),
+      300
+    );
+  });
+
+function SignUpForm() {
+  const form = useForm({
+    initialValues: { username: "", email: "", acceptTerms: false },
+    schema: {
+      username: [rules.required(), rules.minLength(3)],
+      email: [rules.required(), rules.email()],
+      acceptTerms: [
+        (value) => (value ? undefined : "You must accept the terms"),
+      ],
+    },
+    onSubmit: async (values) => {
+      await new Promise((resolve) => setTimeout(resolve, 500));
+      console.log("Submitted:", values);
+    },
+  });
+
+  const renderError = (name) =>
+    form.getFieldError(name) && (
+      <p {...form.getErrorProps(name)} style={{ color: "red" }}>
+        {form.getFieldError(name)}
+      </p>
+    );
+
+  return (
+    <div>
+      <h1>useForm Example - Sign Up</h1>
+      <form onSubmit={form.handleSubmit} noValidate>
+        <label {...form.getLabelProps("username")}>Username:</label>
+        <input
+          {...form.register("username", {
+            validate: checkUsername,
+            debounceMs: 400,
+          })}
+        />
+        {renderError("username")}
+        <br />
+        <label {...form.getLabelProps("email")}>Email:</label>
+        <input type="email" {...form.register("email")} />
+        {renderError("email")}
+        <br />
+        <input type="checkbox" {...form.register("acceptTerms")} />
+        <label {...form.getLabelProps("acceptTerms")}>I accept the terms</label>
+        {renderError("acceptTerms")}
+        <br />
+        <button type="submit" disabled={form.isSubmitting}>
+          {form.isSubmitting ? "Submitting..." : "Sign Up"}
+        </button>
+        <button type="button" onClick={() => form.reset()}>
+          Reset Form
+        </button>
+      </form>
+      {form.isValidating && <p>Checking...</p>}
+      <p>{form.isDirty ? "You have unsaved changes." : "No changes yet."}</p>
+    </div>
+  );
+}
+
+/**
+ * Example 2: Nested Objects and Array Fields
+ *
+ * This example edits a nested `address` object and a list of phone numbers.
+ * Field names are dot paths, and `append`/`remove` add or remove entries of the `phones` array.
+ * The form-level `validate` function checks a rule that involves several fields.
+ *
+ * Use Case: Useful for editing structured records, such as a contact with several addresses or phone numbers.
+ */
+function ContactForm() {
+  const form = useForm({
+    initialValues: {
+      name: "",
+      address: { street: "", city: "" },
+      phones: [""],
+    },
+    schema: {
+      name: [rules.required()],
+      "address.city": [rules.required("The city is required")],
+    },
+    validate: (values) =>
+      values.phones.some((phone) => phone.trim() !== "")
+        ? {}
+        : { "phones.0": "Add at least one phone number" },
+    onSubmit: (values) => console.log("Saved contact:", values),
+  });
+
+  return (
+    <div>
+      <h1>useForm Example - Nested and Array Fields</h1>
+      <form onSubmit={form.handleSubmit} noValidate>
+        <label {...form.getLabelProps("name")}>Name:</label>
+        <input {...form.register("name")} />
+        {form.getFieldError("name") && (
+          <p {...form.getErrorProps("name")}>{form.getFieldError("name")}</p>
+        )}
+        <fieldset>
+          <legend>Address</legend>
+          <label {...form.getLabelProps("address.street")}>Street:</label>
+          <input {...form.register("address.street")} />
+          <label {...form.getLabelProps("address.city")}>City:</label>
+          <input {...form.register("address.city")} />
+          {form.getFieldError("address.city") && (
+            <p {...form.getErrorProps("address.city")}>
+              {form.getFieldError("address.city")}
+            </p>
+          )}
+        </fieldset>
+        <fieldset>
+          <legend>Phones</legend>
+          {form.values.phones.map((_, index) => (
+            <div key={index}>
+              <label {...form.getLabelProps(`phones.${index}`)}>
+                Phone {index + 1}:
+              </label>
+              <input type="tel" {...form.register(`phones.${index}`)} />
+              <button
+                type="button"
+                onClick={() => form.remove("phones", index)}
+              >
+                Remove
+              </button>
+              {form.getFieldError(`phones.${index}`) && (
+                <p {...form.getErrorProps(`phones.${index}`)}>
+                  {form.getFieldError(`phones.${index}`)}
+                </p>
+              )}
+            </div>
+          ))}
+          <button type="button" onClick={() => form.append("phones", "")}>
+            Add Phone
+          </button>
+        </fieldset>
+        <button type="submit">Save Contact</button>
+      </form>
+      <pre>{JSON.stringify(form.values, null, 2)}</pre>
+    </div>
+  );
+}
+
+// Combine all components into a single display
+function App() {
+  return (
+    <div>
+      <h1>useForm Examples</h1>
+      <SignUpForm />
+      <hr />
+      <ContactForm />
+    </div>
+  );
+}
+
+export default App;
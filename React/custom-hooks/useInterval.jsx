@@ -0,0 +1,393 @@
+/**
+ * This file demonstrates a suite of timer hooks: `useInterval`, `useTimeout`, `useCountdown` and `useStopwatch`.
+ *
+ * `Timer` in `useEffect.jsx`, `Timer` in `useRef.jsx` and `useDate` in `useDebugValue.jsx` each set up `setInterval` with refs and cleanup.
+ * These hooks package that pattern once: they always call the latest callback, stop when the delay is `null`,
+ * correct for timer drift, and can pause while the page is hidden.
+ *
+ * --- What these hooks do ---
+ * 1. `useInterval(callback, delay)` and `useTimeout(callback, delay)` call the latest `callback` every `delay` ms or once after `delay` ms.
+ * 2. `useCountdown(target)` returns the time left until a date, and `useStopwatch()` returns the elapsed time with `start`, `pause`, `reset` and `lap`.
+ * 3. Ticks are scheduled against the start time instead of the previous tick, so a slow tick does not push every later tick back.
+ *
+ * --- When to use these hooks ---
+ * 1. When a component needs to poll, animate a clock, or run a callback on a schedule.
+ * 2. When the delay or callback changes over time, such as a polling interval that grows after errors.
+ * 3. When displaying a countdown or a stopwatch that must stay accurate over minutes or hours.
+ *
+ * --- When to be careful ---
+ * 1. Browsers throttle timers in background tabs; `useCountdown` and `useStopwatch` compute time from the clock, so they stay correct,
+ *    but `useInterval` callbacks may run late. Use `pauseWhenHidden` for work that is pointless while nobody is looking.
+ * 2. Pass `null` as the delay to pause instead of rendering the hook conditionally.
+ * 3. The hooks only use `setTimeout` and `Date.now()`, so tests can control them with fake timers (`jest.useFakeTimers()`).
+ *
+ * --- Similar Hooks ---
+ * - `useEffect`: The hooks set up and clear their timers in effects (see `useEffect.jsx`).
+ * - `useRef`: The latest callback and the timer ids are kept in refs, so changing them does not restart the timer (see `useRef.jsx`).
+ * - `usePageVisibility`: Used to pause timers while the page is hidden (see `useEventListener.jsx`).
+ */
+
+import React, {
+  useCallback,
+  useEffect,
+  useReducer,
+  useRef,
+  useState,
+} from "react";
+import { usePageVisibility } from "./useEventListener";
+
+// Keeps the latest `callback` in a ref, so timers call it without being restarted when it changes.
+const useLatestCallback = (callback) => {
+  const callbackRef = useRef(callback);
+  useEffect(() => {
+    callbackRef.current = callback;
+  });
+  return callbackRef;
+};
+
+// Browsers fire a timer whose delay does not fit in a signed 32-bit integer almost at once, so delays are clamped to this maximum.
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * useInterval
+ *
+ * Calls the latest `callback` every `delay` ms. Passing `null` as the delay pauses the interval; so does a delay that is not a positive,
+ * finite number, such as `0` from an emptied number input, instead of calling `callback` in a tight loop.
+ * Delays above the browser's timer limit (about 24.8 days) are clamped to it.
+ * Ticks are aligned to the time the interval started; ticks missed while the tab was throttled are skipped, not replayed.
+ * With `pauseWhenHidden`, the interval also pauses while the page is hidden and restarts when it becomes visible.
+ */
+export function useInterval(callback, delay, { pauseWhenHidden = false } = {}) {
+  const callbackRef = useLatestCallback(callback);
+  const isVisible = usePageVisibility();
+  const activeDelay =
+    (pauseWhenHidden && !isVisible) || !(Number.isFinite(delay) && delay > 0)
+      ? null
+      : Math.min(delay, MAX_TIMER_DELAY);
+
+  useEffect(() => {
+    if (activeDelay === null) return;
+
+    const startedAt = Date.now();
+    let ticks = 0;
+    let timeoutId;
+
+    const schedule = () => {
+      const nextTickAt = startedAt + (ticks + 1) * activeDelay;
+      timeoutId = setTimeout(tick, Math.max(0, nextTickAt - Date.now()));
+    };
+
+    const tick = () => {
+      ticks = Math.max(
+        ticks + 1,
+        Math.floor((Date.now() - startedAt) / activeDelay)
+      );
+      callbackRef.current();
+      schedule();
+    };
+
+    schedule();
+    return () => clearTimeout(timeoutId);
+  }, [activeDelay, callbackRef]);
+}
+
+/**
+ * useTimeout
+ *
+ * Calls the latest `callback` once, `delay` ms after mounting or after `delay` changes. Passing `null` as the delay cancels it.
+ * Returns `{ reset, clear }`: `reset()` starts the delay over and `clear()` cancels the pending call.
+ */
+export function useTimeout(callback, delay) {
+  const callbackRef = useLatestCallback(callback);
+  const timeoutIdRef = useRef(null);
+
+  const clear = useCallback(() => {
+    clearTimeout(timeoutIdRef.current);
+    timeoutIdRef.current = null;
+  }, []);
+
+  const reset = useCallback(() => {
+    clear();
+    if (delay === null || delay === undefined) return;
+    timeoutIdRef.current = setTimeout(() => {
+      timeoutIdRef.current = null;
+      callbackRef.current();
+    }, Math.min(delay, MAX_TIMER_DELAY));
+  }, [delay, clear, callbackRef]);
+
+  useEffect(() => {
+    reset();
+    return clear;
+  }, [reset, clear]);
+
+  return { reset, clear };
+}
+
+const toTimestamp = (target) =>
+  target instanceof Date ? target.getTime() : Number(target);
+
+const splitDuration = (milliseconds) => ({
+  days: Math.floor(milliseconds / 86400000),
+  hours: Math.floor(milliseconds / 3600000) % 24,
+  minutes: Math.floor(milliseconds / 60000) % 60,
+  seconds: Math.floor(milliseconds / 1000) % 60,
+});
+
+/**
+ * useCountdown
+ *
+ * Returns the time left until `target` (a `Date` or a timestamp) as `{ remaining, days, hours, minutes, seconds, isComplete }`,
+ * updated every `interval` ms. `onComplete` is called once when the countdown reaches zero.
+ * The time left is computed from the clock, so it stays correct while updates are paused in a hidden tab (`pauseWhenHidden`, on by default).
+ */
+export function useCountdown(
+  target,
+  { interval = 1000, onComplete, pauseWhenHidden = true } = {}
+) {
+  const targetTime = toTimestamp(target);
+  const [now, setNow] = useState(() => Date.now());
+  const remaining = Math.max(0, targetTime - now);
+  const isComplete = remaining === 0;
+  const onCompleteRef = useLatestCallback(onComplete);
+
+  // Re-sync right away when the target changes or the tab becomes visible again.
+  const isVisible = usePageVisibility();
+  useEffect(() => {
+    setNow(Date.now());
+  }, [targetTime, isVisible]);
+
+  useInterval(() => setNow(Date.now()), isComplete ? null : interval, {
+    pauseWhenHidden,
+  });
+
+  useEffect(() => {
+    if (isComplete && onCompleteRef.current) onCompleteRef.current();
+  }, [isComplete, onCompleteRef]);
+
+  return { remaining, ...splitDuration(remaining), isComplete };
+}
+
+const initialStopwatch = { startedAt: null, accumulated: 0, laps: [] };
+
+const elapsedAt = (state, now) =>
+  state.accumulated + (state.startedAt === null ? 0 : now - state.startedAt);
+
+function stopwatchReducer(state, action) {
+  switch (action.type) {
+    case "start":
+      if (state.startedAt !== null) return state;
+      return { ...state, startedAt: action.now };
+    case "pause":
+      if (state.startedAt === null) return state;
+      return {
+        ...state,
+        startedAt: null,
+        accumulated: elapsedAt(state, action.now),
+      };
+    case "lap": {
+      const elapsed = elapsedAt(state, action.now);
+      const previousLap = state.laps[state.laps.length - 1];
+      const lap = {
+        number: state.laps.length + 1,
+        elapsed,
+        split: elapsed - (previousLap ? previousLap.elapsed : 0),
+      };
+      return { ...state, laps: [...state.laps, lap] };
+    }
+    case "reset":
+      return initialStopwatch;
+    default:
+      throw new Error(`Unknown action: ${action.type}`);
+  }
+}
+
+/**
+ * useStopwatch
+ *
+ * Returns `{ elapsed, isRunning, laps, start, pause, reset, lap }`. `elapsed` is in milliseconds and updates every `interval` ms while running.
+ * Each lap is `{ number, elapsed, split }`, where `split` is the time since the previous lap.
+ * The stopwatch keeps counting while the page is hidden; with `pauseWhenHidden` (on by default) only the re-renders pause.
+ */
+export function useStopwatch({ interval = 50, pauseWhenHidden = true } = {}) {
+  const [state, dispatch] = useReducer(stopwatchReducer, initialStopwatch);
+  const [now, setNow] = useState(() => Date.now());
+  const isRunning = state.startedAt !== null;
+
+  useInterval(() => setNow(Date.now()), isRunning ? interval : null, {
+    pauseWhenHidden,
+  });
+
+  const start = useCallback(() => {
+    const startedAt = Date.now();
+    setNow(startedAt);
+    dispatch({ type: "start", now: startedAt });
+  }, []);
+  const pause = useCallback(
+    () => dispatch({ type: "pause", now: Date.now() }),
+    []
+  );
+  const lap = useCallback(() => dispatch({ type: "lap", now: Date.now() }), []);
+  const reset = useCallback(() => dispatch({ type: "reset" }), []);
+
+  // While running, the elapsed time is at least the last lap, even before the next tick re-renders.
+  const elapsed = Math.max(
+    elapsedAt(state, isRunning ? now : 0),
+    state.laps.length > 0 ? state.laps[state.laps.length - 1].elapsed : 0
+  );
+
+  return { elapsed, isRunning, laps: state.laps, start, pause, reset, lap };
+}
+
+const pad = (value, length = 2) => String(value).padStart(length, "0");
+
+const formatStopwatch = (milliseconds) =>
+  `${pad(Math.floor(milliseconds / 60000))}:${pad(
+    Math.floor(milliseconds / 1000) % 60
+  )}.${pad(Math.floor(milliseconds / 10) % 100)}`;
+
+/**
+ * Example 1: Polling with an Adjustable useInterval
+ *
+ * This example increments a counter on an interval whose delay can be changed or paused (`null`) without restarting the component.
+ * The callback reads `step` directly; `useInterval` always calls the latest callback, so no ref or functional update is needed.
+ *
+ * Use Case: Useful for polling, slideshows and auto-refresh with a delay the user can change.
+ */
+function AdjustableIntervalExample() {
+  const [count, setCount] = useState(0);
+  const [delay, setDelay] = useState(1000);
+  const [step, setStep] = useState(1);
+  const [isRunning, setIsRunning] = useState(true);
+
+  useInterval(() => setCount(count + step), isRunning ? delay : null, {
+    pauseWhenHidden: true,
+  });
+
+  return (
+    <div>
+      <h1>useInterval Example - Adjustable Interval</h1>
+      <p>Count: {count}</p>
+      <label>
+        Delay (ms):{" "}
+        <input
+          type="number"
+          value={delay}
+          min={100}
+          step={100}
+          onChange={(e) => setDelay(Number(e.target.value))}
+        />
+      </label>
+      <button onClick={() => setStep(step === 1 ? 10 : 1)}>Step: {step}</button>
+      <button onClick={() => setIsRunning(!isRunning)}>
+        {isRunning ? "Pause" : "Resume"}
+      </button>
+    </div>
+  );
+}
+
+/**
+ * Example 2: Dismissing a Notification with useTimeout
+ *
+ * This example hides a notification after three seconds. Hovering the notification clears the timeout,
+ * and moving the mouse away starts it again with `reset`.
+ *
+ * Use Case: Useful for toasts, tooltips and auto-saving after a pause.
+ */
+function NotificationExample() {
+  const [isVisible, setIsVisible] = useState(true);
+  const { reset, clear } = useTimeout(
+    () => setIsVisible(false),
+    isVisible ? 3000 : null
+  );
+
+  return (
+    <div>
+      <h1>useTimeout Example - Auto-Dismiss</h1>
+      {isVisible ? (
+        <p onMouseEnter={clear} onMouseLeave={reset}>
+          Saved! This message disappears after 3 seconds (hover to keep it).
+        </p>
+      ) : (
+        <button onClick={() => setIsVisible(true)}>Show again</button>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Example 3: Counting Down to a Date
+ *
+ * This example counts down to a target one minute and a half from when it was set.
+ * The remaining time comes from the clock, so switching tabs for a while and coming back shows the correct time right away.
+ *
+ * Use Case: Useful for sale end times, session expiry warnings and event launches.
+ */
+function CountdownExample() {
+  const [target, setTarget] = useState(() => Date.now() + 90000);
+  const { minutes, seconds, isComplete } = useCountdown(target, {
+    onComplete: () => console.log("Countdown complete"),
+  });
+
+  return (
+    <div>
+      <h1>useCountdown Example - Countdown</h1>
+      <p>
+        {isComplete ? "Time's up!" : `${pad(minutes)}:${pad(seconds)} left`}
+      </p>
+      <button onClick={() => setTarget(Date.now() + 90000)}>Restart</button>
+      <button onClick={() => setTarget(Date.now() + 5000)}>5 seconds</button>
+    </div>
+  );
+}
+
+/**
+ * Example 4: A Stopwatch with Laps
+ *
+ * This example uses `useStopwatch` to build a stopwatch with lap times.
+ * The elapsed time is computed from timestamps, so it does not drift even when ticks are delayed.
+ *
+ * Use Case: Useful for timing tasks, workouts or any elapsed-time display.
+ */
+function StopwatchExample() {
+  const { elapsed, isRunning, laps, start, pause, reset, lap } = useStopwatch();
+
+  return (
+    <div>
+      <h1>useStopwatch Example - Stopwatch</h1>
+      <h2>{formatStopwatch(elapsed)}</h2>
+      <button onClick={isRunning ? pause : start}>
+        {isRunning ? "Pause" : "Start"}
+      </button>
+      <button onClick={lap} disabled={!isRunning}>
+        Lap
+      </button>
+      <button onClick={reset}>Reset</button>
+      <ol>
+        {laps.map((entry) => (
+          <li key={entry.number}>
+            {formatStopwatch(entry.split)} (total{" "}
+            {formatStopwatch(entry.elapsed)})
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+// Combine all components into a single display
+function App() {
+  return (
+    <div>
+      <h1>Timer Hooks Examples</h1>
+      <AdjustableIntervalExample />
+      <hr />
+      <NotificationExample />
+      <hr />
+      <CountdownExample />
+      <hr />
+      <StopwatchExample />
+    </div>
+  );
+}
+
+export default App;
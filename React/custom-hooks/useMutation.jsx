@@ -0,0 +1,367 @@
+/**
+ * This file demonstrates how to build a `useMutation` custom hook for requests that change data on the server.
+ *
+ * The todo examples in `useReducer.jsx` and `useCallback.jsx` only update local state.
+ * Real applications also have to send each change to a server, show it immediately (optimistically) and undo it when the request fails.
+ *
+ * --- What useMutation does ---
+ * 1. It runs an async `mutateFn(variables)` and exposes its progress as `status`, `isPending`, `data` and `error`.
+ * 2. It calls `onMutate` before the request (to apply an optimistic change), then `onSuccess` or `onError`, and finally `onSettled`.
+ * 3. It passes the value returned by `onMutate` to the other callbacks as `context`, which is where the rollback information lives.
+ *
+ * --- When to use useMutation ---
+ * 1. When creating, updating or deleting server data from an event handler, such as submitting a form or toggling a todo.
+ * 2. When the UI should update before the server responds and revert automatically if the request fails.
+ * 3. When cached queries from `useQuery` must be updated or invalidated after a change.
+ *
+ * --- When to be careful ---
+ * 1. Always return rollback information from `onMutate`; without it, `onError` cannot undo the optimistic change.
+ * 2. Several mutations can be in flight at the same time; `useOptimisticReducer` rolls back only the failed one instead of restoring an old snapshot.
+ * 3. Call `mutate` from event handlers, not during rendering or from an effect that runs on every render.
+ *
+ * --- Similar Hooks ---
+ * - `useQuery`: Reads server data; `useMutation` writes it and can update the same query cache.
+ * - `useReducer`: `useOptimisticReducer` is `useReducer` with an extra layer of pending, not yet confirmed actions.
+ * - `useTransition`: Marks a state update as non-urgent; it does not track a request or roll anything back.
+ */
+
+import React, {
+  useCallback,
+  useEffect,
+  useMemo,
+  useReducer,
+  useRef,
+  useState,
+} from "react";
+import { useQuery, useQueryCache } from "./useQuery";
+
+const idleMutationState = {
+  status: "idle", // "idle" | "pending" | "success" | "error"
+  data: undefined,
+  error: null,
+  variables: undefined,
+};
+
+const noop = () => {};
+
+let nextOptimisticId = 0;
+
+/**
+ * useOptimisticReducer
+ *
+ * Works like `useReducer`, but also returns `applyOptimistic(action)`.
+ * Optimistic actions are replayed on top of the confirmed state until they are committed (`commit()`) or dropped (`rollback()`).
+ * Because each pending action is tracked separately, a failed request never undoes changes made by other requests.
+ */
+export function useOptimisticReducer(reducer, initialState) {
+  const [confirmedState, dispatch] = useReducer(reducer, initialState);
+  const [pendingActions, setPendingActions] = useState([]);
+
+  const state = useMemo(
+    () =>
+      pendingActions.reduce(
+        (currentState, pending) => reducer(currentState, pending.action),
+        confirmedState
+      ),
+    [reducer, confirmedState, pendingActions]
+  );
+
+  const applyOptimistic = useCallback((action) => {
+    const id = nextOptimisticId++;
+    setPendingActions((pending) => [...pending, { id, action }]);
+
+    const remove = () =>
+      setPendingActions((pending) => pending.filter((item) => item.id !== id));
+
+    return {
+      // `confirmedAction` lets the server response replace the optimistic guess (e.g. a real id).
+      commit: (confirmedAction = action) => {
+        dispatch(confirmedAction);
+        remove();
+      },
+      rollback: remove,
+    };
+  }, []);
+
+  return [state, dispatch, applyOptimistic];
+}
+
+/**
+ * useMutation
+ *
+ * Returns `mutate(variables)` (fire and forget) and `mutateAsync(variables)` (returns a promise), plus the mutation state and `reset`.
+ * Options: `onMutate(variables)`, `onSuccess(data, variables, context)`, `onError(error, variables, context)` and `onSettled(data, error, variables, context)`.
+ */
+export function useMutation(mutateFn, options = {}) {
+  const [state, setState] = useState(idleMutationState);
+
+  // Keep the latest function and callbacks without changing the identity of `mutate`.
+  const mutateFnRef = useRef(mutateFn);
+  const optionsRef = useRef(options);
+  useEffect(() => {
+    mutateFnRef.current = mutateFn;
+    optionsRef.current = options;
+  });
+
+  // Only the most recent call is allowed to update the returned state.
+  const latestCallRef = useRef(0);
+
+  const mutateAsync = useCallback(async (variables) => {
+    const callId = ++latestCallRef.current;
+    const isLatest = () => latestCallRef.current === callId;
+    const { onMutate, onSuccess, onError, onSettled } = optionsRef.current;
+
+    setState({ ...idleMutationState, status: "pending", variables });
+
+    let context;
+    let data;
+    try {
+      if (onMutate) context = await onMutate(variables);
+      data = await mutateFnRef.current(variables);
+    } catch (error) {
+      // A throwing callback must not hide the mutation's error or leave the state pending.
+      try {
+        if (onError) await onError(error, variables, context);
+        if (onSettled) await onSettled(undefined, error, variables, context);
+      } catch (callbackError) {
+        console.warn("useMutation: onError or onSettled threw", callbackError);
+      }
+      if (isLatest()) {
+        setState({ status: "error", data: undefined, error, variables });
+      }
+      throw error;
+    }
+
+    // Errors thrown by the success callbacks reject `mutateAsync`, but never trigger `onError`.
+    try {
+      if (onSuccess) await onSuccess(data, variables, context);
+      if (onSettled) await onSettled(data, null, variables, context);
+    } finally {
+      if (isLatest()) {
+        setState({ status: "success", data, error: null, variables });
+      }
+    }
+    return data;
+  }, []);
+
+  const mutate = useCallback(
+    (variables) => {
+      mutateAsync(variables).catch(noop);
+    },
+    [mutateAsync]
+  );
+
+  const reset = useCallback(() => {
+    latestCallRef.current++;
+    setState(idleMutationState);
+  }, []);
+
+  return {
+    ...state,
+    isIdle: state.status === "idle",
+    isPending: state.status === "pending",
+    isSuccess: state.status === "success",
+    isError: state.status === "error",
+    mutate,
+    mutateAsync,
+    reset,
+  };
+}
+
+// A fake server that answers after a delay and fails some of the time, so rollbacks can be seen.
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const fakeServer = {
+  todos: [
+    { id: 1, title: "Learn React", completed: false },
+    { id: 2, title: "Learn useMutation", completed: false },
+  ],
+  async getTodos() {
+    await wait(300);
+    return this.todos;
+  },
+  async saveTodo(todo) {
+    await wait(600);
+    if (Math.random() < 0.3) throw new Error(`Could not save "${todo.title}"`);
+    const exists = this.todos.some((item) => item.id === todo.id);
+    this.todos = exists
+      ? this.todos.map((item) => (item.id === todo.id ? todo : item))
+      : [...this.todos, todo];
+    return todo;
+  },
+  async deleteTodo(id) {
+    await wait(600);
+    if (Math.random() < 0.3) throw new Error("Could not delete the todo");
+    this.todos = this.todos.filter((item) => item.id !== id);
+    return id;
+  },
+};
+
+/**
+ * Example 1: Optimistic Updates Through a Reducer
+ *
+ * This example applies each change to the todo reducer immediately through `applyOptimistic`, then sends it to the fake server.
+ * If the request fails, `onError` rolls back only that change, even when other requests are still pending.
+ *
+ * Use Case: Useful for lists managed with `useReducer` where every change must also be saved on the server.
+ */
+function todoReducer(state, action) {
+  switch (action.type) {
+    case "add":
+      return [...state, action.todo];
+    case "update":
+      return state.map((todo) =>
+        todo.id === action.todo.id ? action.todo : todo
+      );
+    case "delete":
+      return state.filter((todo) => todo.id !== action.id);
+    default:
+      throw new Error(`Unknown action: ${action.type}`);
+  }
+}
+
+function OptimisticTodoList() {
+  const [todos, , applyOptimistic] = useOptimisticReducer(
+    todoReducer,
+    fakeServer.todos
+  );
+  const [newTodo, setNewTodo] = useState("");
+
+  const saveTodo = useMutation((todo) => fakeServer.saveTodo(todo), {
+    onMutate: (todo) => {
+      const exists = todos.some((item) => item.id === todo.id);
+      return applyOptimistic({ type: exists ? "update" : "add", todo });
+    },
+    onSuccess: (savedTodo, todo, optimistic) => optimistic.commit(),
+    onError: (error, todo, optimistic) => optimistic?.rollback(),
+  });
+
+  const deleteTodo = useMutation((id) => fakeServer.deleteTodo(id), {
+    onMutate: (id) => applyOptimistic({ type: "delete", id }),
+    onSuccess: (id, variables, optimistic) => optimistic.commit(),
+    onError: (error, id, optimistic) => optimistic?.rollback(),
+  });
+
+  const handleAddTodo = () => {
+    saveTodo.mutate({ id: Date.now(), title: newTodo, completed: false });
+    setNewTodo("");
+  };
+
+  const error = saveTodo.error || deleteTodo.error;
+
+  return (
+    <div>
+      <h1>useMutation Example - Optimistic Reducer</h1>
+      <input
+        value={newTodo}
+        onChange={(e) => setNewTodo(e.target.value)}
+        placeholder="New Todo"
+      />
+      <button onClick={handleAddTodo}>Add Todo</button>
+      {(saveTodo.isPending || deleteTodo.isPending) && <p>Saving...</p>}
+      {error && (
+        <p style={{ color: "red" }}>
+          {error.message}{" "}
+          <button
+            onClick={() => {
+              saveTodo.reset();
+              deleteTodo.reset();
+            }}
+          >
+            Dismiss
+          </button>
+        </p>
+      )}
+      <ul>
+        {todos.map((todo) => (
+          <li key={todo.id}>
+            <label>
+              <input
+                type="checkbox"
+                checked={todo.completed}
+                onChange={() =>
+                  saveTodo.mutate({ ...todo, completed: !todo.completed })
+                }
+              />
+              {todo.title}
+            </label>
+            <button onClick={() => deleteTodo.mutate(todo.id)}>Delete</button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+/**
+ * Example 2: Optimistic Updates Through the Query Cache
+ *
+ * This example reads the todos with `useQuery` and writes the optimistic change straight into the query cache.
+ * `onMutate` saves the previous list, `onError` puts it back, and `onSettled` invalidates the query so it is refetched from the server.
+ *
+ * Use Case: Useful when the data comes from `useQuery` and several components display the same cached list.
+ */
+const todosKey = ["todos"];
+
+function QueryTodoList() {
+  const queryCache = useQueryCache();
+  const { data: todos = [], isLoading } = useQuery(todosKey, () =>
+    fakeServer.getTodos()
+  );
+
+  const toggleTodo = useMutation((todo) => fakeServer.saveTodo(todo), {
+    onMutate: (todo) => {
+      queryCache.cancelQuery(todosKey); // Do not let an older refetch overwrite the optimistic list.
+      const previousTodos = queryCache.getQueryData(todosKey);
+      queryCache.setQueryData(todosKey, (current = []) =>
+        current.map((item) => (item.id === todo.id ? todo : item))
+      );
+      return { previousTodos };
+    },
+    onError: (error, todo, context) => {
+      queryCache.setQueryData(todosKey, context.previousTodos);
+    },
+    onSettled: () => queryCache.invalidateQueries(todosKey),
+  });
+
+  if (isLoading) return <p>Loading todos...</p>;
+
+  return (
+    <div>
+      <h1>useMutation Example - Query Cache</h1>
+      {toggleTodo.isError && (
+        <p style={{ color: "red" }}>{toggleTodo.error.message}</p>
+      )}
+      <ul>
+        {todos.map((todo) => (
+          <li key={todo.id}>
+            <label>
+              <input
+                type="checkbox"
+                checked={todo.completed}
+                onChange={() =>
+                  toggleTodo.mutate({ ...todo, completed: !todo.completed })
+                }
+              />
+              {todo.title}
+            </label>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// Combine all components into a single display
+function App() {
+  return (
+    <div>
+      <h1>useMutation Examples</h1>
+      <OptimisticTodoList />
+      <hr />
+      <QueryTodoList />
+    </div>
+  );
+}
+
+export default App;
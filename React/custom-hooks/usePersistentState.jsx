@@ -0,0 +1,363 @@
+/**
+ * This file demonstrates how to build the `usePersistentState` custom hook, a `useState` that survives reloads and stays in sync across tabs.
+ *
+ * `usePersistentState(key, initialValue, options)` keeps its value in `localStorage` (or any object with the `Storage` API).
+ * It is built on `useSyncExternalStore`: storage is the external store, `storage` events from other tabs notify subscribers,
+ * and every component reading the same key in this tab re-renders when one of them updates it.
+ *
+ * --- What usePersistentState does ---
+ * 1. It returns `[value, setValue, remove]`, like `useState`, and writes every update to storage under `key`.
+ * 2. It stores the value as `serialize({ value, version })`; when the stored `version` differs, `migrate(value, storedVersion)` upgrades it.
+ * 3. It re-renders when the value changes in another tab, returns `initialValue` on the server, and keeps working in memory when storage is full or unavailable.
+ *
+ * --- When to use usePersistentState ---
+ * 1. When settings, filters or drafts should survive a reload, like the profile form in `useState.jsx`.
+ * 2. When several tabs of the app should show the same value, such as a selected language or a shopping cart.
+ * 3. When the shape of persisted data changes between releases and old data needs to be migrated.
+ *
+ * --- When to be careful ---
+ * 1. Storage is synchronous and limited to a few megabytes; do not persist large or frequently changing data like scroll positions.
+ * 2. Do not persist secrets; any script on the page can read `localStorage`.
+ * 3. The first client render uses the stored value while the server rendered `initialValue`; render storage-dependent UI after hydration if they can differ.
+ *
+ * --- Similar Hooks ---
+ * - `useState`: The same API without persistence.
+ * - `persist` middleware: Persists a whole store created with `createStore` (see `storeMiddleware.jsx`).
+ * - `useSyncExternalStore`: The subscription model this hook is built on (see `useSyncExternalStore.jsx`).
+ */
+
+import React, {
+  useCallback,
+  useEffect,
+  useRef,
+  useState,
+  useSyncExternalStore,
+} from "react";
+
+let memoryFallback = null;
+
+// Accessing `localStorage` throws in some privacy modes; values are then kept in memory for the session.
+const getDefaultStorage = () => {
+  try {
+    if (typeof window !== "undefined" && window.localStorage) {
+      return window.localStorage;
+    }
+  } catch {
+    // Fall through to the in-memory storage.
+  }
+  if (!memoryFallback) memoryFallback = createMemoryStorage();
+  return memoryFallback;
+};
+
+/**
+ * createMemoryStorage
+ *
+ * Creates an in-memory object with the `Storage` API, for tests, server rendering or browsers without `localStorage`.
+ * With `quota`, `setItem` throws a `QuotaExceededError` once the stored keys and values exceed that many characters.
+ */
+export function createMemoryStorage(entries = {}, { quota = Infinity } = {}) {
+  const items = new Map(Object.entries(entries));
+
+  const usedSpace = () =>
+    Array.from(items).reduce(
+      (total, [key, value]) => total + key.length + value.length,
+      0
+    );
+
+  return {
+    get length() {
+      return items.size;
+    },
+    key: (index) => Array.from(items.keys())[index] ?? null,
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      const previous = items.has(key) ? key.length + items.get(key).length : 0;
+      const next = key.length + String(value).length;
+      if (usedSpace() - previous + next > quota) {
+        const error = new Error(`Setting "${key}" exceeded the quota`);
+        error.name = "QuotaExceededError";
+        throw error;
+      }
+      items.set(key, String(value));
+    },
+    removeItem: (key) => {
+      items.delete(key);
+    },
+    clear: () => items.clear(),
+  };
+}
+
+// Subscribers and unsaved values by storage and key. Values that could not be saved are kept here,
+// so the app keeps working for the rest of the session.
+const listenersByStorage = new WeakMap();
+const unsavedByStorage = new WeakMap();
+
+const getEntry = (map, storage) => {
+  if (!map.has(storage)) map.set(storage, new Map());
+  return map.get(storage);
+};
+
+const notify = (storage, key) => {
+  const listeners = getEntry(listenersByStorage, storage).get(key);
+  if (listeners) listeners.forEach((listener) => listener());
+};
+
+const readRaw = (storage, key) => {
+  const unsaved = getEntry(unsavedByStorage, storage);
+  if (unsaved.has(key)) return unsaved.get(key);
+  try {
+    return storage.getItem(key);
+  } catch {
+    return null;
+  }
+};
+
+const writeRaw = (storage, key, raw, onError) => {
+  const unsaved = getEntry(unsavedByStorage, storage);
+  try {
+    if (raw === null) storage.removeItem(key);
+    else storage.setItem(key, raw);
+    unsaved.delete(key);
+  } catch (error) {
+    unsaved.set(key, raw);
+    if (onError) onError(error);
+    else console.warn(`usePersistentState: could not save "${key}"`, error);
+  }
+  notify(storage, key);
+};
+
+/**
+ * usePersistentState
+ *
+ * Returns `[value, setValue, remove]` for the value stored under `key`, or `initialValue` when nothing is stored.
+ * Options: `storage` (defaults to `localStorage`, or to memory when it is unavailable), `serialize`/`deserialize` (default to JSON), `version` and `migrate`,
+ * and `onError(error)`, called when a value cannot be saved (for example when the quota is exceeded; by default the error is logged).
+ */
+export function usePersistentState(
+  key,
+  initialValue,
+  {
+    storage = getDefaultStorage(),
+    serialize = JSON.stringify,
+    deserialize = JSON.parse,
+    version = 0,
+    migrate,
+    onError,
+  } = {}
+) {
+  // Like `useState`, `initialValue` can be a function that is only called once.
+  const [initial] = useState(initialValue);
+  // The last raw string and the value parsed from it, so `getSnapshot` returns the same value until the stored string changes.
+  const cacheRef = useRef(null);
+
+  const subscribe = useCallback(
+    (callback) => {
+      const listeners = getEntry(listenersByStorage, storage);
+      if (!listeners.has(key)) listeners.set(key, new Set());
+      listeners.get(key).add(callback);
+
+      // `storage` events only fire in the other tabs; `key` is `null` when the storage was cleared.
+      const handleStorage = (e) => {
+        if (e.storageArea !== storage || (e.key !== null && e.key !== key)) {
+          return;
+        }
+        getEntry(unsavedByStorage, storage).delete(key);
+        callback();
+      };
+      window.addEventListener("storage", handleStorage);
+
+      return () => {
+        listeners.get(key).delete(callback);
+        window.removeEventListener("storage", handleStorage);
+      };
+    },
+    [storage, key]
+  );
+
+  const getSnapshot = () => {
+    const raw = readRaw(storage, key);
+    const cache = cacheRef.current;
+    if (cache && cache.key === key && cache.raw === raw) return cache.value;
+
+    let value = initial;
+    let migrated = false;
+    if (raw !== null) {
+      try {
+        const stored = deserialize(raw);
+        if (stored.version === version) {
+          value = stored.value;
+        } else if (migrate) {
+          value = migrate(stored.value, stored.version);
+          migrated = true;
+        }
+        // Without `migrate`, data saved by an incompatible version is ignored.
+      } catch (error) {
+        console.warn(`usePersistentState: could not restore "${key}"`, error);
+      }
+    }
+
+    cacheRef.current = { key, raw, value, migrated };
+    return value;
+  };
+
+  const value = useSyncExternalStore(subscribe, getSnapshot, () => initial);
+
+  // The latest options, so `setValue` and `remove` keep their identity across renders.
+  const latestRef = useRef(null);
+  latestRef.current = { getSnapshot, serialize, version, onError };
+
+  // Save migrated data once, so the migration does not run again after every reload.
+  useEffect(() => {
+    const cache = cacheRef.current;
+    if (!cache || !cache.migrated) return;
+    cache.migrated = false;
+    writeRaw(storage, key, serialize({ value: cache.value, version }), onError);
+  });
+
+  const setValue = useCallback(
+    (updater) => {
+      const { getSnapshot, serialize, version, onError } = latestRef.current;
+      // Read the stored value instead of the rendered one, so updates from other tabs are not overwritten.
+      const currentValue = getSnapshot();
+      const nextValue =
+        typeof updater === "function" ? updater(currentValue) : updater;
+      writeRaw(storage, key, serialize({ value: nextValue, version }), onError);
+    },
+    [storage, key]
+  );
+
+  const remove = useCallback(() => {
+    writeRaw(storage, key, null, latestRef.current.onError);
+  }, [storage, key]);
+
+  return [value, setValue, remove];
+}
+
+/**
+ * Example 1: A Profile Form That Survives Reloads
+ *
+ * This example is the `UserProfile` form from `useState.jsx`, with `useState` replaced by `usePersistentState`.
+ * Reload the page, or open it in a second tab: the name and age are restored, and typing in one tab updates the other.
+ *
+ * Use Case: Useful for settings and drafts that users expect to find again after a reload.
+ */
+function PersistentUserProfile() {
+  const [user, setUser, resetUser] = usePersistentState("frontkit-profile", {
+    name: "",
+    age: "",
+  });
+
+  const updateName = (e) =>
+    setUser((prevState) => ({ ...prevState, name: e.target.value }));
+  const updateAge = (e) =>
+    setUser((prevState) => ({ ...prevState, age: e.target.value }));
+
+  return (
+    <div>
+      <h1>usePersistentState Example - User Profile</h1>
+      <input value={user.name} onChange={updateName} placeholder="Name" />
+      <input
+        value={user.age}
+        onChange={updateAge}
+        placeholder="Age"
+        type="number"
+      />
+      <button onClick={resetUser}>Clear</button>
+      <p>User's name: {user.name}</p>
+      <p>User's age: {user.age}</p>
+    </div>
+  );
+}
+
+/**
+ * Example 2: Migrating Stored Data Between Versions
+ *
+ * This example starts with data saved by an older release: version 1 stored the font size as a string like `"16px"`.
+ * Version 2 stores `{ fontSize: number }`, and `migrate` converts the old value the first time it is read.
+ * The in-memory storage from `createMemoryStorage` stands in for `localStorage`, so the example starts from the old data every time.
+ *
+ * Use Case: Useful when the shape of persisted settings changes between releases.
+ */
+const legacyStorage = createMemoryStorage({
+  "frontkit-reader": JSON.stringify({ value: "18px", version: 1 }),
+});
+
+const migrateReaderSettings = (value, fromVersion) =>
+  fromVersion === 1 ? { fontSize: parseInt(value, 10) } : { fontSize: 16 };
+
+function MigrationExample() {
+  const [settings, setSettings] = usePersistentState(
+    "frontkit-reader",
+    { fontSize: 16 },
+    { storage: legacyStorage, version: 2, migrate: migrateReaderSettings }
+  );
+
+  return (
+    <div>
+      <h1>usePersistentState Example - Migration</h1>
+      <p style={{ fontSize: settings.fontSize }}>
+        Font size: {settings.fontSize}px
+      </p>
+      <button
+        onClick={() =>
+          setSettings((prev) => ({ ...prev, fontSize: prev.fontSize + 1 }))
+        }
+      >
+        A+
+      </button>
+      <p>Stored: {legacyStorage.getItem("frontkit-reader")}</p>
+    </div>
+  );
+}
+
+/**
+ * Example 3: Handling a Full Storage
+ *
+ * This example uses an in-memory storage limited to 60 characters.
+ * Once the draft no longer fits, saving fails with a `QuotaExceededError`: the error is shown through `onError`,
+ * and the draft keeps working in memory for the rest of the session instead of losing the user's input.
+ *
+ * Use Case: Useful for drafts and caches that can grow beyond the few megabytes browsers allow.
+ */
+const smallStorage = createMemoryStorage({}, { quota: 60 });
+
+function QuotaExample() {
+  const [saveError, setSaveError] = useState(null);
+  const [draft, setDraft] = usePersistentState("frontkit-draft", "", {
+    storage: smallStorage,
+    onError: setSaveError,
+  });
+
+  const handleChange = (e) => {
+    setSaveError(null);
+    setDraft(e.target.value);
+  };
+
+  return (
+    <div>
+      <h1>usePersistentState Example - Storage Quota</h1>
+      <textarea value={draft} onChange={handleChange} placeholder="Draft" />
+      {saveError ? (
+        <p>Not saved ({saveError.name}); the draft is only kept in memory.</p>
+      ) : (
+        <p>Saved.</p>
+      )}
+    </div>
+  );
+}
+
+// Combine all components into a single display
+function App() {
+  return (
+    <div>
+      <h1>usePersistentState Examples</h1>
+      <PersistentUserProfile />
+      <hr />
+      <MigrationExample />
+      <hr />
+      <QuotaExample />
+    </div>
+  );
+}
+
+export default App;
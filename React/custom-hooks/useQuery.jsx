@@ -0,0 +1,506 @@
+/**
+ * This file demonstrates how to build a data-fetching custom hook, `useQuery`, on top of a shared query cache.
+ *
+ * `useQuery` replaces the hand-rolled `fetch` + `useState` + `ignore` flag pattern from `useEffect.jsx` with a single hook.
+ * Results are stored in a query cache, so every component that asks for the same key shares one request and one cached result.
+ *
+ * --- What useQuery does ---
+ * 1. It returns `data`, `error`, `status` and `isFetching` for a query key, calling the injected `fetcher` when needed.
+ * 2. It cancels the request through an `AbortController` when the key changes or the last component using it unmounts.
+ * 3. It deduplicates requests, serves cached data immediately (stale-while-revalidate), retries failures with exponential backoff and refetches on window focus or reconnect.
+ *
+ * --- When to use useQuery ---
+ * 1. When reading server data that several components need, such as the current user or a list of posts.
+ * 2. When the UI should show cached data instantly and refresh it in the background.
+ * 3. When requests should survive flaky networks through retries and be cancelled when they are no longer needed.
+ *
+ * --- When to be careful ---
+ * 1. Query keys must describe every input of the fetcher; two requests with different inputs need different keys.
+ * 2. The fetcher should pass the provided `signal` to `fetch`, otherwise cancellation only ignores the result.
+ * 3. Use `useMutation` (not `useQuery`) for requests that change data on the server.
+ *
+ * --- Similar Hooks ---
+ * - `useEffect`: The low-level tool for synchronizing with external systems; `useQuery` wraps the fetching effect for you.
+ * - `useSyncExternalStore`: `useQuery` uses it to subscribe components to entries of the query cache.
+ */
+
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useRef,
+  useState,
+  useSyncExternalStore,
+} from "react";
+
+const initialQueryState = {
+  data: undefined,
+  error: null,
+  status: "idle", // "idle" | "loading" | "success" | "error"
+  isFetching: false,
+  updatedAt: 0,
+};
+
+const defaultRetryDelay = (attempt) => Math.min(1000 * 2 ** attempt, 30000);
+
+const noop = () => {};
+
+const toKeyArray = (key) => (Array.isArray(key) ? key : [key]);
+
+/**
+ * hashKey
+ *
+ * Turns a query key (a string or an array of serializable values) into a stable cache key.
+ */
+export const hashKey = (key) => JSON.stringify(toKeyArray(key));
+
+const matchesKey = (queryKey, partialKey) => {
+  const prefix = toKeyArray(partialKey);
+  const full = toKeyArray(queryKey);
+  return prefix.every(
+    (part, index) => JSON.stringify(part) === JSON.stringify(full[index])
+  );
+};
+
+const createAbortError = () =>
+  new DOMException("The query was cancelled", "AbortError");
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(createAbortError());
+      },
+      { once: true }
+    );
+  });
+
+/**
+ * createQueryCache
+ *
+ * Creates an isolated query cache. Each entry follows the subscription model from `useSyncExternalStore.jsx`:
+ * components subscribe to an entry and read its immutable `state` snapshot.
+ * Tests can create their own cache and pass it to `QueryCacheProvider` to avoid sharing state.
+ */
+export function createQueryCache() {
+  const entries = new Map();
+
+  const getEntry = (key) => {
+    const hash = hashKey(key);
+    let entry = entries.get(hash);
+    if (!entry) {
+      entry = {
+        key: toKeyArray(key),
+        state: initialQueryState,
+        listeners: new Set(),
+        observers: new Set(),
+        controller: null,
+        promise: null,
+      };
+      entries.set(hash, entry);
+    }
+    return entry;
+  };
+
+  const setEntryState = (entry, patch) => {
+    entry.state = { ...entry.state, ...patch };
+    entry.listeners.forEach((listener) => listener());
+  };
+
+  const subscribe = (key, listener) => {
+    const entry = getEntry(key);
+    entry.listeners.add(listener);
+    return () => entry.listeners.delete(listener);
+  };
+
+  const getState = (key) => getEntry(key).state;
+
+  const getQueryData = (key) => getEntry(key).state.data;
+
+  const setQueryData = (key, updater) => {
+    const entry = getEntry(key);
+    const data =
+      typeof updater === "function" ? updater(entry.state.data) : updater;
+    setEntryState(entry, {
+      data,
+      error: null,
+      status: "success",
+      updatedAt: Date.now(),
+    });
+  };
+
+  const isStale = (key, staleTime = 0) => {
+    const { status, updatedAt } = getEntry(key).state;
+    return status !== "success" || Date.now() - updatedAt >= staleTime;
+  };
+
+  // The most recent observer provides the fetcher and retry options for refetches.
+  const getObserverOptions = (entry) => Array.from(entry.observers).pop();
+
+  const fetchQuery = (key, options = getObserverOptions(getEntry(key))) => {
+    const entry = getEntry(key);
+    if (entry.promise) return entry.promise; // Deduplicate concurrent requests.
+    if (!options) {
+      return Promise.reject(new Error(`No fetcher for query ${hashKey(key)}`));
+    }
+
+    const { fetcher, retry = 3, retryDelay = defaultRetryDelay } = options;
+    const controller = new AbortController();
+    const { signal } = controller;
+
+    const run = async () => {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          return await fetcher({ key: entry.key, signal });
+        } catch (error) {
+          if (signal.aborted || attempt >= retry) throw error;
+          await sleep(retryDelay(attempt), signal);
+        }
+      }
+    };
+
+    entry.controller = controller;
+    // The previous error is cleared, so a component that reports errors does not report it again while retrying.
+    setEntryState(entry, {
+      error: null,
+      isFetching: true,
+      status: entry.state.status === "success" ? "success" : "loading",
+    });
+
+    // A cancelled request has already been cleared by `cancelQuery`, so its result is ignored.
+    entry.promise = run().then(
+      (data) => {
+        if (signal.aborted) return data;
+        entry.promise = null;
+        entry.controller = null;
+        setEntryState(entry, {
+          data,
+          error: null,
+          status: "success",
+          isFetching: false,
+          updatedAt: Date.now(),
+        });
+        return data;
+      },
+      (error) => {
+        if (!signal.aborted) {
+          entry.promise = null;
+          entry.controller = null;
+          setEntryState(entry, { error, status: "error", isFetching: false });
+        }
+        throw error;
+      }
+    );
+
+    return entry.promise;
+  };
+
+  const cancelQuery = (key) => {
+    const entry = getEntry(key);
+    if (!entry.controller) return;
+
+    entry.controller.abort();
+    entry.controller = null;
+    entry.promise = null;
+    // Cancelled requests keep whatever data was there before.
+    setEntryState(entry, {
+      isFetching: false,
+      status: entry.state.data === undefined ? "idle" : "success",
+    });
+  };
+
+  // Registers a component as a user of the query; the request is cancelled once nobody observes it.
+  const observe = (key, options) => {
+    const entry = getEntry(key);
+    entry.observers.add(options);
+    return () => {
+      entry.observers.delete(options);
+      if (entry.observers.size === 0) cancelQuery(key);
+    };
+  };
+
+  // Cancels matching queries and forgets their data and errors, for example before an error boundary renders its children again.
+  const resetQueries = (partialKey) => {
+    entries.forEach((entry) => {
+      if (!matchesKey(entry.key, partialKey)) return;
+      cancelQuery(entry.key);
+      setEntryState(entry, initialQueryState);
+    });
+  };
+
+  // Marks matching queries as stale and refetches the ones that are currently observed.
+  const invalidateQueries = (partialKey) => {
+    entries.forEach((entry) => {
+      if (!matchesKey(entry.key, partialKey)) return;
+      setEntryState(entry, { updatedAt: 0 });
+      if (entry.observers.size > 0) fetchQuery(entry.key).catch(noop);
+    });
+  };
+
+  return {
+    subscribe,
+    getState,
+    getQueryData,
+    setQueryData,
+    isStale,
+    fetchQuery,
+    cancelQuery,
+    observe,
+    invalidateQueries,
+    resetQueries,
+  };
+}
+
+const defaultQueryCache = createQueryCache();
+
+const QueryCacheContext = createContext(defaultQueryCache);
+
+export function QueryCacheProvider({ cache, children }) {
+  return (
+    <QueryCacheContext.Provider value={cache}>
+      {children}
+    </QueryCacheContext.Provider>
+  );
+}
+
+export function useQueryCache() {
+  return useContext(QueryCacheContext);
+}
+
+/**
+ * useQuery
+ *
+ * Reads `key` from the query cache and fetches it with `fetcher({ key, signal })` when it is missing or stale.
+ * Options: `enabled`, `staleTime`, `retry`, `retryDelay`, `refetchOnWindowFocus` and `refetchOnReconnect`.
+ */
+export function useQuery(key, fetcher, options = {}) {
+  const {
+    enabled = true,
+    staleTime = 0,
+    retry = 3,
+    retryDelay = defaultRetryDelay,
+    refetchOnWindowFocus = true,
+    refetchOnReconnect = true,
+  } = options;
+  const cache = useQueryCache();
+  // `hash` is the stable identity of `key`, so the callbacks and effects below depend on it instead of the `key` array.
+  const hash = hashKey(key);
+
+  // Keep the latest fetcher and retry options without restarting the query on every render.
+  const latestRef = useRef({ fetcher, retry, retryDelay });
+  useEffect(() => {
+    latestRef.current = { fetcher, retry, retryDelay };
+  });
+
+  const subscribe = useCallback(
+    (listener) => cache.subscribe(key, listener),
+    [cache, hash]
+  );
+  const getSnapshot = () => cache.getState(key);
+
+  const state = useSyncExternalStore(subscribe, getSnapshot, getSnapshot);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const stopObserving = cache.observe(key, {
+      fetcher: (context) => latestRef.current.fetcher(context),
+      get retry() {
+        return latestRef.current.retry;
+      },
+      retryDelay: (attempt) => latestRef.current.retryDelay(attempt),
+    });
+    if (cache.isStale(key, staleTime)) cache.fetchQuery(key).catch(noop);
+
+    return stopObserving;
+  }, [cache, hash, enabled, staleTime]);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const revalidate = () => {
+      if (cache.isStale(key, staleTime)) cache.fetchQuery(key).catch(noop);
+    };
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === "visible") revalidate();
+    };
+
+    if (refetchOnWindowFocus) {
+      window.addEventListener("focus", revalidate);
+      document.addEventListener("visibilitychange", handleVisibilityChange);
+    }
+    if (refetchOnReconnect) {
+      window.addEventListener("online", revalidate);
+    }
+
+    return () => {
+      window.removeEventListener("focus", revalidate);
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+      window.removeEventListener("online", revalidate);
+    };
+  }, [
+    cache,
+    hash,
+    enabled,
+    staleTime,
+    refetchOnWindowFocus,
+    refetchOnReconnect,
+  ]);
+
+  return {
+    ...state,
+    isLoading: state.status === "loading",
+    isError: state.status === "error",
+    isSuccess: state.status === "success",
+    refetch: () => cache.fetchQuery(key),
+  };
+}
+
+/**
+ * Example 1: Fetching a List with useQuery
+ *
+ * This example fetches posts through `useQuery`, which handles loading, error and cancellation.
+ * The fetcher is a plain function receiving `{ key, signal }`, so it can be replaced by a fake in tests.
+ *
+ * Use Case: Useful for loading data for a page or a widget when the component mounts.
+ */
+async function fetchJson({ key, signal }) {
+  const [, path] = key;
+  const response = await fetch(`https://jsonplaceholder.typicode.com/${path}`, {
+    signal,
+  });
+  if (!response.ok) {
+    throw new Error(`Request failed with status ${response.status}`);
+  }
+  return response.json();
+}
+
+function PostList() {
+  const { data, error, isLoading, isFetching, refetch } = useQuery(
+    ["jsonplaceholder", "posts"],
+    fetchJson,
+    { staleTime: 30000 }
+  );
+
+  if (isLoading) return <p>Loading posts...</p>;
+  if (error) return <p>Could not load posts: {error.message}</p>;
+
+  return (
+    <div>
+      <h1>useQuery Example - Post List</h1>
+      <ul>
+        {data.slice(0, 5).map((post) => (
+          <li key={post.id}>{post.title}</li>
+        ))}
+      </ul>
+      <button onClick={() => refetch().catch(() => {})} disabled={isFetching}>
+        {isFetching ? "Refreshing..." : "Refresh"}
+      </button>
+    </div>
+  );
+}
+
+/**
+ * Example 2: Sharing One Request Between Components
+ *
+ * This example renders two `PostCount` components with the same key.
+ * Only one request is sent; both components read the same cache entry and update together.
+ *
+ * Use Case: Useful when a header badge and a page body display the same server data.
+ */
+function PostCount() {
+  const { data } = useQuery(["jsonplaceholder", "posts"], fetchJson, {
+    staleTime: 30000,
+  });
+
+  return <p>Posts: {data ? data.length : "..."}</p>;
+}
+
+function SharedRequest() {
+  return (
+    <div>
+      <h1>useQuery Example - Shared Request</h1>
+      <PostCount />
+      <PostCount />
+    </div>
+  );
+}
+
+/**
+ * Example 3: Changing the Key with an Injected Fetcher
+ *
+ * This example uses a fake fetcher that resolves after a delay and fails randomly, so no network is needed.
+ * Switching the person cancels the previous request, and failures are retried with exponential backoff.
+ *
+ * Use Case: Useful for dependent queries (details for the selected item) and for testing components without a server.
+ */
+const fakeBios = {
+  Alice: "Alice builds design systems.",
+  Bob: "Bob maintains the data layer.",
+};
+
+/**
+ * fetchFakeBio
+ *
+ * A fake fetcher for `["bio", person]` keys that resolves after 500ms, fails 30% of the time and stops when `signal` aborts.
+ * `AsyncDataFetcher` in `useEffect.jsx` uses it too.
+ */
+export function fetchFakeBio({ key, signal }) {
+  const [, person] = key;
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      if (Math.random() < 0.3) reject(new Error("Random failure"));
+      else resolve(fakeBios[person]);
+    }, 500);
+    signal.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    });
+  });
+}
+
+function BioViewer() {
+  const [person, setPerson] = useState("Alice");
+  const { data, error, isLoading } = useQuery(["bio", person], fetchFakeBio, {
+    retry: 2,
+    retryDelay: (attempt) => 200 * 2 ** attempt,
+  });
+
+  return (
+    <div>
+      <h1>useQuery Example - Injected Fetcher</h1>
+      <select onChange={(e) => setPerson(e.target.value)} value={person}>
+        <option value="Alice">Alice</option>
+        <option value="Bob">Bob</option>
+      </select>
+      <p>
+        Bio:{" "}
+        {isLoading
+          ? "Loading bio..."
+          : error
+          ? `Error: ${error.message}`
+          : data}
+      </p>
+    </div>
+  );
+}
+
+// Combine all components into a single display
+function App() {
+  return (
+    <div>
+      <h1>useQuery Examples</h1>
+      <PostList />
+      <hr />
+      <SharedRequest />
+      <hr />
+      <BioViewer />
+    </div>
+  );
+}
+
+export default App;
@@ -0,0 +1,605 @@
+/**
+ * This file demonstrates how to build a full-text search with the `useSearch` custom hook and the `Highlight` component.
+ *
+ * `SearchPage` and `SearchWithStaleIndicator` in `useDeferredValue.jsx` used to filter a short array with `toLowerCase().includes(query)`.
+ * That misses typos (a query like "bnana" finds nothing), cannot rank results, and re-scans every item on every keystroke.
+ * `useSearch` builds an inverted index once (a map from every word to the items containing it) and answers queries from it.
+ *
+ * --- What useSearch does ---
+ * 1. It indexes the `keys` of every item and finds items containing every word of the query, by exact word, word prefix, or, with `fuzzy`, a word with a typo.
+ * 2. It ranks the results by relevance: exact matches beat prefix and fuzzy matches, rare words count more than common ones, and `weight` boosts important keys.
+ * 3. It returns the matched character ranges of every result, which `<Highlight>` uses to mark the matched text.
+ *
+ * --- When to use useSearch ---
+ * 1. When users search a list of hundreds or thousands of items on the client, such as products, contacts or documentation pages.
+ * 2. When queries come from typing and should tolerate typos and unfinished words.
+ * 3. When items have several fields that should count differently, such as a title and a description.
+ *
+ * --- When to be careful ---
+ * 1. Building the index takes time proportional to the size of the data; keep `items` and `keys` stable (state, `useMemo` or module constants).
+ * 2. Fuzzy matching compares the query with every indexed word of a similar length; for very large vocabularies, use a server-side search engine.
+ * 3. Words are split on anything that is not a letter or a digit, and accents are ignored ("café" matches "cafe").
+ *
+ * --- Similar Hooks ---
+ * - `useDeferredValue`: `useSearch` defers the query and the items, so typing stays responsive while the index is rebuilt or searched.
+ * - `useMemo`: The index is cached with `useMemo` and only rebuilt when the items or keys change.
+ */
+
+import React, { useDeferredValue, useMemo, useRef, useState } from "react";
+
+const DEFAULT_THRESHOLD = 0.34;
+const MAX_DISTANCE = 2;
+const EXACT_SCORE = 1;
+const PREFIX_SCORE = 0.75;
+const FUZZY_SCORE = 0.6;
+
+const normalizeCharacter = (character) =>
+  character.normalize("NFD").replace(/\p{M}/gu, "").toLowerCase();
+
+const isWordCharacter = (character) => /[\p{L}\p{N}]/u.test(character);
+
+/**
+ * tokenize
+ *
+ * Splits `text` into lowercase words without accents, with the `[start, end)` range of each word in the original text.
+ */
+export function tokenize(text) {
+  const tokens = [];
+  let term = "";
+  let start = -1;
+  const characters = Array.from(String(text ?? ""));
+  let offset = 0;
+
+  characters.forEach((character) => {
+    const normalized = normalizeCharacter(character);
+    if (isWordCharacter(normalized)) {
+      if (start === -1) start = offset;
+      term += normalized;
+    } else if (start !== -1) {
+      tokens.push({ term, start, end: offset });
+      term = "";
+      start = -1;
+    }
+    offset += character.length;
+  });
+  if (start !== -1) tokens.push({ term, start, end: offset });
+
+  return tokens;
+}
+
+/**
+ * editDistance
+ *
+ * Returns the number of insertions, deletions, substitutions and swaps of adjacent characters that turn `a` into `b`.
+ * Stops early and returns `maxDistance + 1` once the distance is known to exceed `maxDistance`.
+ */
+export function editDistance(a, b, maxDistance = Infinity) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMinimum = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(
+        row[j] + 1,
+        nextRow[j - 1] + 1,
+        row[j - 1] + cost
+      );
+      if (
+        previousRow &&
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        distance = Math.min(distance, previousRow[j - 2] + 1);
+      }
+      nextRow[j] = distance;
+      rowMinimum = Math.min(rowMinimum, distance);
+    }
+    if (rowMinimum > maxDistance) return maxDistance + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length];
+}
+
+const normalizeKeys = (keys) =>
+  keys && keys.length > 0
+    ? keys.map((key) =>
+        typeof key === "string"
+          ? { name: key, weight: 1 }
+          : { name: key.name, weight: key.weight ?? 1 }
+      )
+    : [{ name: null, weight: 1 }];
+
+const getValue = (item, name) =>
+  name === null
+    ? item
+    : name.split(".").reduce((value, part) => value?.[part], item);
+
+/**
+ * createSearchIndex
+ *
+ * Builds an inverted index of `items`. `keys` lists the fields to index, as paths like `"author.name"` or `{ name, weight }`;
+ * without `keys`, the items themselves are indexed as strings.
+ */
+export function createSearchIndex(items, keys) {
+  const fields = normalizeKeys(keys);
+  const postings = new Map();
+  const fieldLengths = [];
+
+  items.forEach((item, itemIndex) => {
+    fieldLengths[itemIndex] = fields.map((field, fieldIndex) => {
+      const value = getValue(item, field.name);
+      const tokens = tokenize(value);
+      tokens.forEach(({ term, start, end }) => {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const itemPostings = postings.get(term);
+        const postingKey = `${itemIndex}:${fieldIndex}`;
+        if (!itemPostings.has(postingKey)) {
+          itemPostings.set(postingKey, { itemIndex, fieldIndex, ranges: [] });
+        }
+        itemPostings.get(postingKey).ranges.push([start, end]);
+      });
+      return tokens.length;
+    });
+  });
+
+  // Sorted terms, so prefix lookups can binary search for the first candidate.
+  const terms = Array.from(postings.keys()).sort();
+
+  return { items, fields, postings, terms, fieldLengths };
+}
+
+const findPrefixTerms = (terms, prefix) => {
+  let low = 0;
+  let high = terms.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (terms[middle] < prefix) low = middle + 1;
+    else high = middle;
+  }
+
+  const matches = [];
+  for (let i = low; i < terms.length && terms[i].startsWith(prefix); i++) {
+    matches.push(terms[i]);
+  }
+  return matches;
+};
+
+// The indexed terms a query word matches, with a quality between 0 and 1 and the length of the matched part.
+const findTermMatches = (index, word, { prefix, fuzzy, threshold }) => {
+  const matches = new Map();
+  const addMatch = (term, quality, matchedLength) => {
+    const existing = matches.get(term);
+    if (!existing || existing.quality < quality) {
+      matches.set(term, { quality, matchedLength });
+    }
+  };
+
+  if (index.postings.has(word)) addMatch(word, EXACT_SCORE, word.length);
+
+  if (prefix) {
+    findPrefixTerms(index.terms, word).forEach((term) =>
+      addMatch(term, PREFIX_SCORE * (word.length / term.length), word.length)
+    );
+  }
+
+  if (fuzzy) {
+    const maxDistance = Math.min(
+      MAX_DISTANCE,
+      Math.floor(word.length * threshold)
+    );
+    if (maxDistance > 0) {
+      index.terms.forEach((term) => {
+        // A typo in the part typed so far also counts, so "bnan" matches "banana".
+        const candidates = [term];
+        if (prefix) {
+          for (
+            let length = word.length - maxDistance;
+            length <= word.length + maxDistance;
+            length++
+          ) {
+            if (length > 0 && length < term.length) {
+              candidates.push(term.slice(0, length));
+            }
+          }
+        }
+        candidates.forEach((candidate) => {
+          const distance = editDistance(word, candidate, maxDistance);
+          if (distance === 0 || distance > maxDistance) return;
+          const isWholeTerm = candidate === term;
+          addMatch(
+            term,
+            FUZZY_SCORE *
+              (1 - distance / (word.length + 1)) *
+              (isWholeTerm ? 1 : word.length / term.length),
+            isWholeTerm ? term.length : candidate.length
+          );
+        });
+      });
+    }
+  }
+
+  return matches;
+};
+
+const mergeRanges = (ranges) => {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  return sorted.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+};
+
+/**
+ * searchIndex
+ *
+ * Returns the items of `index` that match every word of `query`, best first, as `{ item, refIndex, score, matches }`.
+ * `matches` lists `{ key, value, indices }` for every key that matched, where `indices` are `[start, end)` ranges in `value`.
+ * Options: `prefix` (match unfinished words), `fuzzy` (match words with typos), `threshold` (the share of a word's letters
+ * that may be wrong, at most two) and `limit`.
+ */
+export function searchIndex(
+  index,
+  query,
+  {
+    prefix = true,
+    fuzzy = true,
+    threshold = DEFAULT_THRESHOLD,
+    limit = Infinity,
+  } = {}
+) {
+  const words = Array.from(new Set(tokenize(query).map(({ term }) => term)));
+  if (words.length === 0) return [];
+
+  const itemCount = index.items.length;
+  // itemIndex -> { score, rangesByField }
+  const candidates = new Map();
+
+  words.forEach((word, wordIndex) => {
+    const termMatches = findTermMatches(index, word, {
+      prefix,
+      fuzzy,
+      threshold,
+    });
+    // The best score of this word for each item, so a word is only counted once per item.
+    const wordScores = new Map();
+
+    termMatches.forEach(({ quality, matchedLength }, term) => {
+      const itemPostings = index.postings.get(term);
+      // Words found in fewer items are more telling (inverse document frequency).
+      const inverseFrequency =
+        Math.log(1 + itemCount / itemPostings.size) / Math.log(1 + itemCount);
+
+      itemPostings.forEach(({ itemIndex, fieldIndex, ranges }) => {
+        const field = index.fields[fieldIndex];
+        const fieldLength = index.fieldLengths[itemIndex][fieldIndex];
+        const score =
+          (quality * field.weight * (0.5 + inverseFrequency)) /
+          Math.sqrt(fieldLength);
+
+        wordScores.set(
+          itemIndex,
+          Math.max(wordScores.get(itemIndex) ?? 0, score)
+        );
+
+        if (wordIndex === 0 && !candidates.has(itemIndex)) {
+          candidates.set(itemIndex, { score: 0, rangesByField: new Map() });
+        }
+        const candidate = candidates.get(itemIndex);
+        if (!candidate) return;
+        if (!candidate.rangesByField.has(fieldIndex)) {
+          candidate.rangesByField.set(fieldIndex, []);
+        }
+        candidate.rangesByField
+          .get(fieldIndex)
+          .push(
+            ...ranges.map(([start, end]) => [
+              start,
+              Math.min(end, start + matchedLength),
+            ])
+          );
+      });
+    });
+
+    // Items must match every word; drop the ones this word did not match.
+    candidates.forEach((candidate, itemIndex) => {
+      if (!wordScores.has(itemIndex)) {
+        candidates.delete(itemIndex);
+        return;
+      }
+      candidate.score += wordScores.get(itemIndex);
+    });
+  });
+
+  return Array.from(candidates)
+    .map(([itemIndex, candidate]) => ({
+      item: index.items[itemIndex],
+      refIndex: itemIndex,
+      score: candidate.score / words.length,
+      matches: Array.from(candidate.rangesByField).map(
+        ([fieldIndex, ranges]) => {
+          const key = index.fields[fieldIndex].name;
+          return {
+            key,
+            value: getValue(index.items[itemIndex], key),
+            indices: mergeRanges(ranges),
+          };
+        }
+      ),
+    }))
+    .sort((a, b) => b.score - a.score || a.refIndex - b.refIndex)
+    .slice(0, limit);
+}
+
+/**
+ * useSearch
+ *
+ * Indexes `items` and returns `{ query, setQuery, results, isStale }` for the query typed by the user.
+ * `results` has the shape returned by `searchIndex`; with an empty query, every item is returned in its original order.
+ * Both the query and the items are deferred with `useDeferredValue`, so the input stays responsive while large lists are indexed or searched.
+ */
+export function useSearch(
+  items,
+  {
+    keys,
+    fuzzy = true,
+    threshold = DEFAULT_THRESHOLD,
+    prefix = true,
+    limit,
+  } = {}
+) {
+  const [query, setQuery] = useState("");
+  const deferredQuery = useDeferredValue(query);
+  const deferredItems = useDeferredValue(items);
+
+  // Inline `keys` arrays are compared by content, so they do not rebuild the index on every render.
+  const keysRef = useRef(null);
+  const keysSignature = JSON.stringify(keys ?? null);
+  if (!keysRef.current || keysRef.current.signature !== keysSignature) {
+    keysRef.current = { signature: keysSignature, keys };
+  }
+  const stableKeys = keysRef.current.keys;
+
+  const index = useMemo(
+    () => createSearchIndex(deferredItems, stableKeys),
+    [deferredItems, stableKeys]
+  );
+
+  const results = useMemo(() => {
+    if (deferredQuery.trim() === "") {
+      return index.items
+        .slice(0, limit)
+        .map((item, refIndex) => ({ item, refIndex, score: 0, matches: [] }));
+    }
+    return searchIndex(index, deferredQuery, {
+      fuzzy,
+      threshold,
+      prefix,
+      limit,
+    });
+  }, [index, deferredQuery, fuzzy, threshold, prefix, limit]);
+
+  const isStale = query !== deferredQuery || items !== deferredItems;
+
+  return { query, setQuery, results, isStale };
+}
+
+/**
+ * getMatchIndices
+ *
+ * Returns the matched ranges of `key` in a search result, for `<Highlight>`. Leave out `key` when the items are strings.
+ */
+export function getMatchIndices(result, key = null) {
+  const match = result.matches.find((entry) => entry.key === key);
+  return match ? match.indices : [];
+}
+
+/**
+ * Highlight
+ *
+ * Renders `text` with the `[start, end)` ranges in `indices` wrapped in `<mark>` elements.
+ */
+export function Highlight({ text, indices = [] }) {
+  const value = String(text ?? "");
+  const parts = [];
+  let position = 0;
+
+  mergeRanges(indices).forEach(([start, end], index) => {
+    if (start > position) parts.push(value.slice(position, start));
+    parts.push(<mark key={index}>{value.slice(start, end)}</mark>);
+    position = end;
+  });
+  if (position < value.length) parts.push(value.slice(position));
+
+  return <>{parts}</>;
+}
+
+/**
+ * Example 1: Searching Several Fields with Weights
+ *
+ * This example searches books by title, author and description. Matches in the title count three times as much as matches
+ * in the description, so "dune" ranks the book called Dune above books that only mention it.
+ * Try typos ("hobit", "tolkein") and unfinished words ("foun").
+ *
+ * Use Case: Useful for catalogs where items have a name and longer descriptive text.
+ */
+const books = [
+  {
+    title: "Dune",
+    author: "Frank Herbert",
+    description:
+      "A desert planet, a noble family and the spice that controls the universe.",
+  },
+  {
+    title: "The Hobbit",
+    author: "J. R. R. Tolkien",
+    description:
+      "A hobbit leaves home for an adventure with thirteen dwarves and a wizard.",
+  },
+  {
+    title: "Foundation",
+    author: "Isaac Asimov",
+    description:
+      "A mathematician predicts the fall of the Galactic Empire and plans its recovery.",
+  },
+  {
+    title: "Children of Dune",
+    author: "Frank Herbert",
+    description:
+      "The twin heirs of the desert empire face the legacy of their father.",
+  },
+  {
+    title: "The Left Hand of Darkness",
+    author: "Ursula K. Le Guin",
+    description:
+      "An envoy visits a winter planet whose people have no fixed sex.",
+  },
+  {
+    title: "Hyperion",
+    author: "Dan Simmons",
+    description:
+      "Pilgrims share their stories on the way to the Time Tombs; like Dune, a desert world story.",
+  },
+];
+
+const bookKeys = [
+  { name: "title", weight: 3 },
+  { name: "author", weight: 2 },
+  "description",
+];
+
+function BookSearchExample() {
+  const { query, setQuery, results, isStale } = useSearch(books, {
+    keys: bookKeys,
+  });
+
+  return (
+    <div>
+      <h1>useSearch Example - Weighted Fields</h1>
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder="Search books..."
+      />
+      <ul style={{ opacity: isStale ? 0.5 : 1 }}>
+        {results.map((result) => (
+          <li key={result.refIndex}>
+            <strong>
+              <Highlight
+                text={result.item.title}
+                indices={getMatchIndices(result, "title")}
+              />
+            </strong>{" "}
+            by{" "}
+            <Highlight
+              text={result.item.author}
+              indices={getMatchIndices(result, "author")}
+            />
+            <br />
+            <small>
+              <Highlight
+                text={result.item.description}
+                indices={getMatchIndices(result, "description")}
+              />
+            </small>
+          </li>
+        ))}
+      </ul>
+      {results.length === 0 && <p>No results found.</p>}
+    </div>
+  );
+}
+
+/**
+ * Example 2: Searching a Large Dataset
+ *
+ * This example searches 20,000 generated products. Changing the dataset rebuilds the index in the background,
+ * because `useSearch` defers the items as well as the query; the input never waits for it.
+ *
+ * Use Case: Useful for client-side search over large lists, such as an offline catalog or a log viewer.
+ */
+const adjectives = [
+  "Red",
+  "Compact",
+  "Wireless",
+  "Organic",
+  "Vintage",
+  "Smart",
+  "Heavy",
+  "Portable",
+];
+const nouns = [
+  "Chair",
+  "Speaker",
+  "Lamp",
+  "Backpack",
+  "Keyboard",
+  "Kettle",
+  "Jacket",
+  "Camera",
+];
+
+const generateProducts = (count, seed) =>
+  Array.from({ length: count }, (_, index) => {
+    const number = index + seed;
+    return `${adjectives[number % adjectives.length]} ${
+      nouns[Math.floor(number / adjectives.length) % nouns.length]
+    } ${number}`;
+  });
+
+function LargeDatasetExample() {
+  const [seed, setSeed] = useState(0);
+  const products = useMemo(() => generateProducts(20000, seed), [seed]);
+  const { query, setQuery, results, isStale } = useSearch(products, {
+    limit: 20,
+  });
+
+  return (
+    <div>
+      <h1>useSearch Example - 20,000 Products</h1>
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder="Try 'wireles speker'"
+      />
+      <button onClick={() => setSeed(seed + 1000)}>Load other products</button>
+      {isStale && <span> Updating...</span>}
+      <ul>
+        {results.map((result) => (
+          <li key={result.refIndex}>
+            <Highlight text={result.item} indices={getMatchIndices(result)} />
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// Combine all components into a single display
+function App() {
+  return (
+    <div>
+      <h1>useSearch Examples</h1>
+      <BookSearchExample />
+      <hr />
+      <LargeDatasetExample />
+    </div>
+  );
+}
+
+export default App;
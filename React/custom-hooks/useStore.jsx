@@ -0,0 +1,284 @@
+/**
+ * This file demonstrates how to build a reusable external store with `createStore` and read it with the `useStore` custom hook.
+ *
+ * `createStore` packages the listener plumbing shown in `useSyncExternalStore.jsx` into a factory, so every store exposes the same `subscribe`/`getSnapshot`/`getServerSnapshot`/`setState` API.
+ * `useStore` is built on `useSyncExternalStore` and lets a component subscribe to a single slice of the store through a selector.
+ *
+ * --- What useStore does ---
+ * 1. It subscribes a component to a store created with `createStore` and returns the value picked by the selector.
+ * 2. It only re-renders the component when the selected slice changes according to the equality function.
+ * 3. It uses the store's `getServerSnapshot`, so the initial state is used during server rendering and hydration.
+ *
+ * --- When to use useStore ---
+ * 1. When several distant components need to read and update the same application-level state.
+ * 2. When components only care about a small part of a large state object and should not re-render on unrelated updates.
+ * 3. When state updates need to happen outside of React, for example from a WebSocket message or a timer.
+ *
+ * --- When to be careful ---
+ * 1. Always return a new state object from actions and `setState`; mutating the current state will not notify subscribers.
+ * 2. Selectors that build new objects or arrays need an equality function such as `shallowEqual`, otherwise every update re-renders.
+ * 3. Create stores at module level (or once per request on the server), not inside components.
+ *
+ * --- Similar Hooks ---
+ * - `useSyncExternalStore`: `useStore` is a thin wrapper around it that adds selectors and equality checks.
+ * - `useContext`: Use context for values that belong to a subtree; use a store for state shared across the whole app.
+ * - `useReducer`: Use `useReducer` when the state only belongs to a single component.
+ */
+
+import React, { useCallback, useRef, useSyncExternalStore } from "react";
+
+/**
+ * createStore
+ *
+ * Creates an external store holding `initialState`.
+ * `actions` is an object of functions that receive the current state (plus any call arguments) and return the next state.
+ * They are exposed as `store.actions`, already wired to `setState`.
+ *
+ * `middlewares` wrap every `setState` call, including the ones made by actions (see `storeMiddleware.jsx`).
+ * A middleware has the shape `(api) => (next) => (updater, action) => void`, and the first middleware in the list runs first.
+ */
+export function createStore(initialState, actions = {}, middlewares = []) {
+  let state = initialState;
+  const listeners = new Set();
+
+  // Methods are arrow functions so they can be passed around without binding `this`.
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  const getSnapshot = () => state;
+
+  const getServerSnapshot = () => initialState;
+
+  const applyState = (updater) => {
+    const nextState = typeof updater === "function" ? updater(state) : updater;
+    if (Object.is(nextState, state)) return;
+    state = nextState;
+    listeners.forEach((listener) => listener());
+  };
+
+  const api = {
+    getState: getSnapshot,
+    setState: (updater, action) => setState(updater, action),
+    subscribe,
+  };
+  const dispatchState = middlewares.reduceRight(
+    (next, middleware) => middleware(api)(next),
+    applyState
+  );
+
+  const setState = (updater, action = { type: "setState" }) =>
+    dispatchState(updater, action);
+
+  const boundActions = {};
+  Object.keys(actions).forEach((name) => {
+    boundActions[name] = (...args) =>
+      setState((prevState) => actions[name](prevState, ...args), {
+        type: name,
+        args,
+      });
+  });
+
+  return {
+    subscribe,
+    getSnapshot,
+    getServerSnapshot,
+    setState,
+    actions: boundActions,
+  };
+}
+
+/**
+ * shallowEqual
+ *
+ * Compares two values one level deep. Useful as the `equalityFn` for selectors that return new objects or arrays.
+ */
+export function shallowEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (
+    typeof a !== "object" ||
+    a === null ||
+    typeof b !== "object" ||
+    b === null
+  ) {
+    return false;
+  }
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+
+  return keysA.every(
+    (key) =>
+      Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key])
+  );
+}
+
+const identity = (state) => state;
+
+/**
+ * useStore
+ *
+ * Subscribes to `store` and returns `selector(state)`.
+ * The previous selection is cached, so `useSyncExternalStore` receives the same reference until `equalityFn` reports a change.
+ */
+export function useStore(store, selector = identity, equalityFn = Object.is) {
+  const cacheRef = useRef(null);
+
+  const selectSnapshot = useCallback(
+    (state) => {
+      const cache = cacheRef.current;
+      if (
+        cache &&
+        cache.selector === selector &&
+        Object.is(cache.state, state)
+      ) {
+        return cache.selection;
+      }
+
+      const nextSelection = selector(state);
+      const selection =
+        cache && equalityFn(cache.selection, nextSelection)
+          ? cache.selection
+          : nextSelection;
+      cacheRef.current = { state, selector, selection };
+      return selection;
+    },
+    [selector, equalityFn]
+  );
+
+  const getSnapshot = () => selectSnapshot(store.getSnapshot());
+  const getServerSnapshot = () => selectSnapshot(store.getServerSnapshot());
+
+  return useSyncExternalStore(store.subscribe, getSnapshot, getServerSnapshot);
+}
+
+/**
+ * Example 1: A Shared Counter Store
+ *
+ * This example demonstrates how to create a store with actions and read it from multiple components.
+ * Both `CounterDisplay` and `CounterButtons` use the same `counterStore`, so they stay in sync without a common parent state.
+ *
+ * Use Case: Useful for small pieces of global state, such as a cart count or an unread notifications badge.
+ */
+const counterStore = createStore(
+  { count: 0 },
+  {
+    increment: (state) => ({ count: state.count + 1 }),
+    decrement: (state) => ({ count: state.count - 1 }),
+    reset: () => ({ count: 0 }),
+  }
+);
+
+const selectCount = (state) => state.count;
+
+function CounterDisplay() {
+  const count = useStore(counterStore, selectCount);
+
+  return <p>Count: {count}</p>;
+}
+
+function CounterButtons() {
+  const { increment, decrement, reset } = counterStore.actions;
+
+  return (
+    <div>
+      <button onClick={increment}>Increment</button>
+      <button onClick={decrement}>Decrement</button>
+      <button onClick={reset}>Reset</button>
+    </div>
+  );
+}
+
+function SharedCounter() {
+  return (
+    <div>
+      <h1>useStore Example - Shared Counter</h1>
+      <CounterDisplay />
+      <CounterButtons />
+    </div>
+  );
+}
+
+/**
+ * Example 2: Selecting Slices to Skip Re-Renders
+ *
+ * This example shows how selectors limit re-renders to the components whose slice actually changed.
+ * Toggling the theme only re-renders `ThemeLabel`, while typing a new name re-renders `UserName` and `UserSummary`.
+ * `UserSummary` selects a new object on every call, so it passes `shallowEqual` to skip re-rendering when its fields are unchanged.
+ *
+ * Use Case: Useful for large state objects (user, settings, preferences) read by many small components.
+ */
+const settingsStore = createStore(
+  { user: { name: "John Doe", email: "john@example.com" }, theme: "light" },
+  {
+    setName: (state, name) => ({ ...state, user: { ...state.user, name } }),
+    toggleTheme: (state) => ({
+      ...state,
+      theme: state.theme === "light" ? "dark" : "light",
+    }),
+  }
+);
+
+const selectName = (state) => state.user.name;
+const selectTheme = (state) => state.theme;
+const selectSummary = (state) => ({
+  name: state.user.name,
+  email: state.user.email,
+});
+
+function UserName() {
+  const name = useStore(settingsStore, selectName);
+  console.log("Rendering UserName");
+
+  return (
+    <input
+      value={name}
+      onChange={(e) => settingsStore.actions.setName(e.target.value)}
+    />
+  );
+}
+
+function ThemeLabel() {
+  const theme = useStore(settingsStore, selectTheme);
+  console.log("Rendering ThemeLabel");
+
+  return (
+    <button onClick={settingsStore.actions.toggleTheme}>
+      Current theme: {theme}
+    </button>
+  );
+}
+
+function UserSummary() {
+  const { name, email } = useStore(settingsStore, selectSummary, shallowEqual);
+  console.log("Rendering UserSummary");
+
+  return <p>{`${name} <${email}>`}</p>;
+}
+
+function SettingsPanel() {
+  return (
+    <div>
+      <h1>useStore Example - Selectors</h1>
+      <UserName />
+      <ThemeLabel />
+      <UserSummary />
+    </div>
+  );
+}
+
+// Combine all components into a single display
+function App() {
+  return (
+    <div>
+      <h1>useStore Examples</h1>
+      <SharedCounter />
+      <hr />
+      <SettingsPanel />
+    </div>
+  );
+}
+
+export default App;
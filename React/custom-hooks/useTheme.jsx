@@ -0,0 +1,466 @@
+/**
+ * This file demonstrates how to build a design-token theming system with a `ThemeProvider` and the `useTheme` custom hook.
+ *
+ * It grows the `ThemeContext` from `useContext.jsx`, which only held a "light"/"dark" string, into a provider that turns token objects
+ * (colors, spacing, typography) into CSS custom properties, follows the operating system's color scheme and remembers the user's choice.
+ *
+ * --- What useTheme does ---
+ * 1. It returns the theme `mode` ("light", "dark" or "system"), the `resolvedTheme` actually shown, its `tokens` and `setMode`.
+ * 2. Behind it, `ThemeProvider` emits every token as a CSS variable (`tokens.colors.primary` becomes `--colors-primary`).
+ * 3. In "system" mode it follows `prefers-color-scheme` through `useMediaQuery` (from `useEventListener.jsx`), and the user's override is persisted.
+ *
+ * --- When to use useTheme ---
+ * 1. When an app supports light and dark themes, or several brand themes, from one set of components.
+ * 2. When components should style themselves with `var(--colors-text)` (see `cssVar`) instead of reading the theme in JavaScript.
+ * 3. When one section of a page needs a different theme, such as a dark sidebar inside a light page (nested `ThemeProvider`).
+ *
+ * --- When to be careful ---
+ * 1. With server rendering, render `<ThemeScript />` in `<head>`; it applies the saved mode before the page paints, so there is no flash of the wrong theme.
+ * 2. Prefer CSS variables over `resolvedTheme` for styling; `resolvedTheme` is only known on the client, so it starts as the default on the server.
+ * 3. Every theme should define the same token names, otherwise variables from the previous theme remain in use.
+ *
+ * --- Similar Hooks ---
+ * - `useContext`: `useTheme` reads the nearest `ThemeProvider`, just like `ThemeSwitcher` reads `ThemeContext` in `useContext.jsx`.
+ * - `useSyncExternalStore`: Subscribes to `prefers-color-scheme` and to the saved mode in `localStorage`.
+ */
+
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useLayoutEffect,
+  useMemo,
+  useSyncExternalStore,
+} from "react";
+import { useMediaQuery } from "./useEventListener";
+
+export const defaultThemes = {
+  light: {
+    colors: {
+      background: "#ffffff",
+      surface: "#f4f4f5",
+      text: "#18181b",
+      muted: "#71717a",
+      primary: "#2563eb",
+    },
+    spacing: { sm: "4px", md: "8px", lg: "16px" },
+    typography: {
+      fontFamily: "system-ui, sans-serif",
+      fontSize: "16px",
+      lineHeight: "1.5",
+    },
+  },
+  dark: {
+    colors: {
+      background: "#18181b",
+      surface: "#27272a",
+      text: "#f4f4f5",
+      muted: "#a1a1aa",
+      primary: "#60a5fa",
+    },
+    spacing: { sm: "4px", md: "8px", lg: "16px" },
+    typography: {
+      fontFamily: "system-ui, sans-serif",
+      fontSize: "16px",
+      lineHeight: "1.5",
+    },
+  },
+};
+
+const ThemeContext = createContext(null);
+
+const DARK_QUERY = "(prefers-color-scheme: dark)";
+
+// Layout effects do not run on the server, and React warns when they are used there.
+const useIsomorphicLayoutEffect =
+  typeof window !== "undefined" ? useLayoutEffect : useEffect;
+
+/**
+ * tokensToCssVariables
+ *
+ * Flattens a token object into CSS custom properties: `{ colors: { text: "#000" } }` becomes `{ "--colors-text": "#000" }`.
+ */
+export function tokensToCssVariables(tokens, prefix = "-") {
+  return Object.entries(tokens).reduce((variables, [name, value]) => {
+    const variable = `${prefix}-${name}`;
+    if (value !== null && typeof value === "object") {
+      Object.assign(variables, tokensToCssVariables(value, variable));
+    } else {
+      variables[variable] = String(value);
+    }
+    return variables;
+  }, {});
+}
+
+/**
+ * cssVar
+ *
+ * Returns the CSS reference for a token path: `cssVar("colors.primary")` is `"var(--colors-primary)"`.
+ */
+export const cssVar = (path) => `var(--${path.split(".").join("-")})`;
+
+const mergeTokens = (base, override) =>
+  Object.entries(override).reduce(
+    (merged, [name, value]) => ({
+      ...merged,
+      [name]:
+        value !== null && typeof value === "object" && base[name]
+          ? mergeTokens(base[name], value)
+          : value,
+    }),
+    base
+  );
+
+const toCssBlock = (selector, tokens, colorScheme) => {
+  const declarations = Object.entries(tokensToCssVariables(tokens))
+    .map(([variable, value]) => `${variable}: ${value};`)
+    .join(" ");
+  return `${selector} { color-scheme: ${colorScheme}; ${declarations} }`;
+};
+
+/**
+ * createThemeCss
+ *
+ * Builds the global style sheet: one block per theme, selected with `data-theme` on `<html>`, plus page colors for `<body>`.
+ * In "system" mode (or before any mode is applied), a media query picks the light or dark tokens, so the right theme is shown without JavaScript.
+ */
+export function createThemeCss(themes) {
+  const blocks = Object.entries(themes).map(([name, tokens]) =>
+    toCssBlock(
+      `:root[data-theme="${name}"]`,
+      tokens,
+      name === "dark" ? "dark" : "light"
+    )
+  );
+  const systemSelector = ':root:not([data-theme]), :root[data-theme="system"]';
+  blocks.push(toCssBlock(systemSelector, themes.light, "light"));
+  if (themes.dark) {
+    blocks.push(
+      `@media ${DARK_QUERY} { ${toCssBlock(
+        systemSelector,
+        themes.dark,
+        "dark"
+      )} }`
+    );
+  }
+  blocks.push(
+    `body { background: ${cssVar("colors.background")}; color: ${cssVar(
+      "colors.text"
+    )}; }`
+  );
+  return blocks.join("\n");
+}
+
+/**
+ * getThemeScript
+ *
+ * Returns an inline script that applies the saved mode to `<html>` before the page paints (see `ThemeScript`).
+ */
+export const getThemeScript = (storageKey = "theme") =>
+  `try{document.documentElement.dataset.theme=localStorage.getItem(${JSON.stringify(
+    storageKey
+  )})||"system"}catch(e){}`;
+
+/**
+ * ThemeScript
+ *
+ * Render this in `<head>` when rendering on the server to avoid a flash of the wrong theme during hydration.
+ */
+export function ThemeScript({ storageKey = "theme" }) {
+  return (
+    <script dangerouslySetInnerHTML={{ __html: getThemeScript(storageKey) }} />
+  );
+}
+
+/**
+ * usePrefersDarkMode
+ *
+ * Returns `true` when the operating system prefers a dark color scheme (always `false` on the server).
+ */
+export function usePrefersDarkMode() {
+  return useMediaQuery(DARK_QUERY);
+}
+
+// Listeners for mode changes made in this tab; other tabs are observed through `storage` events.
+const modeListeners = new Set();
+
+function useStoredMode(storageKey, defaultMode) {
+  const subscribe = useCallback(
+    (callback) => {
+      const handleStorage = (e) => {
+        if (e.key === storageKey) callback();
+      };
+      modeListeners.add(callback);
+      window.addEventListener("storage", handleStorage);
+      return () => {
+        modeListeners.delete(callback);
+        window.removeEventListener("storage", handleStorage);
+      };
+    },
+    [storageKey]
+  );
+
+  const getSnapshot = () => {
+    try {
+      return window.localStorage.getItem(storageKey) || defaultMode;
+    } catch {
+      return defaultMode;
+    }
+  };
+
+  const mode = useSyncExternalStore(subscribe, getSnapshot, () => defaultMode);
+
+  const setMode = useCallback(
+    (nextMode) => {
+      try {
+        if (nextMode === defaultMode) {
+          window.localStorage.removeItem(storageKey);
+        } else {
+          window.localStorage.setItem(storageKey, nextMode);
+        }
+      } catch (error) {
+        console.warn(`ThemeProvider: could not save "${storageKey}"`, error);
+      }
+      modeListeners.forEach((listener) => listener());
+    },
+    [storageKey, defaultMode]
+  );
+
+  return [mode, setMode];
+}
+
+// The tokens of one theme as CSS variables on a wrapping element, for nested and scoped providers.
+function ThemeSection({ name, tokens, children }) {
+  return (
+    <div
+      data-theme-section={name}
+      style={{
+        ...tokensToCssVariables(tokens),
+        colorScheme: name === "dark" ? "dark" : "light",
+        color: cssVar("colors.text"),
+        background: cssVar("colors.background"),
+      }}
+    >
+      {children}
+    </div>
+  );
+}
+
+function RootThemeProvider({
+  themes,
+  defaultMode,
+  storageKey,
+  scoped,
+  children,
+}) {
+  const [mode, setMode] = useStoredMode(storageKey, defaultMode);
+  const prefersDark = usePrefersDarkMode();
+  const resolvedTheme =
+    mode === "system" ? (prefersDark && themes.dark ? "dark" : "light") : mode;
+
+  const css = useMemo(() => createThemeCss(themes), [themes]);
+
+  // Apply the mode before the browser paints, so switching themes never shows a frame of the old one.
+  useIsomorphicLayoutEffect(() => {
+    if (!scoped) document.documentElement.dataset.theme = mode;
+  }, [mode, scoped]);
+
+  const value = useMemo(
+    () => ({
+      mode,
+      setMode,
+      resolvedTheme,
+      tokens: themes[resolvedTheme],
+      themes,
+    }),
+    [mode, setMode, resolvedTheme, themes]
+  );
+
+  return (
+    <ThemeContext.Provider value={value}>
+      {scoped ? (
+        <ThemeSection name={resolvedTheme} tokens={value.tokens}>
+          {children}
+        </ThemeSection>
+      ) : (
+        <>
+          <style>{css}</style>
+          {children}
+        </>
+      )}
+    </ThemeContext.Provider>
+  );
+}
+
+function NestedThemeProvider({ parent, theme, tokens, children }) {
+  const name = theme || parent.resolvedTheme;
+  const baseTokens = parent.themes[name] || parent.tokens;
+  const sectionTokens = useMemo(
+    () => (tokens ? mergeTokens(baseTokens, tokens) : baseTokens),
+    [baseTokens, tokens]
+  );
+
+  const value = useMemo(
+    () => ({ ...parent, resolvedTheme: name, tokens: sectionTokens }),
+    [parent, name, sectionTokens]
+  );
+
+  return (
+    <ThemeContext.Provider value={value}>
+      <ThemeSection name={name} tokens={sectionTokens}>
+        {children}
+      </ThemeSection>
+    </ThemeContext.Provider>
+  );
+}
+
+/**
+ * ThemeProvider
+ *
+ * At the root, it takes `themes` (an object of token objects, defaulting to `defaultThemes`), `defaultMode` and `storageKey`,
+ * and applies the selected theme to the whole page. With `scoped`, it applies the theme to a wrapping element instead,
+ * for a self-contained widget or demo that should not restyle the rest of the page.
+ * Nested inside another `ThemeProvider`, it renders a section with a different `theme` (a theme name) and/or `tokens` overrides.
+ */
+export function ThemeProvider({
+  themes = defaultThemes,
+  defaultMode = "system",
+  storageKey = "theme",
+  scoped = false,
+  theme,
+  tokens,
+  children,
+}) {
+  const parent = useContext(ThemeContext);
+
+  if (parent) {
+    return (
+      <NestedThemeProvider parent={parent} theme={theme} tokens={tokens}>
+        {children}
+      </NestedThemeProvider>
+    );
+  }
+
+  return (
+    <RootThemeProvider
+      themes={themes}
+      defaultMode={defaultMode}
+      storageKey={storageKey}
+      scoped={scoped}
+    >
+      {children}
+    </RootThemeProvider>
+  );
+}
+
+/**
+ * useTheme
+ *
+ * Returns `{ mode, setMode, resolvedTheme, tokens, themes }` from the nearest `ThemeProvider`.
+ */
+export function useTheme() {
+  const context = useContext(ThemeContext);
+  if (!context) {
+    throw new Error("useTheme must be used within a ThemeProvider");
+  }
+  return context;
+}
+
+/**
+ * Example 1: Switching Between Light, Dark and System Modes
+ *
+ * This example lets the user pick a mode. "System" follows the operating system setting and updates live when it changes.
+ * The card is styled only with CSS variables, so it updates without reading the theme in JavaScript.
+ * The chosen mode is saved in `localStorage` and restored after a reload, and other open tabs switch too.
+ *
+ * Use Case: Useful for the theme picker in an app's settings or header.
+ */
+function ModePicker() {
+  const { mode, setMode, resolvedTheme } = useTheme();
+
+  return (
+    <div>
+      {["light", "dark", "system"].map((option) => (
+        <label key={option} style={{ marginRight: cssVar("spacing.md") }}>
+          <input
+            type="radio"
+            name="theme-mode"
+            checked={mode === option}
+            onChange={() => setMode(option)}
+          />
+          {option}
+        </label>
+      ))}
+      <p>Showing the {resolvedTheme} theme.</p>
+    </div>
+  );
+}
+
+function Card({ title, children }) {
+  return (
+    <div
+      style={{
+        padding: cssVar("spacing.lg"),
+        background: cssVar("colors.surface"),
+        color: cssVar("colors.text"),
+        fontFamily: cssVar("typography.fontFamily"),
+        borderRadius: "8px",
+      }}
+    >
+      <h3 style={{ color: cssVar("colors.primary") }}>{title}</h3>
+      <p style={{ color: cssVar("colors.muted") }}>{children}</p>
+    </div>
+  );
+}
+
+function ThemeModeExample() {
+  return (
+    <div>
+      <h1>useTheme Example - Modes</h1>
+      <ModePicker />
+      <Card title="Design tokens">
+        This card is styled only with CSS variables.
+      </Card>
+    </div>
+  );
+}
+
+/**
+ * Example 2: Nested Sub-Themes
+ *
+ * This example renders a dark sidebar and a branded promo box inside the page theme.
+ * The sidebar uses the "dark" theme regardless of the page mode, and the promo box overrides only the primary color.
+ * `Card` is reused unchanged: it reads the variables of the closest section.
+ *
+ * Use Case: Useful for page sections with their own look, such as navigation bars, code samples or marketing banners.
+ */
+function NestedThemeExample() {
+  return (
+    <div>
+      <h1>useTheme Example - Nested Themes</h1>
+      <div style={{ display: "flex", gap: "16px" }}>
+        <ThemeProvider theme="dark">
+          <Card title="Sidebar">Always dark.</Card>
+        </ThemeProvider>
+        <ThemeProvider tokens={{ colors: { primary: "#db2777" } }}>
+          <Card title="Promo">Uses the page theme with a pink accent.</Card>
+        </ThemeProvider>
+      </div>
+    </div>
+  );
+}
+
+// Combine all components into a single display
+function App() {
+  return (
+    <ThemeProvider>
+      <h1>useTheme Examples</h1>
+      <ThemeModeExample />
+      <hr />
+      <NestedThemeExample />
+    </ThemeProvider>
+  );
+}
+
+export default App;
@@ -0,0 +1,468 @@
+/**
+ * This file demonstrates how to add internationalization with an `I18nProvider` and the `useTranslation` custom hook.
+ *
+ * It grows the `LanguageContext` from `useContext.jsx`, which only passed a language code, into a provider that loads message catalogs
+ * for the current locale and formats messages, numbers and dates with the browser's `Intl` APIs.
+ *
+ * --- What useTranslation does ---
+ * 1. It returns `t(key, params)`, which looks up a message and fills in ICU-style arguments: `{name}`, `{count, plural, ...}`, `{gender, select, ...}`,
+ *    `{place, selectordinal, ...}`, `{amount, number, currency}` and `{date, date, long}`.
+ * 2. It returns `formatNumber` and `formatDate` helpers for the current locale, plus `locale`, `setLocale`, `isPending` and the text direction `dir`.
+ * 3. Behind it, `I18nProvider` loads catalogs on demand (for example with `import()`), falls back from "es-MX" to "es" to the fallback locale,
+ *    and switches `dir` to "rtl" for right-to-left languages.
+ *
+ * --- When to use useTranslation ---
+ * 1. When an app is shown in several languages and its text should live in catalogs instead of components.
+ * 2. When messages contain counts, genders or ordinals whose wording depends on the language's plural rules.
+ * 3. When only the catalog for the current language should be downloaded, loading others only when the user switches.
+ *
+ * --- When to be careful ---
+ * 1. Never build sentences by concatenating translated fragments; word order differs between languages, so keep the whole sentence in one message.
+ * 2. Catalogs load asynchronously; the provider suspends until the first catalog is ready and keeps showing the old language while switching.
+ * 3. Only a subset of ICU syntax is supported here (no apostrophe escaping or plural offsets); use a library such as FormatJS for full support.
+ *
+ * --- Similar Hooks ---
+ * - `useContext`: `useTranslation` reads the nearest `I18nProvider`, just like `MultiContextChild` reads `LanguageContext` in `useContext.jsx`.
+ * - `useTransition`: `setLocale` loads the new catalogs inside a transition, so the page stays interactive while they download.
+ */
+
+import React, {
+  Suspense,
+  createContext,
+  useCallback,
+  useContext,
+  useMemo,
+  useState,
+  useTransition,
+} from "react";
+import { createResource } from "./createResource";
+
+const I18nContext = createContext(null);
+
+const RTL_LANGUAGES = new Set(["ar", "he", "fa", "ur", "ps", "yi", "dv"]);
+
+export const defaultFormats = {
+  number: {
+    integer: { maximumFractionDigits: 0 },
+    percent: { style: "percent" },
+    currency: { style: "currency", currency: "USD" },
+  },
+  date: {
+    short: { dateStyle: "short" },
+    medium: { dateStyle: "medium" },
+    long: { dateStyle: "long" },
+    full: { dateStyle: "full" },
+  },
+};
+
+// Intl formatters are expensive to create, so they are cached by locale and options.
+const formatterCache = new Map();
+
+const getFormatter = (Formatter, locale, options = {}) => {
+  const cacheKey = `${Formatter.name}|${locale}|${JSON.stringify(options)}`;
+  let formatter = formatterCache.get(cacheKey);
+  if (!formatter) {
+    formatter = new Formatter(locale, options);
+    formatterCache.set(cacheKey, formatter);
+  }
+  return formatter;
+};
+
+/**
+ * getLocaleChain
+ *
+ * Returns the locales to search for a message, from the most to the least specific: "es-MX" gives `["es-MX", "es", "en"]`.
+ */
+export function getLocaleChain(locale, fallbackLocale) {
+  const chain = [];
+  const parts = locale.split("-");
+  for (let length = parts.length; length > 0; length--) {
+    chain.push(parts.slice(0, length).join("-"));
+  }
+  if (fallbackLocale && !chain.includes(fallbackLocale)) {
+    chain.push(fallbackLocale);
+  }
+  return chain;
+}
+
+export const getDirection = (locale) =>
+  RTL_LANGUAGES.has(locale.split("-")[0]) ? "rtl" : "ltr";
+
+/**
+ * parseMessage
+ *
+ * Parses an ICU-style message into a list of text parts and argument parts.
+ * Plural, selectordinal and select arguments hold their branches as nested part lists, and `#` inside plural branches becomes a "pound" part.
+ */
+export function parseMessage(message) {
+  let index = 0;
+
+  const readUntil = (stops) => {
+    const start = index;
+    while (index < message.length && !stops.includes(message[index])) index++;
+    return message.slice(start, index).trim();
+  };
+
+  const parseArgument = (inPlural) => {
+    const name = readUntil([",", "}"]);
+    if (message[index++] === "}") return { type: "argument", name };
+
+    const type = readUntil([",", "}"]);
+    if (message[index++] === "}") return { type, name };
+
+    if (type === "plural" || type === "selectordinal" || type === "select") {
+      const options = {};
+      while (index < message.length) {
+        const selector = readUntil(["{", "}"]);
+        if (message[index] === "}") break;
+        index++; // Skip "{".
+        options[selector] = parseParts(type !== "select" || inPlural);
+        index++; // Skip "}".
+      }
+      index++; // Skip the closing "}" of the argument.
+      return { type, name, options };
+    }
+
+    const style = readUntil(["}"]);
+    index++;
+    return { type, name, style };
+  };
+
+  const parseParts = (inPlural) => {
+    const parts = [];
+    let text = "";
+    while (index < message.length && message[index] !== "}") {
+      const char = message[index];
+      if (char === "{" || (char === "#" && inPlural)) {
+        if (text) parts.push(text);
+        text = "";
+        index++;
+        parts.push(char === "{" ? parseArgument(inPlural) : { type: "pound" });
+      } else {
+        text += char;
+        index++;
+      }
+    }
+    if (text) parts.push(text);
+    return parts;
+  };
+
+  return parseParts(false);
+}
+
+const parsedMessages = new Map();
+
+const getParsedMessage = (message) => {
+  let parts = parsedMessages.get(message);
+  if (!parts) {
+    parts = parseMessage(message);
+    parsedMessages.set(message, parts);
+  }
+  return parts;
+};
+
+/**
+ * formatMessage
+ *
+ * Formats an ICU-style message with `params` for `locale`. Named number and date styles are looked up in `formats`.
+ */
+export function formatMessage(
+  message,
+  params = {},
+  locale = "en",
+  formats = defaultFormats
+) {
+  const formatParts = (parts, pluralValue) =>
+    parts
+      .map((part) => {
+        if (typeof part === "string") return part;
+        if (part.type === "pound") {
+          return getFormatter(Intl.NumberFormat, locale).format(pluralValue);
+        }
+
+        const value = params[part.name];
+        switch (part.type) {
+          case "argument":
+            return value === undefined ? `{${part.name}}` : String(value);
+          case "number":
+            return getFormatter(
+              Intl.NumberFormat,
+              locale,
+              formats.number[part.style]
+            ).format(value);
+          case "date":
+            return getFormatter(
+              Intl.DateTimeFormat,
+              locale,
+              formats.date[part.style || "medium"]
+            ).format(value);
+          case "plural":
+          case "selectordinal": {
+            const category = getFormatter(Intl.PluralRules, locale, {
+              type: part.type === "plural" ? "cardinal" : "ordinal",
+            }).select(value);
+            const branch =
+              part.options[`=${value}`] ||
+              part.options[category] ||
+              part.options.other ||
+              [];
+            return formatParts(branch, value);
+          }
+          case "select":
+            return formatParts(
+              part.options[value] || part.options.other || [],
+              pluralValue
+            );
+          default:
+            return "";
+        }
+      })
+      .join("");
+
+  return formatParts(getParsedMessage(message));
+}
+
+const lookup = (messages, key) => {
+  if (key in messages) return messages[key];
+  const value = key
+    .split(".")
+    .reduce((node, part) => (node == null ? undefined : node[part]), messages);
+  return typeof value === "string" ? value : undefined;
+};
+
+const warnedKeys = new Set();
+
+function LocaleScope({
+  locale,
+  fallbackLocale,
+  catalogs,
+  formats,
+  setLocale,
+  isPending,
+  children,
+}) {
+  const value = useMemo(() => {
+    const chain = getLocaleChain(locale, fallbackLocale);
+    // Start every catalog in the chain before reading, so they load in parallel.
+    chain.forEach((item) => catalogs.preload(item));
+    const sources = chain.map((item) => ({
+      locale: item,
+      messages: catalogs.read(item),
+    }));
+
+    const t = (key, params) => {
+      for (const source of sources) {
+        const message = lookup(source.messages, key);
+        // Plural rules follow the language the message is written in, which may be a fallback.
+        if (message !== undefined) {
+          return formatMessage(message, params, source.locale, formats);
+        }
+      }
+      if (!warnedKeys.has(`${locale}:${key}`)) {
+        warnedKeys.add(`${locale}:${key}`);
+        console.warn(
+          `useTranslation: missing message "${key}" for "${locale}"`
+        );
+      }
+      return key;
+    };
+
+    return {
+      t,
+      locale,
+      setLocale,
+      isPending,
+      dir: getDirection(locale),
+      formatNumber: (number, options) =>
+        getFormatter(Intl.NumberFormat, locale, options).format(number),
+      formatDate: (date, options) =>
+        getFormatter(Intl.DateTimeFormat, locale, options).format(date),
+    };
+  }, [locale, fallbackLocale, catalogs, formats, setLocale, isPending]);
+
+  return (
+    <I18nContext.Provider value={value}>
+      <div lang={locale} dir={value.dir}>
+        {children}
+      </div>
+    </I18nContext.Provider>
+  );
+}
+
+/**
+ * I18nProvider
+ *
+ * Props:
+ * - `loadMessages(locale)`: returns a promise for the locale's catalog, for example `(locale) => import(`../locales/${locale}.json`)`.
+ *   Locales that fail to load are treated as empty, so the next locale in the fallback chain is used.
+ * - `defaultLocale` and `fallbackLocale` (both "en" by default).
+ * - `formats`: named number and date styles used by `{x, number, style}` and `{x, date, style}` (see `defaultFormats`).
+ * - `fallback`: rendered while the first catalogs load.
+ */
+export function I18nProvider({
+  loadMessages,
+  defaultLocale = "en",
+  fallbackLocale = "en",
+  formats = defaultFormats,
+  fallback = null,
+  children,
+}) {
+  const [locale, setLocaleState] = useState(defaultLocale);
+  const [isPending, startTransition] = useTransition();
+
+  const [catalogs] = useState(() =>
+    createResource((item) =>
+      Promise.resolve()
+        .then(() => loadMessages(item))
+        .then(
+          (module) =>
+            module && module.default ? module.default : module || {},
+          (error) => {
+            console.warn(`I18nProvider: could not load "${item}"`, error);
+            return {};
+          }
+        )
+    )
+  );
+
+  const setLocale = useCallback((nextLocale) => {
+    startTransition(() => setLocaleState(nextLocale));
+  }, []);
+
+  return (
+    <Suspense fallback={fallback}>
+      <LocaleScope
+        locale={locale}
+        fallbackLocale={fallbackLocale}
+        catalogs={catalogs}
+        formats={formats}
+        setLocale={setLocale}
+        isPending={isPending}
+      >
+        {children}
+      </LocaleScope>
+    </Suspense>
+  );
+}
+
+/**
+ * useTranslation
+ *
+ * Returns `{ t, locale, setLocale, isPending, dir, formatNumber, formatDate }` from the nearest `I18nProvider`.
+ */
+export function useTranslation() {
+  const context = useContext(I18nContext);
+  if (!context) {
+    throw new Error("useTranslation must be used within an I18nProvider");
+  }
+  return context;
+}
+
+/**
+ * Example 1: Plurals, Selects and Formatting
+ *
+ * This example renders messages from the catalogs in `React/locales`. Each catalog is a separate chunk loaded with `import()`.
+ * Changing the message count shows how plural rules differ: Arabic has separate forms for two, a few and many items.
+ * "es-MX" has no catalog of its own, so it falls back to "es"; messages missing from "es" fall back to "en".
+ * Arabic switches the text direction to right-to-left.
+ *
+ * Use Case: Useful for any interface shown in several languages.
+ */
+const loadMessages = (locale) =>
+  // The delay makes the loading state visible in this demo.
+  new Promise((resolve) => setTimeout(resolve, 500)).then(() =>
+    import(`../locales/${locale}.json`)
+  );
+
+function TranslatedContent() {
+  const { t, locale, setLocale, isPending, dir, formatNumber } =
+    useTranslation();
+  const [count, setCount] = useState(1);
+  const [gender, setGender] = useState("female");
+
+  return (
+    <div style={{ opacity: isPending ? 0.5 : 1 }}>
+      <select value={locale} onChange={(e) => setLocale(e.target.value)}>
+        <option value="en">English</option>
+        <option value="es">Español</option>
+        <option value="es-MX">Español (México)</option>
+        <option value="ar">العربية</option>
+      </select>
+      {isPending && <span> Loading...</span>}
+      <p>Direction: {dir}</p>
+      <p>{t("greeting", { name: "Maria" })}</p>
+      <label>
+        Messages:
+        <input
+          type="number"
+          min="0"
+          value={count}
+          onChange={(e) => setCount(Number(e.target.value))}
+        />
+      </label>
+      <p>{t("inbox", { count })}</p>
+      <select value={gender} onChange={(e) => setGender(e.target.value)}>
+        <option value="female">female</option>
+        <option value="male">male</option>
+        <option value="other">other</option>
+      </select>
+      <p>{t("invited", { gender })}</p>
+      <p>{t("place", { place: count })}</p>
+      <p>{t("price", { amount: 1234.5 })}</p>
+      <p>{t("today", { date: new Date() })}</p>
+      <p>{t("englishOnly")}</p>
+      <p>{formatNumber(0.256, { style: "percent" })}</p>
+    </div>
+  );
+}
+
+function TranslationExample() {
+  return (
+    <div>
+      <h1>useTranslation Example - Messages</h1>
+      <I18nProvider
+        loadMessages={loadMessages}
+        fallback={<p>Loading translations...</p>}
+      >
+        <TranslatedContent />
+      </I18nProvider>
+    </div>
+  );
+}
+
+/**
+ * Example 2: Formatting Messages Without a Provider
+ *
+ * This example calls `formatMessage` directly with an inline message.
+ * It is useful outside React components, for example when building notification text on the server.
+ *
+ * Use Case: Useful for tests and for code that formats a single message without loading catalogs.
+ */
+function FormatMessageExample() {
+  const [count, setCount] = useState(0);
+  const message =
+    "{count, plural, =0 {No files selected} one {# file selected} other {# files selected}}";
+
+  return (
+    <div>
+      <h1>useTranslation Example - formatMessage</h1>
+      <button onClick={() => setCount(count + 1)}>Select a file</button>
+      <button onClick={() => setCount(0)}>Clear</button>
+      <p>{formatMessage(message, { count }, "en")}</p>
+    </div>
+  );
+}
+
+// Combine all components into a single display
+function App() {
+  return (
+    <div>
+      <h1>useTranslation Examples</h1>
+      <TranslationExample />
+      <hr />
+      <FormatMessageExample />
+    </div>
+  );
+}
+
+export default App;
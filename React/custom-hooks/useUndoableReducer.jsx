@@ -0,0 +1,317 @@
+/**
+ * This file demonstrates how to add undo/redo (time travel) to any reducer with the `withHistory` higher-order reducer and the `useUndoableReducer` custom hook.
+ *
+ * `withHistory` wraps a reducer like `counterReducer`, `todoReducer` or `formReducer` from `useReducer.jsx` and stores every state it produces.
+ * The wrapped reducer still handles the original actions, plus `undo`, `redo`, `jump` and `clearHistory`.
+ *
+ * --- What useUndoableReducer does ---
+ * 1. It works like `useReducer`, but returns `undo`, `redo`, `canUndo`, `canRedo`, `jump(index)` and `clearHistory` next to `state` and `dispatch`.
+ * 2. It keeps at most `limit` past states and can ignore actions through a `filter` function.
+ * 3. It can group consecutive actions (for example rapid keystrokes in the same field) into a single undo step.
+ *
+ * --- When to use useUndoableReducer ---
+ * 1. When building editors (text, drawing, forms) where users expect Ctrl+Z and Ctrl+Y to work.
+ * 2. When users should be able to step back through a sequence of changes, such as a configuration wizard.
+ * 3. When debugging a reducer by jumping between the states it produced.
+ *
+ * --- When to be careful ---
+ * 1. Every step stores a full state, so keep `limit` reasonable for large states.
+ * 2. The wrapped reducer must be pure and return new objects; mutated states would corrupt the history.
+ * 3. Filter out actions that should not be undoable, such as loading data from the server.
+ *
+ * --- Similar Hooks ---
+ * - `useReducer`: `useUndoableReducer` is `useReducer` with `withHistory` applied to the reducer.
+ * - `useState`: Fine for simple values, but it has no built-in history of previous values.
+ */
+
+import React, { useCallback, useMemo, useReducer, useState } from "react";
+
+const UNDO = "@@history/undo";
+const REDO = "@@history/redo";
+const JUMP = "@@history/jump";
+const CLEAR_HISTORY = "@@history/clear";
+const BREAK_GROUP = "@@history/breakGroup";
+
+export const createHistory = (present) => ({
+  past: [],
+  present,
+  future: [],
+  lastGroup: null,
+});
+
+/**
+ * withHistory
+ *
+ * Wraps `reducer` so its state becomes `{ past, present, future }`.
+ * Options:
+ * - `limit`: the maximum number of past states to keep (default 100).
+ * - `filter(action, present, nextPresent)`: return `false` to update the present without adding an undo step (the redo steps are dropped).
+ * - `groupBy(action)`: consecutive actions with the same non-null group key are merged into one undo step.
+ */
+export function withHistory(
+  reducer,
+  { limit = 100, filter = () => true, groupBy = () => null } = {}
+) {
+  return function historyReducer(history, action) {
+    const { past, present, future } = history;
+
+    switch (action.type) {
+      case UNDO: {
+        if (past.length === 0) return history;
+        return {
+          past: past.slice(0, -1),
+          present: past[past.length - 1],
+          future: [present, ...future],
+          lastGroup: null,
+        };
+      }
+      case REDO: {
+        if (future.length === 0) return history;
+        return {
+          past: [...past, present],
+          present: future[0],
+          future: future.slice(1),
+          lastGroup: null,
+        };
+      }
+      case JUMP: {
+        // `index` counts over the whole timeline: past states, then the present, then future states.
+        const timeline = [...past, present, ...future];
+        if (action.index < 0 || action.index >= timeline.length) return history;
+        return {
+          past: timeline.slice(0, action.index),
+          present: timeline[action.index],
+          future: timeline.slice(action.index + 1),
+          lastGroup: null,
+        };
+      }
+      case CLEAR_HISTORY:
+        return createHistory(present);
+      case BREAK_GROUP:
+        return history.lastGroup === null
+          ? history
+          : { ...history, lastGroup: null };
+      default: {
+        const nextPresent = reducer(present, action);
+        if (Object.is(nextPresent, present)) return history;
+
+        // Filtered actions are not undoable, but they still change the present: the redo steps
+        // and the current group belonged to the old present, so they are dropped.
+        if (!filter(action, present, nextPresent)) {
+          return {
+            ...history,
+            present: nextPresent,
+            future: [],
+            lastGroup: null,
+          };
+        }
+
+        const group = groupBy(action);
+        if (group !== null && group === history.lastGroup) {
+          // Same group as the previous action: replace the present instead of adding a step.
+          return { ...history, present: nextPresent, future: [] };
+        }
+
+        return {
+          past: [...past, present].slice(-limit),
+          present: nextPresent,
+          future: [],
+          lastGroup: group,
+        };
+      }
+    }
+  };
+}
+
+/**
+ * useUndoableReducer
+ *
+ * Calls `useReducer` with `withHistory(reducer, options)` and returns the present state with the history controls.
+ * `breakGroup()` ends the current group, so the next grouped action starts a new undo step (for example on blur).
+ */
+export function useUndoableReducer(reducer, initialState, options) {
+  // The history reducer is created once; changing `reducer` or `options` later has no effect.
+  const [historyReducer] = useState(() => withHistory(reducer, options));
+  const [history, dispatch] = useReducer(
+    historyReducer,
+    initialState,
+    createHistory
+  );
+
+  const undo = useCallback(() => dispatch({ type: UNDO }), []);
+  const redo = useCallback(() => dispatch({ type: REDO }), []);
+  const jump = useCallback((index) => dispatch({ type: JUMP, index }), []);
+  const clearHistory = useCallback(() => dispatch({ type: CLEAR_HISTORY }), []);
+  const breakGroup = useCallback(() => dispatch({ type: BREAK_GROUP }), []);
+
+  const timeline = useMemo(
+    () => [...history.past, history.present, ...history.future],
+    [history]
+  );
+
+  return {
+    state: history.present,
+    dispatch,
+    undo,
+    redo,
+    jump,
+    clearHistory,
+    breakGroup,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+    timeline,
+    currentIndex: history.past.length,
+  };
+}
+
+/**
+ * Example 1: Undoable Counter
+ *
+ * This example adds undo and redo to the `counterReducer` from `useReducer.jsx`.
+ * The timeline below the buttons lets you jump directly to any previous or future state.
+ *
+ * Use Case: Useful for simple tools where every change should be reversible.
+ */
+function counterReducer(state, action) {
+  switch (action.type) {
+    case "increment":
+      return { count: state.count + 1 };
+    case "decrement":
+      return { count: state.count - 1 };
+    default:
+      throw new Error(`Unknown action: ${action.type}`);
+  }
+}
+
+function UndoableCounter() {
+  const { state, dispatch, undo, redo, canUndo, canRedo, jump, timeline } =
+    useUndoableReducer(counterReducer, { count: 0 }, { limit: 20 });
+
+  return (
+    <div>
+      <h1>useUndoableReducer Example - Counter</h1>
+      <p>Count: {state.count}</p>
+      <button onClick={() => dispatch({ type: "increment" })}>Increment</button>
+      <button onClick={() => dispatch({ type: "decrement" })}>Decrement</button>
+      <button onClick={undo} disabled={!canUndo}>
+        Undo
+      </button>
+      <button onClick={redo} disabled={!canRedo}>
+        Redo
+      </button>
+      <p>
+        Timeline:{" "}
+        {timeline.map((step, index) => (
+          <button
+            key={index}
+            onClick={() => jump(index)}
+            style={{ fontWeight: step === state ? "bold" : "normal" }}
+          >
+            {step.count}
+          </button>
+        ))}
+      </p>
+    </div>
+  );
+}
+
+/**
+ * Example 2: Grouping Keystrokes in a Form
+ *
+ * This example wraps the `formReducer` from `useReducer.jsx`.
+ * `groupBy` groups `updateField` actions by field, so typing a whole word in one input is undone in a single step.
+ * Leaving the input calls `breakGroup`, so the next edit of the same field starts a new undo step.
+ * The `reset` action is filtered out of the history and keyboard shortcuts (Ctrl+Z / Ctrl+Y) trigger undo and redo.
+ *
+ * Use Case: Useful for editors and forms where undoing one character at a time would be frustrating.
+ */
+const initialFormState = {
+  username: "",
+  email: "",
+};
+
+function formReducer(state, action) {
+  switch (action.type) {
+    case "updateField":
+      return { ...state, [action.field]: action.value };
+    case "reset":
+      return initialFormState;
+    default:
+      throw new Error(`Unknown action: ${action.type}`);
+  }
+}
+
+function UndoableForm() {
+  const {
+    state,
+    dispatch,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    clearHistory,
+    breakGroup,
+  } = useUndoableReducer(formReducer, initialFormState, {
+    groupBy: (action) =>
+      action.type === "updateField" ? `field:${action.field}` : null,
+    filter: (action) => action.type !== "reset",
+  });
+
+  const handleKeyDown = (e) => {
+    if (!(e.ctrlKey || e.metaKey)) return;
+    if (e.key === "z" && !e.shiftKey) {
+      e.preventDefault();
+      undo();
+    } else if (e.key === "y" || (e.key === "z" && e.shiftKey)) {
+      e.preventDefault();
+      redo();
+    }
+  };
+
+  const fieldProps = (field) => ({
+    value: state[field],
+    onChange: (e) =>
+      dispatch({ type: "updateField", field, value: e.target.value }),
+    onBlur: breakGroup,
+  });
+
+  return (
+    <div onKeyDown={handleKeyDown}>
+      <h1>useUndoableReducer Example - Form</h1>
+      <label>
+        Username:
+        <input {...fieldProps("username")} />
+      </label>
+      <br />
+      <label>
+        Email:
+        <input {...fieldProps("email")} />
+      </label>
+      <br />
+      <button onClick={undo} disabled={!canUndo}>
+        Undo
+      </button>
+      <button onClick={redo} disabled={!canRedo}>
+        Redo
+      </button>
+      <button onClick={() => dispatch({ type: "reset" })}>Reset Form</button>
+      <button onClick={clearHistory}>Clear History</button>
+      <p>Username: {state.username}</p>
+      <p>Email: {state.email}</p>
+    </div>
+  );
+}
+
+// Combine all components into a single display
+function App() {
+  return (
+    <div>
+      <h1>useUndoableReducer Examples</h1>
+      <UndoableCounter />
+      <hr />
+      <UndoableForm />
+    </div>
+  );
+}
+
+export default App;
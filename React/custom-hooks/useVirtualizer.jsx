@@ -0,0 +1,482 @@
+/**
+ * This file demonstrates how to build a list virtualization hook, `useVirtualizer`, that renders only the rows a user can see.
+ *
+ * `ItemList` in `useTransition.jsx` renders 20,000 rows and `SlowList` in `useDeferredValue.jsx` renders 10,000.
+ * Transitions hide some of that cost, but the browser still has to create and lay out every node; virtualization creates only a few dozen.
+ *
+ * --- What useVirtualizer does ---
+ * 1. It tracks the scroll position and size of a scroll container and returns the items that are visible, plus a few extra (`overscan`).
+ * 2. It supports fixed, estimated and measured (variable) item sizes, in vertical or horizontal mode.
+ * 3. It provides `scrollToIndex` and keeps the visible content in place (scroll anchoring) when items are inserted above it or resized.
+ *
+ * --- When to use useVirtualizer ---
+ * 1. When rendering hundreds or thousands of rows, such as logs, search results or a chat history.
+ * 2. When the rows have different heights that are only known after rendering.
+ * 3. When building horizontally scrolling lists, such as timelines or carousels with many items.
+ *
+ * --- When to be careful ---
+ * 1. Pass stable `estimateSize` and `getItemKey` functions (e.g. with `useCallback`); they are used to compute every item's position.
+ * 2. Items outside the rendered range do not exist in the DOM, so browser "find in page" and anchors to them will not work.
+ * 3. Give rows stable keys from your data so measured sizes and scroll anchoring follow the item, not its index.
+ *
+ * --- Similar Hooks ---
+ * - `useDeferredValue` / `useTransition`: Keep the UI responsive while rendering a lot; virtualization avoids rendering a lot in the first place.
+ * - `useLayoutEffect`: `useVirtualizer` uses it to measure the container and adjust the scroll position before the browser paints.
+ */
+
+import React, {
+  useCallback,
+  useLayoutEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+
+const defaultGetItemKey = (index) => index;
+
+/**
+ * defaultRangeExtractor
+ *
+ * Returns the indexes to render: the visible range widened by `overscan` on both sides.
+ */
+export function defaultRangeExtractor({
+  startIndex,
+  endIndex,
+  overscan,
+  count,
+}) {
+  const start = Math.max(startIndex - overscan, 0);
+  const end = Math.min(endIndex + overscan, count - 1);
+  const indexes = [];
+  for (let i = start; i <= end; i++) indexes.push(i);
+  return indexes;
+}
+
+// Binary search for the first item that ends after `offset`.
+function findFirstVisibleIndex(items, offset) {
+  let low = 0;
+  let high = items.length - 1;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (items[middle].end <= offset) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+}
+
+/**
+ * useVirtualizer
+ *
+ * Options: `count`, `getScrollElement`, `estimateSize(index)`, `overscan`, `horizontal`, `getItemKey(index)`, `rangeExtractor` and `anchor`.
+ * Returns the items to render (`virtualItems`), the `totalSize` of the list, `measureElement` (a ref callback for measured rows),
+ * `scrollToIndex(index, { align, behavior })` and `scrollToOffset(offset)`.
+ */
+export function useVirtualizer({
+  count,
+  getScrollElement,
+  estimateSize,
+  overscan = 5,
+  horizontal = false,
+  getItemKey = defaultGetItemKey,
+  rangeExtractor = defaultRangeExtractor,
+  anchor = true,
+}) {
+  const scrollProp = horizontal ? "scrollLeft" : "scrollTop";
+  const sizeProp = horizontal ? "width" : "height";
+
+  const [scrollOffset, setScrollOffset] = useState(0);
+  const [viewportSize, setViewportSize] = useState(0);
+  const [measuredSizes, setMeasuredSizes] = useState(() => new Map());
+
+  const getScrollElementRef = useRef(getScrollElement);
+  getScrollElementRef.current = getScrollElement;
+  const getItemKeyRef = useRef(getItemKey);
+  getItemKeyRef.current = getItemKey;
+
+  // The start, size and end of every item, using measured sizes when available.
+  const measurements = useMemo(() => {
+    const items = new Array(count);
+    const keyToIndex = new Map();
+    let offset = 0;
+    for (let index = 0; index < count; index++) {
+      const key = getItemKey(index);
+      const size = measuredSizes.has(key)
+        ? measuredSizes.get(key)
+        : estimateSize(index);
+      items[index] = { index, key, start: offset, size, end: offset + size };
+      keyToIndex.set(key, index);
+      offset += size;
+    }
+    return { items, keyToIndex, totalSize: offset };
+  }, [count, getItemKey, estimateSize, measuredSizes]);
+
+  // Follow the scroll position and the size of the scroll container.
+  useLayoutEffect(() => {
+    const element = getScrollElementRef.current();
+    if (!element) return;
+
+    const handleScroll = () => setScrollOffset(element[scrollProp]);
+    const handleResize = () =>
+      setViewportSize(element.getBoundingClientRect()[sizeProp]);
+
+    handleScroll();
+    handleResize();
+    element.addEventListener("scroll", handleScroll, { passive: true });
+
+    let observer = null;
+    if (typeof ResizeObserver !== "undefined") {
+      observer = new ResizeObserver(handleResize);
+      observer.observe(element);
+    }
+
+    return () => {
+      element.removeEventListener("scroll", handleScroll);
+      if (observer) observer.disconnect();
+    };
+  }, [scrollProp, sizeProp]);
+
+  // Scroll anchoring: keep the first visible item at the same place when the items above it change.
+  const anchorRef = useRef(null);
+  useLayoutEffect(() => {
+    const element = getScrollElementRef.current();
+    const previousAnchor = anchorRef.current;
+    if (!anchor || !element || !previousAnchor) return;
+
+    const index = measurements.keyToIndex.get(previousAnchor.key);
+    if (index === undefined) return;
+
+    const delta = measurements.items[index].start - previousAnchor.start;
+    if (delta !== 0) {
+      element[scrollProp] += delta;
+      setScrollOffset(element[scrollProp]);
+    }
+  }, [measurements, anchor, scrollProp]);
+
+  // Measured rows are observed, so they are re-measured whenever their content changes size.
+  const resizeObserverRef = useRef(null);
+  const measureNode = useCallback(
+    (node) => {
+      const index = Number(node.dataset.index);
+      const key = getItemKeyRef.current(index);
+      const size = node.getBoundingClientRect()[sizeProp];
+      setMeasuredSizes((sizes) =>
+        sizes.get(key) === size ? sizes : new Map(sizes).set(key, size)
+      );
+    },
+    [sizeProp]
+  );
+
+  useLayoutEffect(
+    () => () => {
+      if (resizeObserverRef.current) resizeObserverRef.current.disconnect();
+    },
+    []
+  );
+
+  const measureElement = useCallback(
+    (node) => {
+      if (!node) return;
+      if (!resizeObserverRef.current && typeof ResizeObserver !== "undefined") {
+        resizeObserverRef.current = new ResizeObserver((entries) => {
+          entries.forEach(({ target }) => {
+            // Rows that scrolled out of the rendered range are removed from the DOM.
+            if (!target.isConnected) {
+              resizeObserverRef.current.unobserve(target);
+              return;
+            }
+            measureNode(target);
+          });
+        });
+      }
+      if (resizeObserverRef.current) resizeObserverRef.current.observe(node);
+      measureNode(node);
+    },
+    [measureNode]
+  );
+
+  const { items, totalSize } = measurements;
+  const startIndex = count > 0 ? findFirstVisibleIndex(items, scrollOffset) : 0;
+  let endIndex = startIndex;
+  while (
+    endIndex < count - 1 &&
+    items[endIndex + 1].start < scrollOffset + viewportSize
+  ) {
+    endIndex++;
+  }
+
+  const virtualItems =
+    count > 0
+      ? rangeExtractor({ startIndex, endIndex, overscan, count }).map(
+          (index) => items[index]
+        )
+      : [];
+
+  // Remember the first visible item after every render for the anchoring effect above.
+  useLayoutEffect(() => {
+    anchorRef.current = count > 0 ? { ...items[startIndex] } : null;
+  });
+
+  const scrollToOffset = useCallback(
+    (offset, { behavior = "auto" } = {}) => {
+      const element = getScrollElementRef.current();
+      if (!element) return;
+      element.scrollTo({ [horizontal ? "left" : "top"]: offset, behavior });
+    },
+    [horizontal]
+  );
+
+  const scrollToIndex = (index, { align = "auto", behavior } = {}) => {
+    const item = items[Math.max(0, Math.min(index, count - 1))];
+    if (!item) return;
+
+    let offset;
+    if (align === "start") offset = item.start;
+    else if (align === "end") offset = item.end - viewportSize;
+    else if (align === "center")
+      offset = item.start - (viewportSize - item.size) / 2;
+    else if (item.start < scrollOffset) offset = item.start;
+    else if (item.end > scrollOffset + viewportSize)
+      offset = item.end - viewportSize;
+    else return; // Already fully visible.
+
+    scrollToOffset(Math.max(0, offset), { behavior });
+  };
+
+  return {
+    virtualItems,
+    totalSize,
+    range: { startIndex, endIndex },
+    scrollOffset,
+    measureElement,
+    scrollToIndex,
+    scrollToOffset,
+  };
+}
+
+/**
+ * Example 1: Virtualizing 20,000 Fixed-Height Rows
+ *
+ * This example renders the same 20,000 items as `ListFilter` in `useTransition.jsx`, but only creates the visible rows.
+ * Each row is absolutely positioned inside a spacer element that has the height of the full list.
+ *
+ * Use Case: Useful for long lists with rows of the same height, such as logs or table rows.
+ */
+const manyItems = Array.from(
+  { length: 20000 },
+  (_, index) => `Item ${index + 1}`
+);
+
+const estimateRowSize = () => 30;
+
+function FixedSizeList() {
+  const parentRef = useRef(null);
+  const [target, setTarget] = useState("");
+  const virtualizer = useVirtualizer({
+    count: manyItems.length,
+    getScrollElement: () => parentRef.current,
+    estimateSize: estimateRowSize,
+  });
+
+  return (
+    <div>
+      <h1>useVirtualizer Example - Fixed Size Rows</h1>
+      <input
+        type="number"
+        value={target}
+        onChange={(e) => setTarget(e.target.value)}
+        placeholder="Row number"
+      />
+      <button
+        onClick={() =>
+          virtualizer.scrollToIndex(Number(target) - 1, { align: "center" })
+        }
+      >
+        Scroll to Row
+      </button>
+      <div
+        ref={parentRef}
+        style={{ height: "300px", overflow: "auto", border: "1px solid #ccc" }}
+      >
+        <div
+          style={{ height: `${virtualizer.totalSize}px`, position: "relative" }}
+        >
+          {virtualizer.virtualItems.map((item) => (
+            <div
+              key={item.key}
+              style={{
+                position: "absolute",
+                top: 0,
+                left: 0,
+                width: "100%",
+                height: `${item.size}px`,
+                transform: `translateY(${item.start}px)`,
+              }}
+            >
+              {manyItems[item.index]}
+            </div>
+          ))}
+        </div>
+      </div>
+      <p>
+        Rendering rows {virtualizer.range.startIndex + 1} to{" "}
+        {virtualizer.range.endIndex + 1} of {manyItems.length}.
+      </p>
+    </div>
+  );
+}
+
+/**
+ * Example 2: Measured Rows and Items Inserted Above
+ *
+ * This example renders messages with different lengths, so each row is measured with `measureElement` after it renders.
+ * Clicking "Load older messages" inserts rows at the top; scroll anchoring keeps the message you were reading in place.
+ *
+ * Use Case: Useful for chat histories and feeds where older content is loaded above the current position.
+ */
+let nextMessageId = 0;
+const createMessages = (amount) =>
+  Array.from({ length: amount }, () => {
+    const id = nextMessageId++;
+    return {
+      id,
+      text: `Message ${id}: ${"lorem ipsum ".repeat(((id * 7) % 15) + 1)}`,
+    };
+  });
+
+function MeasuredList() {
+  const parentRef = useRef(null);
+  const [messages, setMessages] = useState(() => createMessages(200));
+
+  const getItemKey = useCallback((index) => messages[index].id, [messages]);
+  const estimateSize = useCallback(() => 50, []);
+
+  const virtualizer = useVirtualizer({
+    count: messages.length,
+    getScrollElement: () => parentRef.current,
+    estimateSize,
+    getItemKey,
+  });
+
+  const loadOlder = () =>
+    setMessages((current) => [
+      ...createMessages(20).map((message) => ({
+        ...message,
+        text: `(older) ${message.text}`,
+      })),
+      ...current,
+    ]);
+
+  return (
+    <div>
+      <h1>useVirtualizer Example - Measured Rows</h1>
+      <button onClick={loadOlder}>Load older messages</button>
+      <div
+        ref={parentRef}
+        style={{
+          height: "300px",
+          width: "400px",
+          overflow: "auto",
+          overflowAnchor: "none", // Let the hook handle anchoring instead of the browser.
+          border: "1px solid #ccc",
+        }}
+      >
+        <div
+          style={{ height: `${virtualizer.totalSize}px`, position: "relative" }}
+        >
+          {virtualizer.virtualItems.map((item) => (
+            <div
+              key={item.key}
+              data-index={item.index}
+              ref={virtualizer.measureElement}
+              style={{
+                position: "absolute",
+                top: 0,
+                left: 0,
+                width: "100%",
+                transform: `translateY(${item.start}px)`,
+                borderBottom: "1px solid #eee",
+                padding: "6px",
+                boxSizing: "border-box",
+              }}
+            >
+              {messages[item.index].text}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Example 3: Horizontal Mode
+ *
+ * This example scrolls 1,000 cards horizontally; only the visible cards are rendered.
+ *
+ * Use Case: Useful for timelines, carousels or wide tables with many columns.
+ */
+function HorizontalList() {
+  const parentRef = useRef(null);
+  const estimateSize = useCallback(
+    (index) => (index % 3 === 0 ? 160 : 100),
+    []
+  );
+  const virtualizer = useVirtualizer({
+    count: 1000,
+    getScrollElement: () => parentRef.current,
+    estimateSize,
+    horizontal: true,
+  });
+
+  return (
+    <div>
+      <h1>useVirtualizer Example - Horizontal</h1>
+      <div
+        ref={parentRef}
+        style={{ width: "400px", height: "100px", overflow: "auto" }}
+      >
+        <div
+          style={{
+            width: `${virtualizer.totalSize}px`,
+            height: "100%",
+            position: "relative",
+          }}
+        >
+          {virtualizer.virtualItems.map((item) => (
+            <div
+              key={item.key}
+              style={{
+                position: "absolute",
+                top: 0,
+                left: 0,
+                height: "100%",
+                width: `${item.size}px`,
+                transform: `translateX(${item.start}px)`,
+                border: "1px solid #ccc",
+                boxSizing: "border-box",
+              }}
+            >
+              Card {item.index + 1}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Combine all components into a single display
+function App() {
+  return (
+    <div>
+      <h1>useVirtualizer Examples</h1>
+      <FixedSizeList />
+      <hr />
+      <MeasuredList />
+      <hr />
+      <HorizontalList />
+    </div>
+  );
+}
+
+export default App;
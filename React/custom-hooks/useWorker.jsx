@@ -0,0 +1,538 @@
+/**
+ * This file demonstrates how to run expensive pure functions in Web Workers with the `useWorker` and `useWorkerMemo` custom hooks.
+ *
+ * `useTransition` and `useDeferredValue` keep the input responsive by letting React interrupt rendering, but a single long
+ * calculation, like filtering 20,000 items, still blocks the main thread while it runs. These hooks send the calculation
+ * to a small pool of workers instead, and render the result when it arrives.
+ *
+ * --- What useWorker does ---
+ * 1. `useWorkerMemo(fn, deps)` runs `fn(...deps)` in a worker whenever `deps` change and returns `{ result, isPending, error }`;
+ *    `useWorker(fn)` returns a `run(...args)` function for running it on demand, such as from an event handler.
+ * 2. When the inputs change before a job finished, the stale job is cancelled: it is removed from the queue, or its worker is replaced.
+ * 3. Results are committed inside `startTransition`, and `ArrayBuffer`s can be transferred instead of copied with the `transfer` option.
+ *    Large arguments that do not change, such as a dataset, can be marked with `shareWithWorkers` so each worker receives them only once.
+ *
+ * --- When to use useWorker ---
+ * 1. When a calculation takes longer than a frame (about 16ms) and runs often, such as filtering, sorting or parsing large data.
+ * 2. When the calculation is a pure function of its arguments, and its arguments and result can be copied with `structuredClone`.
+ * 3. When processing binary data (images, audio, files) that can be transferred to the worker without copying.
+ *
+ * --- When to be careful ---
+ * 1. The function is sent to the worker as source code, so it cannot use variables, imports or closures from the component; pass everything as arguments.
+ * 2. Copying arguments has a cost; for cheap calculations, `useMemo` is faster than a round trip to a worker.
+ *    Arguments are copied on the main thread for every job, unless they are shared with `shareWithWorkers` or transferred.
+ * 3. Workers compile the function with `new Function`, which a strict Content Security Policy (without `'unsafe-eval'`) blocks.
+ *    Without `Worker` support (for example in jsdom tests), the function runs on the main thread instead.
+ *
+ * --- Similar Hooks ---
+ * - `useMemo`: Caches a calculation on the main thread; `useWorkerMemo` has the same dependency model but computes off the main thread.
+ * - `useTransition`: Marks rendering as interruptible; combine it with `useWorkerMemo` so that neither the calculation nor rendering the result blocks input.
+ */
+
+import React, {
+  startTransition,
+  useCallback,
+  useEffect,
+  useRef,
+  useState,
+} from "react";
+
+// Runs inside every worker. Compiled functions are cached by their source, so each function is only compiled once per worker.
+// Shared values are cached by id; the first job that uses one carries its value, later jobs only carry the id.
+// Arguments are decoded before the function is compiled, so a shared value is cached even when that job fails.
+const WORKER_SOURCE = `
+const functions = new Map();
+const sharedValues = new Map();
+const decodeArg = ({ sharedId, value }) => {
+  if (sharedId === undefined) return value;
+  if (!sharedValues.has(sharedId)) sharedValues.set(sharedId, value);
+  return sharedValues.get(sharedId);
+};
+const collectTransferables = (value) =>
+  value instanceof ArrayBuffer ? [value] : ArrayBuffer.isView(value) ? [value.buffer] : [];
+
+self.onmessage = async (event) => {
+  const { id, source, args } = event.data;
+  try {
+    const decodedArgs = args.map(decodeArg);
+    if (!functions.has(source)) {
+      functions.set(source, new Function("return (" + source + ")")());
+    }
+    const result = await functions.get(source)(...decodedArgs);
+    self.postMessage({ id, result }, collectTransferables(result));
+  } catch (error) {
+    self.postMessage({
+      id,
+      error: { name: (error && error.name) || "Error", message: String((error && error.message) || error) },
+    });
+  }
+};
+`;
+
+const isWorkerSupported = () =>
+  typeof Worker !== "undefined" &&
+  typeof Blob !== "undefined" &&
+  typeof URL !== "undefined" &&
+  typeof URL.createObjectURL === "function";
+
+const createAbortError = () => {
+  const error = new Error("The job was cancelled");
+  error.name = "AbortError";
+  return error;
+};
+
+const toError = ({ name, message }) => {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+};
+
+// `transfer: true` transfers every `ArrayBuffer` and typed array passed directly as an argument.
+const getTransferList = (args, transfer) => {
+  if (typeof transfer === "function") return transfer(args);
+  if (!transfer) return [];
+  return args.flatMap((arg) =>
+    arg instanceof ArrayBuffer
+      ? [arg]
+      : ArrayBuffer.isView(arg)
+      ? [arg.buffer]
+      : []
+  );
+};
+
+// Values marked with `shareWithWorkers`, and the id the workers cache each of them under.
+const sharedValueIds = new WeakMap();
+let nextSharedId = 0;
+
+/**
+ * shareWithWorkers
+ *
+ * Marks an object or array that is passed to workers in many jobs, such as the dataset of a search, and returns it unchanged.
+ * Each worker receives a copy the first time a job uses it and keeps it until the worker is terminated; later jobs send only a reference.
+ * Do not mutate a shared value afterwards: workers that already have a copy will not see the changes. Create and share a new value instead.
+ */
+export function shareWithWorkers(value) {
+  if (!sharedValueIds.has(value)) sharedValueIds.set(value, nextSharedId++);
+  return value;
+}
+
+// Leaves one core for the main thread, and never starts more than four workers.
+const getDefaultPoolSize = () => {
+  const cores =
+    (typeof navigator !== "undefined" && navigator.hardwareConcurrency) || 2;
+  return Math.max(1, Math.min(4, cores - 1));
+};
+
+/**
+ * createWorkerPool
+ *
+ * Creates up to `size` workers that run jobs from a shared queue. Workers are started on demand.
+ * `run(fn, args, { signal, transfer })` returns a promise for the result. Aborting `signal` removes a queued job,
+ * or terminates and replaces the worker running it, and rejects the promise with an `AbortError`.
+ */
+export function createWorkerPool({ size = getDefaultPoolSize() } = {}) {
+  let scriptUrl = null;
+  let nextJobId = 0;
+  const slots = [];
+  const queue = [];
+
+  const getScriptUrl = () => {
+    if (!scriptUrl) {
+      scriptUrl = URL.createObjectURL(
+        new Blob([WORKER_SOURCE], { type: "text/javascript" })
+      );
+    }
+    return scriptUrl;
+  };
+
+  const finishJob = (slot, settle) => {
+    const { job } = slot;
+    slot.job = null;
+    job.cleanup();
+    settle(job);
+    dispatch();
+  };
+
+  const attachWorker = (slot) => {
+    slot.worker = new Worker(getScriptUrl());
+    slot.sharedIds = new Set();
+    slot.worker.onmessage = (event) => {
+      if (!slot.job || event.data.id !== slot.job.id) return;
+      const { result, error } = event.data;
+      finishJob(slot, (job) =>
+        error ? job.reject(toError(error)) : job.resolve(result)
+      );
+    };
+    // Errors outside of the job (for example a syntax error in the function) would leave the worker unusable.
+    slot.worker.onerror = (event) => {
+      event.preventDefault();
+      if (!slot.job) return;
+      replaceWorker(slot);
+      finishJob(slot, (job) =>
+        job.reject(new Error(event.message || "The worker failed"))
+      );
+    };
+  };
+
+  const createSlot = () => {
+    const slot = { worker: null, job: null, sharedIds: null };
+    attachWorker(slot);
+    return slot;
+  };
+
+  const replaceWorker = (slot) => {
+    slot.worker.terminate();
+    attachWorker(slot);
+  };
+
+  // Shared values are sent along only to workers that do not have them yet.
+  const encodeArgs = (slot, args) =>
+    args.map((arg) => {
+      const sharedId = sharedValueIds.get(arg);
+      if (sharedId === undefined) return { value: arg };
+      if (slot.sharedIds.has(sharedId)) return { sharedId };
+      slot.sharedIds.add(sharedId);
+      return { sharedId, value: arg };
+    });
+
+  const dispatch = () => {
+    while (queue.length > 0) {
+      let slot = slots.find((candidate) => candidate.job === null);
+      if (!slot && slots.length < size) {
+        slot = createSlot();
+        slots.push(slot);
+      }
+      if (!slot) return;
+
+      const job = queue.shift();
+      slot.job = job;
+      slot.worker.postMessage(
+        { id: job.id, source: job.source, args: encodeArgs(slot, job.args) },
+        job.transferList
+      );
+    }
+  };
+
+  const run = (fn, args = [], { signal, transfer } = {}) =>
+    new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(createAbortError());
+        return;
+      }
+
+      const job = {
+        id: nextJobId++,
+        source: fn.toString(),
+        args,
+        transferList: getTransferList(args, transfer),
+        resolve,
+        reject,
+        cleanup: () => {},
+      };
+
+      if (signal) {
+        const handleAbort = () => {
+          const queueIndex = queue.indexOf(job);
+          if (queueIndex !== -1) {
+            queue.splice(queueIndex, 1);
+            job.cleanup();
+            reject(createAbortError());
+            return;
+          }
+          const slot = slots.find((candidate) => candidate.job === job);
+          if (slot) {
+            // A running job cannot be interrupted, so its worker is replaced with a fresh one.
+            slot.job = null;
+            job.cleanup();
+            replaceWorker(slot);
+            reject(createAbortError());
+            dispatch();
+          }
+        };
+        signal.addEventListener("abort", handleAbort);
+        job.cleanup = () => signal.removeEventListener("abort", handleAbort);
+      }
+
+      queue.push(job);
+      dispatch();
+    });
+
+  const terminate = () => {
+    slots.splice(0).forEach((slot) => {
+      slot.worker.terminate();
+      if (slot.job) slot.job.reject(createAbortError());
+    });
+    queue.splice(0).forEach((job) => job.reject(createAbortError()));
+    if (scriptUrl) URL.revokeObjectURL(scriptUrl);
+    scriptUrl = null;
+  };
+
+  return { run, terminate, size };
+}
+
+let defaultPool = null;
+
+// Without workers, the function runs on the main thread after the current render, with the same promise-based API.
+const runOnMainThread = (fn, args, { signal } = {}) =>
+  new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    queueMicrotask(() => {
+      if (signal && signal.aborted) {
+        reject(createAbortError());
+        return;
+      }
+      try {
+        Promise.resolve(fn(...args)).then(resolve, reject);
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+
+/**
+ * runInWorker
+ *
+ * Runs `fn(...args)` in a worker from `pool` (a shared default pool unless one is passed) and returns a promise for the result.
+ * Falls back to running `fn` on the main thread when workers are not supported.
+ */
+export function runInWorker(fn, args = [], { pool, signal, transfer } = {}) {
+  if (!isWorkerSupported()) return runOnMainThread(fn, args, { signal });
+  if (!pool) {
+    if (!defaultPool) defaultPool = createWorkerPool();
+    pool = defaultPool;
+  }
+  return pool.run(fn, args, { signal, transfer });
+}
+
+const areDepsEqual = (a, b) =>
+  a !== null &&
+  a.length === b.length &&
+  a.every((value, index) => Object.is(value, b[index]));
+
+/**
+ * useWorkerMemo
+ *
+ * Runs `fn(...deps)` in a worker whenever `deps` change and returns `{ result, isPending, error }`.
+ * While a new result is computed, `result` keeps the previous one (or `initialValue`) and `isPending` is `true`.
+ * Jobs for outdated `deps` are cancelled. `fn` must be self-contained: only `deps` are passed to it.
+ */
+export function useWorkerMemo(fn, deps, { initialValue, pool, transfer } = {}) {
+  const [state, setState] = useState({
+    result: initialValue,
+    error: null,
+    settledDeps: null,
+  });
+  const fnRef = useRef(fn);
+  fnRef.current = fn;
+
+  // Like `useMemo`, `deps` are compared item by item; `currentDeps` only changes identity when one of them changed.
+  const depsRef = useRef(deps);
+  if (!areDepsEqual(depsRef.current, deps)) depsRef.current = deps;
+  const currentDeps = depsRef.current;
+
+  useEffect(() => {
+    const controller = new AbortController();
+    runInWorker(fnRef.current, currentDeps, {
+      pool,
+      transfer,
+      signal: controller.signal,
+    }).then(
+      (result) =>
+        startTransition(() =>
+          setState({ result, error: null, settledDeps: currentDeps })
+        ),
+      (error) => {
+        if (error.name === "AbortError") return;
+        startTransition(() =>
+          setState((prevState) => ({
+            ...prevState,
+            error,
+            settledDeps: currentDeps,
+          }))
+        );
+      }
+    );
+    return () => controller.abort();
+    // `fn` is read from a ref, so only new `deps` or pool options start a new job.
+  }, [currentDeps, pool, transfer]);
+
+  return {
+    result: state.result,
+    error: state.error,
+    isPending: !areDepsEqual(state.settledDeps, deps),
+  };
+}
+
+/**
+ * useWorker
+ *
+ * Returns `{ run, cancel, result, isPending, error }`. `run(...args)` runs `fn` in a worker, cancels the previous run if it is
+ * still going, and returns a promise for the result. `fn` must be self-contained: only the arguments of `run` are passed to it.
+ */
+export function useWorker(fn, { pool, transfer } = {}) {
+  const [state, setState] = useState({
+    result: undefined,
+    error: null,
+    isPending: false,
+  });
+  const controllerRef = useRef(null);
+  const fnRef = useRef(fn);
+  fnRef.current = fn;
+
+  const cancel = useCallback(() => {
+    if (!controllerRef.current) return;
+    controllerRef.current.abort();
+    controllerRef.current = null;
+    setState((prevState) => ({ ...prevState, isPending: false }));
+  }, []);
+
+  const run = useCallback(
+    (...args) => {
+      if (controllerRef.current) controllerRef.current.abort();
+      const controller = new AbortController();
+      controllerRef.current = controller;
+      setState((prevState) => ({ ...prevState, isPending: true }));
+
+      const promise = runInWorker(fnRef.current, args, {
+        pool,
+        transfer,
+        signal: controller.signal,
+      });
+      // Handling the promise here means callers can ignore it without causing unhandled rejections.
+      promise.then(
+        (result) => {
+          if (controllerRef.current !== controller) return;
+          controllerRef.current = null;
+          startTransition(() =>
+            setState({ result, error: null, isPending: false })
+          );
+        },
+        (error) => {
+          if (controllerRef.current !== controller) return;
+          controllerRef.current = null;
+          setState((prevState) => ({ ...prevState, error, isPending: false }));
+        }
+      );
+      return promise;
+    },
+    [pool, transfer]
+  );
+
+  // Cancel the running job when the component unmounts.
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  return { run, cancel, ...state };
+}
+
+/**
+ * Example 1: Filtering a Large List Off the Main Thread
+ *
+ * This example filters 100,000 strings with `useWorkerMemo`. The input never waits for the filter:
+ * while it runs, the previous results stay visible and dimmed, and typing again cancels the outdated job.
+ * The strings are shared with `shareWithWorkers`, so they are copied to each worker once instead of on every keystroke.
+ *
+ * Use Case: Useful for searching or filtering large datasets on the client.
+ */
+const manyItems = shareWithWorkers(
+  Array.from(
+    { length: 100000 },
+    (_, index) => `Record ${index + 1} - ${(index * 7919) % 100000}`
+  )
+);
+
+// Runs in the worker, so it can only use its arguments.
+const filterRecords = (items, filter) =>
+  items.filter((item) => item.includes(filter)).slice(0, 100);
+
+function WorkerFilterExample() {
+  const [filter, setFilter] = useState("");
+  const {
+    result = [],
+    isPending,
+    error,
+  } = useWorkerMemo(filterRecords, [manyItems, filter]);
+
+  return (
+    <div>
+      <h1>useWorkerMemo Example - Filtering 100,000 Items</h1>
+      <input
+        value={filter}
+        onChange={(e) => setFilter(e.target.value)}
+        placeholder="Type a number..."
+      />
+      {isPending && <span> Filtering...</span>}
+      {error && <p>Filtering failed: {error.message}</p>}
+      <ul style={{ opacity: isPending ? 0.5 : 1 }}>
+        {result.map((item) => (
+          <li key={item}>{item}</li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+/**
+ * Example 2: Processing Binary Data on Demand
+ *
+ * This example computes a histogram of one million random bytes when the button is clicked.
+ * The bytes are transferred to the worker instead of copied (`transfer: true`), so they are generated again for every run.
+ * Clicking again while a run is in progress cancels it.
+ *
+ * Use Case: Useful for image, audio or file processing triggered by the user.
+ */
+const computeHistogram = (bytes) => {
+  const buckets = new Array(8).fill(0);
+  for (let i = 0; i < bytes.length; i++) buckets[bytes[i] >> 5]++;
+  return buckets;
+};
+
+function HistogramExample() {
+  const { run, cancel, result, isPending, error } = useWorker(
+    computeHistogram,
+    { transfer: true }
+  );
+
+  const handleRun = () => {
+    const bytes = new Uint8Array(1000000);
+    for (let i = 0; i < bytes.length; i++) bytes[i] = Math.random() * 256;
+    run(bytes);
+  };
+
+  return (
+    <div>
+      <h1>useWorker Example - Histogram</h1>
+      <button onClick={handleRun}>Compute histogram</button>
+      <button onClick={cancel} disabled={!isPending}>
+        Cancel
+      </button>
+      {isPending && <p>Computing...</p>}
+      {error && <p>Failed: {error.message}</p>}
+      {result && (
+        <ol start={0}>
+          {result.map((count, index) => (
+            <li key={index}>
+              Bytes {index * 32}-{index * 32 + 31}: {count}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+// Combine all components into a single display
+function App() {
+  return (
+    <div>
+      <h1>useWorker Examples</h1>
+      <WorkerFilterExample />
+      <hr />
+      <HistogramExample />
+    </div>
+  );
+}
+
+export default App;
@@ -22,7 +22,17 @@
  * - `useMemo`: `useMemo` is used to memoize values, while `useCallback` is used to memoize functions. Use `useCallback` when you need a stable function reference and `useMemo` when you need a stable value.
  */
 
-import React, { useState, useCallback, useMemo } from "react";
+import React, { useState, useCallback, useEffect, useMemo } from "react";
+import {
+  createMockChatServer,
+  getChatConnection,
+} from "../custom-hooks/useChatRoom";
+import {
+  ProfilerSummary,
+  RenderProfiler,
+  useRenderCount,
+  useWhyDidYouRender,
+} from "../components/RenderProfiler";
 
 /**
  * Example 1: Basic useCallback with React.memo
@@ -79,13 +89,15 @@ function TodoApp() {
  * A memoized callback (`createOptions`) is used inside the effect, ensuring that the effect only runs when the `roomId` changes.
  *
  * Use Case: Useful when passing functions as dependencies to useEffect, ensuring that the effect does not trigger unless necessary.
+ * To show and send messages, use the `useChatRoom` custom hook, which wraps the same connection in a single hook call.
  */
 function ChatRoom({ roomId }) {
   const [message, setMessage] = useState("");
 
   const createOptions = useCallback(() => {
+    // Shared connections are keyed by URL, so this file's mock server gets a URL of its own.
     return {
-      serverUrl: "https://localhost:1234",
+      serverUrl: "ws://mock-chat/use-callback",
       roomId: roomId,
     };
   }, [roomId]); // `createOptions` will only change if `roomId` changes.
@@ -117,16 +129,22 @@ function ChatRoom({ roomId }) {
  * Example 3: Optimizing List Rendering with useCallback
  *
  * This example uses `useCallback` to optimize rendering of a list with item actions.
- * Each `Item` component receives a memoized function, ensuring that only the changed item re-renders.
+ * Each `Item` component receives the same memoized function and passes its own id to it, so renaming one item only re-renders that item.
+ * The list is wrapped in a `RenderProfiler` (see `components/RenderProfiler.jsx`), and the summary table shows the renders of each item
+ * instead of `console.log` output. Passing `onClick={() => handleItemClick(item.id)}` instead would create a new function on every render
+ * and show up as identity-only renders for every item.
  *
  * Use Case: Useful when rendering lists with item actions to prevent all items from re-rendering unnecessarily.
  */
 const Item = React.memo(({ item, onClick }) => {
-  console.log(`Rendering Item ${item.id}`);
+  useWhyDidYouRender(`Item ${item.id}`, { item, onClick });
+  const renders = useRenderCount();
   return (
     <div>
-      <p>{item.name}</p>
-      <button onClick={onClick}>Action</button>
+      <p>
+        {item.name} (rendered {renders} times)
+      </p>
+      <button onClick={() => onClick(item.id)}>Action</button>
     </div>
   );
 });
@@ -142,16 +160,27 @@ function ItemList() {
     console.log(`Clicked item ${id}`);
   }, []); // Function reference remains the same for all items.
 
+  const renameFirstItem = () => {
+    // Only the first item gets a new object; the others keep their identity and skip rendering.
+    setItems((prevItems) =>
+      prevItems.map((item) =>
+        item.id === 1 ? { ...item, name: `${item.name}!` } : item
+      )
+    );
+  };
+
   return (
     <div>
       <h1>Item List with useCallback Example</h1>
-      {items.map((item) => (
-        <Item
-          key={item.id}
-          item={item}
-          onClick={() => handleItemClick(item.id)}
-        />
-      ))}
+      <button onClick={renameFirstItem}>Rename Item 1</button>
+      <RenderProfiler id="ItemList">
+        {items.map((item) => (
+          <Item key={item.id} item={item} onClick={handleItemClick} />
+        ))}
+      </RenderProfiler>
+      <ProfilerSummary
+        ids={["ItemList", ...items.map((item) => `Item ${item.id}`)]}
+      />
     </div>
   );
 }
@@ -207,12 +236,24 @@ function App() {
   );
 }
 
-// Simulate a connection API for demonstration purposes.
-function createConnection(options) {
-  console.log("Connecting to server with options:", options);
+// Connects to a chat room through the shared connection manager from `custom-hooks/useChatRoom.jsx`.
+// The demo talks to an in-memory mock server; drop the `WebSocket` option to connect to a real server.
+const mockChatServer = createMockChatServer();
+
+function createConnection({ serverUrl, roomId }) {
+  let unsubscribe = null;
   return {
-    connect: () => console.log("Connected to server"),
-    disconnect: () => console.log("Disconnected from server"),
+    connect: () => {
+      console.log(`Joining room ${roomId} on ${serverUrl}`);
+      unsubscribe = getChatConnection(serverUrl, {
+        WebSocket: mockChatServer.WebSocket,
+      }).subscribe(roomId, (message) => console.log("Received:", message));
+    },
+    disconnect: () => {
+      console.log(`Leaving room ${roomId}`);
+      if (unsubscribe) unsubscribe();
+      unsubscribe = null;
+    },
   };
 }
 
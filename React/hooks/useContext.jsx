@@ -25,6 +25,19 @@
  */
 
 import React, { useState, useContext, createContext } from "react";
+import { ErrorBoundary } from "../components/ErrorBoundary";
+import {
+  AuthProvider,
+  RequireAuth,
+  createMockAuthApi,
+  useAuth,
+} from "../custom-hooks/useAuth";
+import { ThemeProvider, useTheme } from "../custom-hooks/useTheme";
+import { I18nProvider, useTranslation } from "../custom-hooks/useTranslation";
+import {
+  createSelectableContext,
+  useContextSelector,
+} from "../custom-hooks/useContextSelector";
 
 /**
  * Example 1: Basic useContext Usage
@@ -91,38 +104,34 @@ function Component5() {
  * Example 2: Updating Context Value
  *
  * This example shows how to use `useContext` to consume and update context values.
- * A `ThemeContext` is created to toggle between light and dark themes.
+ * `ThemeProvider` (see `custom-hooks/useTheme.jsx`) shares the theme mode and its setter, and `ThemeSwitcher` reads them with `useTheme`.
+ * The colors come from design tokens exposed as CSS variables, so the component follows the theme without any conditional styles.
+ * The provider is `scoped` and has its own `storageKey`, so switching here restyles only this example and keeps the choice made in `useTheme.jsx`.
  *
  * Use Case: Useful when you need to change a shared state (like a theme) and update all components that depend on it.
  */
-const ThemeContext = createContext();
-
 function ThemeComponent() {
-  const [theme, setTheme] = useState("light");
-
   return (
-    <ThemeContext.Provider value={{ theme, setTheme }}>
-      <div
-        style={{
-          background: theme === "light" ? "#fff" : "#333",
-          color: theme === "light" ? "#000" : "#fff",
-        }}
-      >
-        <h1>Theme Component</h1>
-        <p>The current theme is {theme}</p>
-        <ThemeSwitcher />
-      </div>
-    </ThemeContext.Provider>
+    <ThemeProvider scoped storageKey="use-context-example-theme">
+      <h1>Theme Component</h1>
+      <ThemeSwitcher />
+    </ThemeProvider>
   );
 }
 
 function ThemeSwitcher() {
-  const { theme, setTheme } = useContext(ThemeContext);
+  const { mode, setMode, resolvedTheme } = useTheme();
+  const nextMode = { light: "dark", dark: "system", system: "light" }[mode];
 
   return (
-    <button onClick={() => setTheme(theme === "light" ? "dark" : "light")}>
-      Switch to {theme === "light" ? "dark" : "light"} theme
-    </button>
+    <div>
+      <p>
+        The current theme is {resolvedTheme} ({mode} mode)
+      </p>
+      <button onClick={() => setMode(nextMode)}>
+        Switch to {nextMode} mode
+      </button>
+    </div>
   );
 }
 
@@ -130,20 +139,30 @@ function ThemeSwitcher() {
  * Example 3: Multiple Context Providers
  *
  * This example demonstrates how to use multiple context providers to pass different types of context values.
+ * The language is provided by `I18nProvider` (see `custom-hooks/useTranslation.jsx`), which loads the catalog for the selected
+ * language from `React/locales` and translates the labels with `t`.
+ * The theme is provided through a selectable context (see `custom-hooks/useContextSelector.jsx`), so `MultiContextChild` only
+ * re-renders when the `theme` field it selects changes.
  *
  * Use Case: Useful for managing different kinds of global state, such as user info and theme, separately.
  */
-const LanguageContext = createContext();
+const ThemeContext = createSelectableContext(null, "ThemeContext");
 
-function MultiContextComponent() {
-  const [language, setLanguage] = useState("English");
+// Defined once, so the provider value keeps its identity between renders.
+const themeValue = { theme: "light", setTheme: () => {} };
+
+const loadMessages = (locale) => import(`../locales/${locale}.json`);
 
+function MultiContextComponent() {
   return (
     <UserContext.Provider value="John Doe">
-      <ThemeContext.Provider value={{ theme: "light", setTheme: () => {} }}>
-        <LanguageContext.Provider value={{ language, setLanguage }}>
+      <ThemeContext.Provider value={themeValue}>
+        <I18nProvider
+          loadMessages={loadMessages}
+          fallback={<p>Loading translations...</p>}
+        >
           <MultiContextChild />
-        </LanguageContext.Provider>
+        </I18nProvider>
       </ThemeContext.Provider>
     </UserContext.Provider>
   );
@@ -151,21 +170,17 @@ function MultiContextComponent() {
 
 function MultiContextChild() {
   const user = useContext(UserContext);
-  const { theme } = useContext(ThemeContext);
-  const { language, setLanguage } = useContext(LanguageContext);
+  const theme = useContextSelector(ThemeContext, (value) => value.theme);
+  const { t, locale, setLocale } = useTranslation();
 
   return (
     <div>
       <h1>Multi-Context Component</h1>
-      <p>{`User: ${user}`}</p>
-      <p>{`Theme: ${theme}`}</p>
-      <p>{`Language: ${language}`}</p>
-      <button
-        onClick={() =>
-          setLanguage(language === "English" ? "Spanish" : "English")
-        }
-      >
-        Switch Language
+      <p>{t("user", { name: user })}</p>
+      <p>{t("theme", { theme })}</p>
+      <p>{t("language", { language: locale })}</p>
+      <button onClick={() => setLocale(locale === "en" ? "es" : "en")}>
+        {t("switchLanguage")}
       </button>
     </div>
   );
@@ -175,47 +190,48 @@ function MultiContextChild() {
  * Example 4: Context with a Custom Hook
  *
  * This example shows how to create a custom hook (`useAuth`) to simplify context usage.
+ * `AuthProvider` and `useAuth` live in `custom-hooks/useAuth.jsx`: the context holds the signed-in user and their tokens,
+ * and `RequireAuth` only renders its children for users with the right role.
+ * The provider uses its own `storageKey` and `channelName`, so signing in here does not sign in the example in `useAuth.jsx`.
  *
  * Use Case: Useful when you want to encapsulate context logic and access it through a custom hook.
  */
-const AuthContext = createContext();
-
-function useAuth() {
-  const context = useContext(AuthContext);
-  if (!context) {
-    throw new Error("useAuth must be used within an AuthProvider");
-  }
-  return context;
-}
-
-function AuthProvider({ children }) {
-  const [isAuthenticated, setAuthenticated] = useState(false);
-
-  const login = () => setAuthenticated(true);
-  const logout = () => setAuthenticated(false);
-
-  return (
-    <AuthContext.Provider value={{ isAuthenticated, login, logout }}>
-      {children}
-    </AuthContext.Provider>
-  );
-}
+const authApi = createMockAuthApi({
+  users: {
+    alice: { password: "secret", roles: ["admin"], permissions: ["read"] },
+  },
+  tokenLifetime: 20000,
+});
 
 function AuthComponent() {
-  const { isAuthenticated, login, logout } = useAuth();
+  const { isAuthenticated, user, error, login, logout } = useAuth();
+
+  // A failed login is shown from `error`, so the rejected promise only needs to be handled.
+  const handleLogin = () => {
+    login({ username: "alice", password: "secret" }).catch(() => {});
+  };
 
   return (
     <div>
       <h1>Authentication Component</h1>
       <p>{`Authenticated: ${isAuthenticated}`}</p>
-      <button onClick={isAuthenticated ? logout : login}>
+      {user && <p>{`Signed in as ${user.name}`}</p>}
+      {error && <p role="alert">{error.message}</p>}
+      <button onClick={isAuthenticated ? logout : handleLogin}>
         {isAuthenticated ? "Logout" : "Login"}
       </button>
+      <RequireAuth
+        roles={["admin"]}
+        fallback={<p>Log in to see admin tools.</p>}
+      >
+        <p>Admin tools are visible.</p>
+      </RequireAuth>
     </div>
   );
 }
 
 // Combine all components into a single display
+// The ErrorBoundary shows a fallback instead of a blank page if `AuthComponent` is rendered outside `AuthProvider`.
 function App() {
   return (
     <div>
@@ -226,9 +242,16 @@ function App() {
       <hr />
       <MultiContextComponent />
       <hr />
-      <AuthProvider>
-        <AuthComponent />
-      </AuthProvider>
+      <ErrorBoundary>
+        <AuthProvider
+          api={authApi}
+          refreshMargin={5000}
+          storageKey="use-context-example-session"
+          channelName="use-context-example-auth"
+        >
+          <AuthComponent />
+        </AuthProvider>
+      </ErrorBoundary>
     </div>
   );
 }
@@ -23,38 +23,19 @@
  * - `useContext`: `useContext` can also help display contextual information, but it does so by providing direct access to context values, not by formatting or labeling.
  */
 
-import React, { useState, useEffect, useDebugValue } from "react";
+import React, { useState, useDebugValue } from "react";
+import { useOnlineStatus } from "../custom-hooks/useEventListener";
+import { useInterval } from "../custom-hooks/useInterval";
 
 /**
  * Example 1: Basic useDebugValue with a Custom Hook
  *
  * This example demonstrates how to use `useDebugValue` to label a custom hook's value.
  * The `useOnlineStatus` hook checks if the user is online or offline, and the hook's status is displayed in React DevTools as `OnlineStatus: "Online"` or `OnlineStatus: "Offline"`.
+ * The hook is shared with the other examples and lives in `custom-hooks/useEventListener.jsx`, where it calls `useDebugValue(isOnline ? "Online" : "Offline")`.
  *
  * Use Case: Useful for monitoring the state of custom hooks in shared libraries or components.
  */
-function useOnlineStatus() {
-  const [isOnline, setIsOnline] = useState(navigator.onLine);
-
-  useEffect(() => {
-    const setOnline = () => setIsOnline(true);
-    const setOffline = () => setIsOnline(false);
-
-    window.addEventListener("online", setOnline);
-    window.addEventListener("offline", setOffline);
-
-    return () => {
-      window.removeEventListener("online", setOnline);
-      window.removeEventListener("offline", setOffline);
-    };
-  }, []);
-
-  // Display the online status in React DevTools.
-  useDebugValue(isOnline ? "Online" : "Offline");
-
-  return isOnline;
-}
-
 function OnlineStatusComponent() {
   const isOnline = useOnlineStatus();
 
@@ -77,11 +58,8 @@ function OnlineStatusComponent() {
 function useDate() {
   const [date, setDate] = useState(new Date());
 
-  useEffect(() => {
-    const timer = setInterval(() => setDate(new Date()), 1000);
-
-    return () => clearInterval(timer);
-  }, []);
+  // The interval is set up and cleared by `useInterval` (see `custom-hooks/useInterval.jsx`).
+  useInterval(() => setDate(new Date()), 1000);
 
   // Format the date only when inspected in DevTools to avoid unnecessary computations.
   useDebugValue(date, (d) => d.toLocaleTimeString());
@@ -24,26 +24,52 @@
  */
 
 import React, { useState, useDeferredValue, useMemo, memo } from "react";
+import { VirtualList } from "../components/VirtualList";
+import {
+  ProfilerSummary,
+  RenderProfiler,
+  useRenderCount,
+} from "../components/RenderProfiler";
+import {
+  Highlight,
+  getMatchIndices,
+  useSearch,
+} from "../custom-hooks/useSearch";
 
 /**
  * Example 1: Basic useDeferredValue Usage with Search Input
  *
  * This example demonstrates how `useDeferredValue` can be used to show stale content while new content is loading.
  * When typing in the search box, the input updates immediately, but the displayed search results are deferred.
+ * The search itself is done by `useSearch` (see `custom-hooks/useSearch.jsx`), which defers the query with `useDeferredValue`,
+ * tolerates typos ("bnana") and unfinished words, and returns the matched ranges that `<Highlight>` marks.
  *
  * Use Case: Useful when managing text input, such as filtering a list or searching, where the input should update immediately while the filtered results can update later.
  */
-function SearchPage() {
-  const [query, setQuery] = useState("");
-  const deferredQuery = useDeferredValue(query);
+const fruits = [
+  "Apple",
+  "Apricot",
+  "Banana",
+  "Blackberry",
+  "Blueberry",
+  "Cherry",
+  "Grape",
+  "Grapefruit",
+  "Kiwi",
+  "Lemon",
+  "Mango",
+  "Orange",
+  "Papaya",
+  "Peach",
+  "Pear",
+  "Pineapple",
+  "Raspberry",
+  "Strawberry",
+  "Watermelon",
+];
 
-  const filteredResults = useMemo(() => {
-    const results = ["Apple", "Banana", "Orange", "Grape", "Watermelon"];
-    console.log("Filtering results for query:", deferredQuery);
-    return results.filter((item) =>
-      item.toLowerCase().includes(deferredQuery.toLowerCase())
-    );
-  }, [deferredQuery]);
+function SearchPage() {
+  const { query, setQuery, results } = useSearch(fruits);
 
   return (
     <div>
@@ -55,10 +81,12 @@ function SearchPage() {
         placeholder="Search for a fruit..."
       />
       <h2>Search Results</h2>
-      {filteredResults.length > 0 ? (
+      {results.length > 0 ? (
         <ul>
-          {filteredResults.map((result, index) => (
-            <li key={index}>{result}</li>
+          {results.map((result) => (
+            <li key={result.refIndex}>
+              <Highlight text={result.item} indices={getMatchIndices(result)} />
+            </li>
           ))}
         </ul>
       ) : (
@@ -73,22 +101,28 @@ function SearchPage() {
  *
  * This example uses `useDeferredValue` to visually indicate when the displayed content is stale.
  * The opacity of the results changes to indicate that the content is being updated.
+ * `useSearch` reports `isStale` when the deferred query lags behind the input. The animals are searched by name and habitat,
+ * and a match in the name counts twice as much, so "lion" lists the lion before animals that only live near lions.
  *
  * Use Case: Useful for showing the user that the displayed results are out of sync with the input while new results are being loaded.
  */
-function SearchWithStaleIndicator() {
-  const [query, setQuery] = useState("");
-  const deferredQuery = useDeferredValue(query);
+const animals = [
+  { name: "Cat", habitat: "Homes and farms" },
+  { name: "Dog", habitat: "Homes and farms" },
+  { name: "Elephant", habitat: "African savanna and Asian forests" },
+  { name: "Giraffe", habitat: "African savanna, next to lions" },
+  { name: "Lion", habitat: "African savanna" },
+  { name: "Sea Lion", habitat: "Pacific coast" },
+  { name: "Polar Bear", habitat: "Arctic sea ice" },
+  { name: "Penguin", habitat: "Antarctic coast" },
+];
 
-  const filteredResults = useMemo(() => {
-    const results = ["Cat", "Dog", "Elephant", "Giraffe", "Lion"];
-    console.log("Filtering results for query:", deferredQuery);
-    return results.filter((item) =>
-      item.toLowerCase().includes(deferredQuery.toLowerCase())
-    );
-  }, [deferredQuery]);
+const animalKeys = [{ name: "name", weight: 2 }, "habitat"];
 
-  const isStale = query !== deferredQuery;
+function SearchWithStaleIndicator() {
+  const { query, setQuery, results, isStale } = useSearch(animals, {
+    keys: animalKeys,
+  });
 
   return (
     <div>
@@ -101,10 +135,23 @@ function SearchWithStaleIndicator() {
       />
       <div style={{ opacity: isStale ? 0.5 : 1 }}>
         <h2>Search Results</h2>
-        {filteredResults.length > 0 ? (
+        {results.length > 0 ? (
           <ul>
-            {filteredResults.map((result, index) => (
-              <li key={index}>{result}</li>
+            {results.map((result) => (
+              <li key={result.refIndex}>
+                <Highlight
+                  text={result.item.name}
+                  indices={getMatchIndices(result, "name")}
+                />{" "}
+                <small>
+                  (
+                  <Highlight
+                    text={result.item.habitat}
+                    indices={getMatchIndices(result, "habitat")}
+                  />
+                  )
+                </small>
+              </li>
             ))}
           </ul>
         ) : (
@@ -123,9 +170,16 @@ function SearchWithStaleIndicator() {
  * The list component (`SlowList`) updates at a slower pace, allowing the input field to remain responsive.
  *
  * Use Case: Useful when rendering complex or large lists that can block the main thread and cause the UI to freeze.
+ *
+ * The list is wrapped in a `RenderProfiler` (see `components/RenderProfiler.jsx`). The summary table shows that `SlowList` commits far less often
+ * than the input changes, and how long each of those commits takes.
+ *
+ * Note: Deferring only hides the cost of rendering 10,000 rows. `VirtualListWithDeferredValue` below removes most of that cost.
+ * Moving the work to a Web Worker (see `custom-hooks/useWorker.jsx`) would not help here: building the strings is cheap,
+ * and rendering the DOM nodes, which is the slow part, can only happen on the main thread.
  */
 const SlowList = memo(({ text }) => {
-  console.log("Rendering SlowList...");
+  useRenderCount("SlowList");
   const items = Array.from(
     { length: 10000 },
     (_, index) => `${text} - Item ${index + 1}`
@@ -142,6 +196,45 @@ const SlowList = memo(({ text }) => {
   );
 });
 
+/**
+ * Example 4: Virtualizing the Slow List
+ *
+ * This example renders the same 10,000 items with `VirtualList` (see `components/VirtualList.jsx`).
+ * Only the visible rows are rendered, so each update is cheap and the deferred list catches up almost immediately.
+ *
+ * Use Case: Useful when a list is too large to render in full, even in the background.
+ */
+function VirtualListWithDeferredValue() {
+  const [text, setText] = useState("");
+  const deferredText = useDeferredValue(text);
+  const items = useMemo(
+    () =>
+      Array.from(
+        { length: 10000 },
+        (_, index) => `${deferredText} - Item ${index + 1}`
+      ),
+    [deferredText]
+  );
+
+  return (
+    <div>
+      <h1>useDeferredValue Example - Virtualized List</h1>
+      <input
+        type="text"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        placeholder="Type here to see deferred updates"
+      />
+      <VirtualList
+        items={items}
+        height="300px"
+        itemSize={24}
+        renderItem={(item) => item}
+      />
+    </div>
+  );
+}
+
 function App() {
   const [text, setText] = useState("");
   const deferredText = useDeferredValue(text);
@@ -161,8 +254,13 @@ function App() {
           onChange={(e) => setText(e.target.value)}
           placeholder="Type here to see deferred updates"
         />
-        <SlowList text={deferredText} />
+        <RenderProfiler id="SlowList">
+          <SlowList text={deferredText} />
+        </RenderProfiler>
+        <ProfilerSummary ids={["SlowList"]} />
       </div>
+      <hr />
+      <VirtualListWithDeferredValue />
     </div>
   );
 }
@@ -24,35 +24,48 @@
  */
 
 import React, { useState, useEffect } from "react";
+import {
+  fetchFakeBio,
+  useQuery,
+  useQueryCache,
+} from "../custom-hooks/useQuery";
+import { ErrorBoundary, useErrorBoundary } from "../components/ErrorBoundary";
 
 /**
- * Example 1: Basic useEffect for Data Fetching
+ * Example 1: Data Fetching on Mount
  *
- * This example demonstrates how to use `useEffect` to fetch data from an API when the component first mounts.
- * The `useEffect` hook runs once after the initial render because the dependency array is empty.
+ * This example fetches a list of posts when the component first mounts.
+ * Fetching in a bare `useEffect` needs state for the data, the error and the loading flag, plus cleanup for responses that arrive too late.
+ * The `useQuery` custom hook (see `custom-hooks/useQuery.jsx`) runs that effect for you, and adds retries, caching and request cancellation.
  *
  * Use Case: Ideal for fetching data on component load, such as user information or a list of items.
  */
-function DataFetcher() {
-  const [data, setData] = useState(null);
+async function fetchJson({ key, signal }) {
+  const [url] = key;
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`Request failed with status ${response.status}`);
+  }
+  return response.json();
+}
 
-  useEffect(() => {
-    fetch("https://jsonplaceholder.typicode.com/posts")
-      .then((response) => response.json())
-      .then((data) => setData(data));
-  }, []); // Empty array means this useEffect runs only once when the component mounts.
+function DataFetcher() {
+  const { data, error, isLoading } = useQuery(
+    ["https://jsonplaceholder.typicode.com/posts"],
+    fetchJson
+  );
 
   return (
     <div>
       <h1>Data Fetcher</h1>
-      {data ? (
+      {isLoading && <p>Loading data...</p>}
+      {error && <p>Could not load data: {error.message}</p>}
+      {data && (
         <ul>
           {data.slice(0, 5).map((item) => (
             <li key={item.id}>{item.title}</li>
           ))}
         </ul>
-      ) : (
-        <p>Loading data...</p>
       )}
     </div>
   );
@@ -63,6 +76,7 @@ function DataFetcher() {
  *
  * This example demonstrates how to use `useEffect` to set up and clean up a timer.
  * The cleanup function ensures that the timer is cleared when the component unmounts to avoid memory leaks.
+ * For timers in real components, `useInterval` and `useTimeout` (see `custom-hooks/useInterval.jsx`) package this effect and its cleanup.
  *
  * Use Case: Useful when setting up subscriptions or timers that need to be cleared when the component unmounts.
  */
@@ -111,33 +125,26 @@ function CalculationEffect() {
 }
 
 /**
- * Example 4: useEffect with Async Data Fetching and Cleanup
+ * Example 4: Async Data Fetching with Cancellation
  *
- * This example shows how to use `useEffect` to fetch data asynchronously and handle cleanup to prevent memory leaks.
- * If the component unmounts before the data is fetched, the cleanup function ensures that the state update is prevented.
+ * This example loads the bio of the selected person with `useQuery`. Switching the person aborts the previous request
+ * through its `AbortController`, so a slow response for Alice can never overwrite Bob's bio.
+ * The bios come from `fetchFakeBio` in `custom-hooks/useQuery.jsx`, which resolves after a delay and sometimes fails, so no network is needed.
  *
- * Use Case: Useful when dealing with async operations that may complete after the component unmounts.
+ * Use Case: Useful when dealing with async operations that may complete after the inputs changed or the component unmounted.
+ * Failed requests are passed to the surrounding `ErrorBoundary` with `useErrorBoundary` (see `components/ErrorBoundary.jsx`);
+ * the effect that does this runs whenever `error` changes. The boundary's `onReset` clears the cached bios, so "Try again" fetches them again
+ * instead of reporting the same error.
  */
 function AsyncDataFetcher() {
   const [person, setPerson] = useState("Alice");
-  const [bio, setBio] = useState(null);
+  const { data: bio, error } = useQuery(["bio", person], fetchFakeBio);
+  const { showBoundary } = useErrorBoundary();
 
+  // Errors in async code are not caught by error boundaries, so they are passed to the nearest one explicitly.
   useEffect(() => {
-    let ignore = false;
-    async function fetchBio() {
-      const response = await fetch(`https://api.example.com/bio/${person}`);
-      const result = await response.json();
-      if (!ignore) {
-        setBio(result);
-      }
-    }
-    fetchBio();
-
-    // Cleanup function to ignore setting state if the component unmounts.
-    return () => {
-      ignore = true;
-    };
-  }, [person]); // The effect will re-run only when `person` changes.
+    if (error) showBoundary(error);
+  }, [error, showBoundary]);
 
   return (
     <div>
@@ -175,6 +182,8 @@ function ConditionalEffect() {
 
 // Combine all components into a single display
 function App() {
+  const queryCache = useQueryCache();
+
   return (
     <div>
       <h1>React useEffect Examples</h1>
@@ -184,7 +193,9 @@ function App() {
       <hr />
       <CalculationEffect />
       <hr />
-      <AsyncDataFetcher />
+      <ErrorBoundary onReset={() => queryCache.resetQueries(["bio"])}>
+        <AsyncDataFetcher />
+      </ErrorBoundary>
       <hr />
       <ConditionalEffect />
     </div>
@@ -25,6 +25,8 @@
  */
 
 import React, { useRef, useImperativeHandle, forwardRef } from "react";
+import { Modal } from "../components/Modal";
+import { useSpring } from "../custom-hooks/useAnimation";
 
 /**
  * Example 1: Basic useImperativeHandle Usage
@@ -79,27 +81,11 @@ function ParentComponent() {
  * Example 2: Exposing Multiple Methods from a Custom Component
  *
  * This example shows how to use `useImperativeHandle` to expose multiple methods like `open`, `close`, and `toggle` from a custom component.
- * The `Modal` component uses `useImperativeHandle` to provide an API for controlling its visibility.
+ * The `Modal` component (see `components/Modal.jsx`) uses `useImperativeHandle` to provide an API for controlling its visibility.
+ * It also renders through a portal, traps focus, closes on Escape and restores focus to the button that opened it.
  *
  * Use Case: Useful when building reusable components that need to be controlled imperatively from parent components.
  */
-const Modal = forwardRef((props, ref) => {
-  const [isOpen, setIsOpen] = React.useState(false);
-
-  useImperativeHandle(ref, () => ({
-    open: () => setIsOpen(true),
-    close: () => setIsOpen(false),
-    toggle: () => setIsOpen((prev) => !prev),
-  }));
-
-  return isOpen ? (
-    <div className="modal">
-      <p>Modal Content</p>
-      <button onClick={() => setIsOpen(false)}>Close</button>
-    </div>
-  ) : null;
-});
-
 function ModalController() {
   const modalRef = useRef(null);
 
@@ -109,7 +95,9 @@ function ModalController() {
       <button onClick={() => modalRef.current?.open()}>Open Modal</button>
       <button onClick={() => modalRef.current?.close()}>Close Modal</button>
       <button onClick={() => modalRef.current?.toggle()}>Toggle Modal</button>
-      <Modal ref={modalRef} />
+      <Modal ref={modalRef} title="Modal Content">
+        <p>This dialog is controlled through its ref handle.</p>
+      </Modal>
     </div>
   );
 }
@@ -156,31 +144,36 @@ function ButtonController() {
  * Example 4: Managing Animation Control with useImperativeHandle
  *
  * This example uses `useImperativeHandle` to control a simple animation component. The exposed methods start and stop the animation.
+ * The box is animated with the `useSpring` hook (see `custom-hooks/useAnimation.jsx`): clicking "Stop Animation" while the box
+ * is still moving turns it around smoothly, and users who prefer reduced motion see it jump to the end instead.
  *
  * Use Case: Useful for controlling animations or triggering visual changes in a component.
  */
 const AnimatedBox = forwardRef((props, ref) => {
-  const boxRef = useRef(null);
+  const box = useSpring(
+    { x: 0 },
+    { style: ({ x }) => ({ transform: `translateX(${x}px)` }) }
+  );
 
-  useImperativeHandle(ref, () => ({
-    startAnimation: () => {
-      if (boxRef.current) {
-        boxRef.current.style.transition = "transform 1s ease-in-out";
-        boxRef.current.style.transform = "translateX(200px)";
-      }
-    },
-    stopAnimation: () => {
-      if (boxRef.current) {
-        boxRef.current.style.transform = "translateX(0)";
-      }
-    },
-  }));
+  useImperativeHandle(
+    ref,
+    () => ({
+      startAnimation: () => box.start({ x: 200 }),
+      stopAnimation: () => box.start({ x: 0 }),
+    }),
+    [box]
+  );
 
   return (
     <div
       {...props}
-      ref={boxRef}
-      style={{ width: "100px", height: "100px", backgroundColor: "blue" }}
+      ref={box.ref}
+      style={{
+        ...box.style,
+        width: "100px",
+        height: "100px",
+        backgroundColor: "blue",
+      }}
     />
   );
 });
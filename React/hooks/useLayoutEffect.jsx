@@ -25,33 +25,31 @@
  */
 
 import React, { useState, useLayoutEffect, useRef } from "react";
+import { easings, useSpring } from "../custom-hooks/useAnimation";
+import { useFloating } from "../custom-hooks/useFloating";
 
 /**
  * Example 1: Measuring DOM Elements Before Browser Paint
  *
- * This example demonstrates how `useLayoutEffect` can be used to measure a tooltip's height and adjust its position based on available space.
- * The tooltip first renders at an arbitrary position, then `useLayoutEffect` measures its height and updates its position accordingly.
+ * This example demonstrates how `useLayoutEffect` can be used to measure a tooltip and adjust its position based on available space.
+ * The tooltip first renders hidden, then the `useFloating` hook (see `custom-hooks/useFloating.jsx`) measures it in `useLayoutEffect` and positions it before the browser paints.
+ * It flips and shifts when the tooltip would overflow any edge of the viewport and follows the button while scrolling or resizing.
  *
  * Use Case: Useful for components that need to dynamically position themselves based on available space, such as tooltips or popovers.
  */
-function Tooltip({ children, targetRect }) {
-  const [position, setPosition] = useState({ top: 0, left: 0 });
+function Tooltip({ children, referenceRef }) {
   const tooltipRef = useRef(null);
-
-  useLayoutEffect(() => {
-    const { height } = tooltipRef.current.getBoundingClientRect();
-    const topPosition =
-      targetRect.top - height < 0 ? targetRect.bottom : targetRect.top - height;
-    setPosition({ top: topPosition, left: targetRect.left });
-  }, [targetRect]);
+  const { floatingStyles } = useFloating(referenceRef, tooltipRef, {
+    placement: "top",
+    offset: 4,
+  });
 
   return (
     <div
       ref={tooltipRef}
+      role="tooltip"
       style={{
-        position: "absolute",
-        top: `${position.top}px`,
-        left: `${position.left}px`,
+        ...floatingStyles,
         backgroundColor: "lightgray",
         padding: "5px",
         border: "1px solid black",
@@ -64,28 +62,21 @@ function Tooltip({ children, targetRect }) {
 
 function TooltipExample() {
   const [showTooltip, setShowTooltip] = useState(false);
-  const [targetRect, setTargetRect] = useState({ top: 0, bottom: 0, left: 0 });
-
-  const handleMouseOver = (e) => {
-    const rect = e.target.getBoundingClientRect();
-    setTargetRect(rect);
-    setShowTooltip(true);
-  };
-
-  const handleMouseOut = () => setShowTooltip(false);
+  const buttonRef = useRef(null);
 
   return (
     <div>
       <h1>useLayoutEffect Example - Tooltip Positioning</h1>
       <button
-        onMouseOver={handleMouseOver}
-        onMouseOut={handleMouseOut}
+        ref={buttonRef}
+        onMouseOver={() => setShowTooltip(true)}
+        onMouseOut={() => setShowTooltip(false)}
         style={{ marginTop: "50px", padding: "10px" }}
       >
         Hover over me!
       </button>
       {showTooltip && (
-        <Tooltip targetRect={targetRect}>
+        <Tooltip referenceRef={buttonRef}>
           This tooltip adjusts its position based on available space.
         </Tooltip>
       )}
@@ -133,19 +124,30 @@ function ScrollSyncComponent() {
  *
  * This example shows how `useLayoutEffect` can be used to prevent flickering effects during component updates.
  * The effect runs before the browser repaints, ensuring that visual changes are applied immediately.
+ * The color change is animated with the `useSpring` hook (see `custom-hooks/useAnimation.jsx`), which animates the red, green and blue channels
+ * with an easing curve. The count changes at once, while the color fades from the old one over 300ms.
+ * Starting the animation in `useLayoutEffect` schedules its first frame before the browser paints the new count,
+ * so the fade begins with that paint instead of one frame later, as it could when started from `useEffect`.
  *
  * Use Case: Useful when working with animations or complex transitions that should not appear flickery or delayed.
  */
+const LIGHT_BLUE = { r: 173, g: 216, b: 230 };
+const LIGHT_CORAL = { r: 240, g: 128, b: 128 };
+
 function FlickerFreeComponent() {
   const [count, setCount] = useState(0);
-  const boxRef = useRef(null);
+  const box = useSpring(LIGHT_BLUE, {
+    style: ({ r, g, b }) => ({
+      backgroundColor: `rgb(${Math.round(r)}, ${Math.round(g)}, ${Math.round(
+        b
+      )})`,
+    }),
+    config: { duration: 300, easing: easings.easeInOut },
+  });
 
   useLayoutEffect(() => {
-    if (boxRef.current) {
-      boxRef.current.style.backgroundColor =
-        count % 2 === 0 ? "lightblue" : "lightcoral";
-    }
-  }, [count]); // Re-run the effect when `count` changes.
+    box.start(count % 2 === 0 ? LIGHT_BLUE : LIGHT_CORAL);
+  }, [count, box]); // Re-run the effect when `count` changes.
 
   return (
     <div>
@@ -154,12 +156,12 @@ function FlickerFreeComponent() {
         Increment Count
       </button>
       <div
-        ref={boxRef}
+        ref={box.ref}
         style={{
+          ...box.style,
           width: "100px",
           height: "100px",
           marginTop: "20px",
-          transition: "background-color 0.3s ease-in-out",
         }}
       >
         {count}
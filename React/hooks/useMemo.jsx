@@ -24,6 +24,10 @@
  */
 
 import React, { useState, useMemo } from "react";
+import {
+  createMockChatServer,
+  getChatConnection,
+} from "../custom-hooks/useChatRoom";
 
 /**
  * Example 1: Basic useMemo to Optimize Expensive Calculation
@@ -110,23 +114,27 @@ function FilteredListComponent({ items, filter }) {
  *
  * Use Case: Useful when memoizing objects that are used as dependencies in other hooks, like `useEffect`.
  */
+const mockChatServer = createMockChatServer();
+
 function ChatRoom({ roomId }) {
   const [message, setMessage] = useState("");
 
   const options = useMemo(() => {
-    return { serverUrl: "https://localhost:1234", roomId: roomId };
+    // Not the URL used in `useCallback.jsx`: that connection is backed by a different mock server.
+    return { serverUrl: "ws://mock-chat/use-memo", roomId: roomId };
   }, [roomId]);
 
   React.useEffect(() => {
     console.log("Connecting to chat room with options:", options);
-    // Simulate a chat room connection...
-    const connection = {
-      connect: () => console.log("Connected"),
-      disconnect: () => console.log("Disconnected"),
-    };
-    connection.connect();
-
-    return () => connection.disconnect();
+    // Joins the room on the shared connection from `custom-hooks/useChatRoom.jsx` (backed by a mock server here).
+    const connection = getChatConnection(options.serverUrl, {
+      WebSocket: mockChatServer.WebSocket,
+    });
+    const unsubscribe = connection.subscribe(options.roomId, (message) =>
+      console.log("Received:", message)
+    );
+
+    return () => unsubscribe();
   }, [options]);
 
   return (
@@ -21,9 +21,11 @@
  *
  * --- Similar Hooks ---
  * - `useState`: Use `useState` for simpler state updates. Use `useReducer` when state logic becomes complex and involves multiple actions.
+ * - `useUndoableReducer`: A custom hook (see `custom-hooks/useUndoableReducer.jsx`) that wraps any reducer in this file with undo/redo history.
  */
 
 import React, { useReducer } from "react";
+import { ErrorBoundary } from "../components/ErrorBoundary";
 
 /**
  * Example 1: Basic Counter with useReducer
@@ -66,6 +68,7 @@ function Counter() {
  * The reducer handles adding, toggling, and deleting todo items.
  *
  * Use Case: Useful for managing lists or collections of items where different actions can be performed.
+ * When the list must also be saved on a server, `useOptimisticReducer` and `useMutation` (see `custom-hooks/useMutation.jsx`) add optimistic updates with rollback.
  */
 const initialTodos = [
   { id: 1, title: "Learn React", completed: false },
@@ -136,6 +139,7 @@ function TodoList() {
  * The reducer handles updates to form fields and resetting the form.
  *
  * Use Case: Useful for forms with multiple fields that need to be managed together.
+ * For validation, touched/dirty tracking and submission, see the `useForm` hook in `custom-hooks/useForm.jsx`, which grows this reducer into a reusable hook.
  */
 const initialFormState = {
   username: "",
@@ -195,15 +199,22 @@ function Form() {
 }
 
 // Combine all components into a single display
+// Each example has its own ErrorBoundary, so an `Unknown action` error only replaces that example with a fallback.
 function App() {
   return (
     <div>
       <h1>React useReducer Examples</h1>
-      <Counter />
+      <ErrorBoundary>
+        <Counter />
+      </ErrorBoundary>
       <hr />
-      <TodoList />
+      <ErrorBoundary>
+        <TodoList />
+      </ErrorBoundary>
       <hr />
-      <Form />
+      <ErrorBoundary>
+        <Form />
+      </ErrorBoundary>
     </div>
   );
 }
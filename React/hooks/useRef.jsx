@@ -117,6 +117,7 @@ function PreviousStateTracker() {
  * Example 4: Creating a Timer with useRef
  *
  * This example shows how to use `useRef` to store a timer ID and manage a timer without causing re-renders.
+ * Counting ticks drifts over time, because intervals can fire late; `useStopwatch` (see `custom-hooks/useInterval.jsx`) computes the elapsed time from timestamps instead.
  *
  * Use Case: Useful for managing timers or intervals that do not need to update the UI directly.
  */
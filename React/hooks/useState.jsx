@@ -52,6 +52,7 @@ function Counter() {
  * This example shows how to manage an object state with `useState`.
  * The state variable `user` holds an object with `name` and `age` properties.
  * The `setUser` function is used to update the state while preserving other properties using the spread operator (`...`).
+ * The state is lost on reload; `custom-hooks/usePersistentState.jsx` shows the same form with `usePersistentState`, which keeps it in `localStorage`.
  *
  * Use Case: This is useful when managing form inputs or grouped data that needs to be updated together.
  */
@@ -24,72 +24,65 @@
  * - `useEffect`: Use `useEffect` for side effects, while `useSyncExternalStore` is meant for synchronizing React components with external data.
  */
 
-import React, { useState, useEffect, useSyncExternalStore } from "react";
+import React, { useSyncExternalStore } from "react";
+import { createStore, useStore } from "../custom-hooks/useStore";
+import {
+  useOnlineStatus,
+  useWindowSize,
+} from "../custom-hooks/useEventListener";
 
 /**
  * Example 1: Subscribing to an External Store
  *
  * This example demonstrates how `useSyncExternalStore` can be used to connect a component to an external store.
- * The `Counter` component subscribes to changes in a global `counterStore`, updating whenever the store value changes.
+ * The `counterStore` is built with the reusable `createStore` factory, which provides `subscribe`, `getSnapshot` and `getServerSnapshot`.
+ * The `Counter` component subscribes with `useSyncExternalStore` directly, while `CounterLabel` uses the `useStore` hook with a selector.
  *
  * Use Case: Useful for integrating with third-party state management libraries that manage state outside of React.
  */
-const counterStore = {
-  value: 0,
-  listeners: new Set(),
-  increment() {
-    this.value++;
-    this.listeners.forEach((listener) => listener());
-  },
-  subscribe(listener) {
-    this.listeners.add(listener);
-    return () => this.listeners.delete(listener);
-  },
-  getSnapshot() {
-    return this.value;
-  },
-};
+const counterStore = createStore(
+  { value: 0 },
+  {
+    increment: (state) => ({ value: state.value + 1 }),
+  }
+);
 
 function Counter() {
-  const count = useSyncExternalStore(
+  const { value } = useSyncExternalStore(
     counterStore.subscribe,
-    counterStore.getSnapshot
+    counterStore.getSnapshot,
+    counterStore.getServerSnapshot
   );
 
   return (
     <div>
       <h1>useSyncExternalStore Example - Counter</h1>
-      <p>Counter Value: {count}</p>
-      <button onClick={() => counterStore.increment()}>
+      <p>Counter Value: {value}</p>
+      <button onClick={() => counterStore.actions.increment()}>
         Increment Counter
       </button>
+      <CounterLabel />
     </div>
   );
 }
 
+function CounterLabel() {
+  // Only re-renders when the selected value changes between even and odd.
+  const isEven = useStore(counterStore, (state) => state.value % 2 === 0);
+
+  return <p>The counter is {isEven ? "even" : "odd"}.</p>;
+}
+
 /**
  * Example 2: Subscribing to a Browser API
  *
  * This example shows how to use `useSyncExternalStore` to subscribe to browser APIs like `navigator.onLine`.
  * The `NetworkStatus` component updates whenever the user's network status changes.
+ * `useOnlineStatus` lives in `custom-hooks/useEventListener.jsx`: it subscribes to the `online` and `offline` events with `useSyncExternalStore`,
+ * reads `navigator.onLine` as the snapshot and returns `true` as the server snapshot.
  *
  * Use Case: Useful for subscribing to browser events or APIs that expose state outside of React.
  */
-function useOnlineStatus() {
-  return useSyncExternalStore(
-    (callback) => {
-      window.addEventListener("online", callback);
-      window.addEventListener("offline", callback);
-      return () => {
-        window.removeEventListener("online", callback);
-        window.removeEventListener("offline", callback);
-      };
-    },
-    () => navigator.onLine,
-    () => true // Return true as the initial server snapshot during server rendering.
-  );
-}
-
 function NetworkStatus() {
   const isOnline = useOnlineStatus();
 
@@ -105,29 +98,15 @@ function NetworkStatus() {
  * Example 3: Using useSyncExternalStore in a Custom Hook
  *
  * This example demonstrates how to encapsulate `useSyncExternalStore` within a custom hook.
- * The `useWindowSize` hook subscribes to the window's resize events, updating the component whenever the window size changes.
+ * The `useWindowSize` hook (from `custom-hooks/useEventListener.jsx`) subscribes to the window's resize events, updating the component whenever the window size changes.
+ * `getSnapshot` must return the same value until the store changes. Returning a new `{ width, height }` object on every call would make
+ * React think the size changed on every render, so the hook caches the object and only replaces it when the size actually changes.
+ * Passing `throttleMs` limits how often the component re-renders while the window is being resized.
  *
  * Use Case: Useful for creating reusable hooks that can be shared across different components in your application.
  */
-function useWindowSize() {
-  return useSyncExternalStore(
-    (callback) => {
-      window.addEventListener("resize", callback);
-      return () => window.removeEventListener("resize", callback);
-    },
-    () => ({
-      width: window.innerWidth,
-      height: window.innerHeight,
-    }),
-    () => ({
-      width: 1024, // Default width for server-side rendering.
-      height: 768, // Default height for server-side rendering.
-    })
-  );
-}
-
 function WindowSize() {
-  const size = useWindowSize();
+  const size = useWindowSize({ throttleMs: 100 });
 
   return (
     <div>
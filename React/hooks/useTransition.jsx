@@ -25,55 +25,78 @@
  */
 
 import React, { useState, useTransition } from "react";
+import { Tab, TabList, TabPanel, Tabs } from "../components/Tabs";
+import {
+  Link,
+  Outlet,
+  Route,
+  Router,
+  createMemoryHistory,
+  useLoaderData,
+  useNavigate,
+  useNavigation,
+} from "../components/Router";
+import { VirtualList } from "../components/VirtualList";
+import { shareWithWorkers, useWorkerMemo } from "../custom-hooks/useWorker";
 
 /**
  * Example 1: Updating State in a Transition
  *
- * This example demonstrates how `useTransition` can be used to update a tab's state while keeping the UI responsive.
- * The `isPending` flag indicates whether the transition is ongoing, allowing you to show a loading indicator during the transition.
+ * This example uses the accessible `Tabs` component from `components/Tabs.jsx`, which calls `startTransition` when a tab is selected.
+ * The selected tab is marked right away, and the panel switch is a transition, so clicking tabs never waits for a panel to render.
+ * The slow panel work itself runs in a Web Worker through `useWorkerMemo` (see `custom-hooks/useWorker.jsx`), so the transition ends quickly;
+ * the panel dims and shows "Loading content..." from the worker's `isPending` until its result arrives.
+ * The tabs also support Arrow key navigation and keep the selected tab in the `?tab=` query parameter.
  *
  * Use Case: Useful when switching between different views or tabs that require expensive rendering or data fetching.
  */
 function TabContainer() {
-  const [tab, setTab] = useState("home");
-  const [isPending, startTransition] = useTransition();
-
-  const handleTabClick = (nextTab) => {
-    startTransition(() => {
-      setTab(nextTab);
-    });
-  };
-
   return (
     <div>
       <h1>useTransition Example - Tab Container</h1>
-      <div>
-        <button onClick={() => handleTabClick("home")}>Home</button>
-        <button onClick={() => handleTabClick("about")}>About</button>
-        <button onClick={() => handleTabClick("contact")}>Contact</button>
-      </div>
-      <div style={{ marginTop: "20px" }}>
-        {isPending ? <p>Loading content...</p> : <TabContent tab={tab} />}
-      </div>
+      <Tabs defaultValue="home" urlParam="tab">
+        <TabList aria-label="Pages">
+          <Tab value="home">Home</Tab>
+          <Tab value="about">About</Tab>
+          <Tab value="contact">Contact</Tab>
+        </TabList>
+        <div style={{ marginTop: "20px" }}>
+          <TabPanel value="home">
+            <TabContent tab="home" />
+          </TabPanel>
+          <TabPanel value="about">
+            <TabContent tab="about" />
+          </TabPanel>
+          <TabPanel value="contact">
+            <TabContent tab="contact" />
+          </TabPanel>
+        </div>
+      </Tabs>
     </div>
   );
 }
 
+// Simulates slow rendering work. It runs in a Web Worker (see `custom-hooks/useWorker.jsx`), so the busy loop does not freeze the page.
+const renderSlowTabContent = (tab) => {
+  const start = Date.now();
+  while (Date.now() - start < 500) {
+    // Intentional delay
+  }
+  return tab === "home"
+    ? "Welcome to the Home Page!"
+    : tab === "about"
+    ? "About Us Page"
+    : "Contact Us Page";
+};
+
 function TabContent({ tab }) {
-  // Simulating a slow rendering process
-  const renderTabContent = () => {
-    const start = performance.now();
-    while (performance.now() - start < 500) {
-      // Intentional delay
-    }
-    return tab === "home"
-      ? "Welcome to the Home Page!"
-      : tab === "about"
-      ? "About Us Page"
-      : "Contact Us Page";
-  };
+  const { result, isPending } = useWorkerMemo(renderSlowTabContent, [tab]);
 
-  return <p>{renderTabContent()}</p>;
+  return (
+    <p style={{ opacity: isPending ? 0.5 : 1 }}>
+      {result ?? "Loading content..."}
+    </p>
+  );
 }
 
 /**
@@ -81,22 +104,36 @@ function TabContent({ tab }) {
  *
  * This example shows how `useTransition` can be used to perform filtering operations on a large list without blocking the UI.
  * The `isPending` flag indicates when the filtering is still in progress, showing a loading indicator while filtering.
+ * The filter itself runs in a Web Worker through `useWorkerMemo` (see `custom-hooks/useWorker.jsx`), so even one long `items.filter`
+ * call cannot block typing. The query is updated in a transition, and the list is marked pending until both the transition and the worker are done.
+ * The items are shared with `shareWithWorkers`, so each keystroke sends only the query to the worker.
  *
  * Use Case: Useful for operations like filtering or sorting a large dataset, where UI responsiveness is critical.
  */
+const allItems = shareWithWorkers(
+  Array.from({ length: 20000 }, (_, index) => `Item ${index + 1}`)
+);
+
+// Runs in the worker, so it can only use its arguments.
+const filterItems = (items, query) =>
+  items.filter((item) => item.includes(query));
+
 function ListFilter() {
   const [filter, setFilter] = useState("");
-  const [items] = useState(
-    Array.from({ length: 20000 }, (_, index) => `Item ${index + 1}`)
+  const [query, setQuery] = useState("");
+  const [isTransitionPending, startTransition] = useTransition();
+  const { result: filteredItems, isPending: isFiltering } = useWorkerMemo(
+    filterItems,
+    [allItems, query],
+    { initialValue: allItems }
   );
-  const [filteredItems, setFilteredItems] = useState(items);
-  const [isPending, startTransition] = useTransition();
+  const isPending = isTransitionPending || isFiltering;
 
   const handleFilterChange = (e) => {
     const value = e.target.value;
     setFilter(value);
     startTransition(() => {
-      setFilteredItems(items.filter((item) => item.includes(value)));
+      setQuery(value);
     });
   };
 
@@ -109,31 +146,24 @@ function ListFilter() {
         onChange={handleFilterChange}
         placeholder="Type to filter the list..."
       />
-      <div style={{ marginTop: "20px" }}>
-        {isPending ? (
-          <p>Filtering items...</p>
-        ) : (
-          <ItemList items={filteredItems} />
-        )}
+      {isPending && <span> Filtering items...</span>}
+      <div style={{ marginTop: "20px", opacity: isPending ? 0.5 : 1 }}>
+        <ItemList items={filteredItems} />
       </div>
     </div>
   );
 }
 
+// Only the visible rows are rendered, so showing all 20,000 items stays fast (see `components/VirtualList.jsx`).
 function ItemList({ items }) {
   return (
-    <ul
-      style={{
-        maxHeight: "200px",
-        overflowY: "scroll",
-        border: "1px solid #ccc",
-        padding: "10px",
-      }}
-    >
-      {items.map((item, index) => (
-        <li key={index}>{item}</li>
-      ))}
-    </ul>
+    <VirtualList
+      items={items}
+      height="200px"
+      itemSize={24}
+      renderItem={(item) => item}
+      style={{ border: "1px solid #ccc" }}
+    />
   );
 }
 
@@ -141,47 +171,66 @@ function ItemList({ items }) {
  * Example 3: Managing Transitions with useTransition and Suspense
  *
  * This example demonstrates how `useTransition` can be combined with `Suspense` to create a responsive Suspense-enabled UI.
- * The `startTransition` function is used to trigger page navigation, while `Suspense` handles the loading state.
+ * The pages are routes of the `Router` from `components/Router.jsx`, which runs every navigation inside `startTransition`.
+ * `PageContent` reads its page from the route's `loader` and suspends while the page loads.
+ * Because navigation is a transition, the previous page stays visible until the next one is ready, and `useNavigation().isPending` shows "Loading...".
+ * Hovering a link preloads its page, so the navigation often completes without any delay.
+ * The router uses an in-memory history, so the example does not change the page's URL; the Back button calls `navigate(-1)`.
  *
  * Use Case: Useful when building page transitions or route changes that can take time due to data fetching or complex rendering.
  */
-const Suspense = React.Suspense;
+const pageHistory = createMemoryHistory();
+
+const loadPage = ({ params }) =>
+  new Promise((resolve) => {
+    const page = params.page ?? "home";
+    // Simulating a delay for loading the content
+    setTimeout(() => {
+      resolve(
+        page === "home"
+          ? "Welcome to the Home Page!"
+          : page === "about"
+          ? "About Us Page"
+          : "Contact Us Page"
+      );
+    }, 1000);
+  });
 
 function SuspenseExample() {
-  const [page, setPage] = useState("home");
-  const [isPending, startTransition] = useTransition();
+  return (
+    <div>
+      <h1>useTransition Example - Suspense Integration</h1>
+      <Router history={pageHistory} fallback={<p>Loading page...</p>}>
+        <Route path="/" element={<PageLayout />}>
+          <Route index element={<PageContent />} loader={loadPage} />
+          <Route path=":page" element={<PageContent />} loader={loadPage} />
+        </Route>
+      </Router>
+    </div>
+  );
+}
 
-  const navigate = (nextPage) => {
-    startTransition(() => {
-      setPage(nextPage);
-    });
-  };
+function PageLayout() {
+  const { isPending } = useNavigation();
+  const navigate = useNavigate();
 
   return (
     <div>
-      <h1>useTransition Example - Suspense Integration</h1>
       <div>
-        <button onClick={() => navigate("home")}>Home</button>
-        <button onClick={() => navigate("about")}>About</button>
-        <button onClick={() => navigate("contact")}>Contact</button>
+        <button onClick={() => navigate(-1)}>Back</button>{" "}
+        <Link to="/">Home</Link> | <Link to="/about">About</Link> |{" "}
+        <Link to="/contact">Contact</Link>
+        {isPending && <span> Loading...</span>}
       </div>
-      <Suspense fallback={<p>Loading page...</p>}>
-        <PageContent page={page} isPending={isPending} />
-      </Suspense>
+      <Outlet />
     </div>
   );
 }
 
-function PageContent({ page, isPending }) {
-  // Simulating a delay for rendering the content
-  const content =
-    page === "home"
-      ? "Welcome to the Home Page!"
-      : page === "about"
-      ? "About Us Page"
-      : "Contact Us Page";
+function PageContent() {
+  const content = useLoaderData();
 
-  return <p>{isPending ? "Loading..." : content}</p>;
+  return <p>{content}</p>;
 }
 
 // Combine all components into a single display